@@ -4,7 +4,7 @@
  * This file acts as the entry point for El Pollo Loco.
  * 
  * @author KW
- * @version 1.2.0
+ * @version 1.3.4
  */
 
 /**
@@ -25,36 +25,109 @@ let world;
  */
 let keyboard = new Keyboard();
 
+/**
+ * The action → key / gamepad button bindings.
+ * Changed in place, so all input sources see rebinds immediately.
+ * @type {InputBindings}
+ */
+let inputBindings = new InputBindings();
+
+/**
+ * The binding slot waiting for a key or button press, or null.
+ * @type {?{device: string, action: string, slot: number}}
+ */
+let bindingCapture = null;
+
+/**
+ * The gamepad input source. Feeds the same {@link Keyboard} flags
+ * and survives world resets, so connected gamepads stay known.
+ * @type {GamepadInput}
+ */
+let gamepad = new GamepadInput(keyboard, undefined, inputBindings);
+
+/**
+ * Timer hiding the toast message.
+ * @type {?number}
+ */
+let toastTimeout = null;
+
 /**
  * Global mute flag for all sounds.
  * @type {boolean}
  */
 let isMuted = false;
 
+/**
+ * Volume and mute settings of the master, music and effects channels.
+ * @type {AudioSettings}
+ */
+let audioSettings = new AudioSettings();
+
 /**
  * Flag to ensure touch controls are only initialized once.
  * @type {boolean}
  */
 let touchControlsInitialized = false;
 
+/**
+ * Vertical drag in pixels on the throw button that aims up or down
+ * while charging a throw.
+ * @type {number}
+ */
+const THROW_AIM_DRAG_PX = 24;
+
+/**
+ * Random seed chosen in the settings screen, or null for a random run.
+ * @type {?string}
+ */
+let settingsSeed = null;
+
 try {
-    const storedMute = localStorage.getItem('soundMuted');
-    if (storedMute === 'true') {
-        isMuted = true;
-    } else if (storedMute === 'false') {
-        isMuted = false;
+    settingsSeed = localStorage.getItem('gameSeed') || null;
+    const storedAudio = localStorage.getItem('audioSettings');
+    if (storedAudio) {
+        audioSettings = AudioSettings.fromJSON(JSON.parse(storedAudio));
+    } else if (localStorage.getItem('soundMuted') === 'true') {
+        audioSettings.setMuted('master', true);
     }
 } catch (error) {
-    console.error('Failed to read soundMuted from localStorage:', error);
+    console.error('Failed to read audioSettings from localStorage:', error);
+}
+isMuted = audioSettings.muted.master;
+audioSettings.applyTo(AudioEngine.getShared());
+
+try {
+    const storedBindings = localStorage.getItem('keyBindings');
+    if (storedBindings) {
+        const bindings = InputBindings.fromJSON(JSON.parse(storedBindings));
+        inputBindings.keys = bindings.keys;
+        inputBindings.buttons = bindings.buttons;
+    }
+} catch (error) {
+    console.error('Failed to read keyBindings from localStorage:', error);
 }
 
 
+/**
+ * Plays the menu music on the first interaction with the page
+ * (browsers block audio before that), unless a game is already running
+ * or the music is muted. The first world cross-fades to its own music.
+ *
+ * @returns {void}
+ */
+function startMenuMusic() {
+    if (world || isMuted || audioSettings.muted.music) return;
+    AudioEngine.getShared().unlock();
+    MusicDirector.getShared().setState('menu');
+}
+
 /**
  * Starts the game:
  * - Hides the start screen.
- * - Shows the loading screen for a short period.
+ * - Unlocks the audio engine (browsers require a user gesture).
+ * - Shows the loading screen while all assets are preloaded.
  * - Displays the canvas.
- * - Initializes the game world after loading.
+ * - Initializes the game world once every asset has loaded or failed.
  *
  * @returns {void}
  */
@@ -64,20 +137,63 @@ function startGame() {
     document.getElementById('canvas').classList.remove('hidden-placeholder');
     document.getElementById('reset-btn').classList.remove('d-none');
     document.getElementById('music-btn').classList.remove('d-none');
+    document.getElementById('pause-btn').classList.remove('d-none');
     document.getElementById('help-btn').classList.remove('d-none');
+    AudioEngine.getShared().unlock();
 
-    setTimeout(() => {
+    preloadAssets().then((failed) => {
         document.getElementById('loading-screen').classList.add('d-none');
         document.getElementById('canvas').classList.remove('d-none');
         init();
-    }, 1000);
+        reportFailedAssets(failed);
+    });
+}
+
+/**
+ * Preloads every asset of the campaign and shows the progress
+ * on the loading screen. Shipped sprite atlases are registered first,
+ * so the sprites they hold are downloaded as one image per atlas.
+ *
+ * @returns {Promise<{type: string, src: string, reason: string}[]>} The assets that failed.
+ */
+function preloadAssets() {
+    updateLoadingProgress(0);
+    return SpriteAtlas.loadAll(AssetManifest.ATLAS_INDEX).then(() => {
+        const preloader = new AssetPreloader(AssetManifest.build(CAMPAIGN));
+        preloader.onProgress = updateLoadingProgress;
+        return preloader.load();
+    }).then(({ failed }) => failed);
+}
+
+/**
+ * Updates the progress bar and percentage of the loading screen.
+ *
+ * @param {number} progress - Share of loaded assets between 0 and 1.
+ * @returns {void}
+ */
+function updateLoadingProgress(progress) {
+    const percent = Math.round(progress * 100);
+    document.getElementById('loading-progress').style.width = `${percent}%`;
+    document.getElementById('loading-percent').innerText = `${percent}%`;
+}
+
+/**
+ * Logs assets that could not be loaded and tells the player.
+ * The game still starts; missing images stay blank and missing sounds silent.
+ *
+ * @param {{type: string, src: string, reason: string}[]} failed
+ * @returns {void}
+ */
+function reportFailedAssets(failed) {
+    if (failed.length === 0) return;
+    failed.forEach(({ type, src, reason }) => console.warn(`Failed to load ${type} "${src}": ${reason}`));
+    showToast(`⚠️ ${failed.length} asset${failed.length === 1 ? '' : 's'} failed to load`);
 }
 
 /**
  * Resets the game state without reloading the page.
- * - Closes overlays & help.
- * - Stops all relevant sounds.
- * - Marks the current world as finished.
+ * - Closes overlays, help & settings.
+ * - Destroys the current world (loop, timers, sounds, entities).
  * - Creates a fresh World instance.
  *
  * @returns {void}
@@ -87,42 +203,52 @@ function resetGame() {
     if (helpScreen) {
         helpScreen.classList.add('d-none');
     }
+    const settingsScreen = document.getElementById('settings-screen');
+    if (settingsScreen) {
+        settingsScreen.classList.add('d-none');
+    }
 
     document.querySelectorAll('.overlay').forEach((overlay) => overlay.remove());
 
     if (world) {
-        world.gameOver = true;
-
-        if (world.sound) {
-            if (typeof world.sound.stopBackground === 'function') {
-                world.sound.stopBackground();
-            }
-            if (typeof world.sound.stopWalking === 'function') {
-                world.sound.stopWalking();
-            }
-        }
-
-        if (world.soundManager && typeof world.soundManager.stopEndbossSounds === 'function') {
-            world.soundManager.stopEndbossSounds();
-        }
+        world.destroy();
     }
 
     init();
 }
 
+/**
+ * Test hook reporting how many timers of the game are still alive
+ * (see {@link World#getLiveTimerCount}).
+ * Stays constant across any number of resets if nothing leaks.
+ *
+ * @returns {number}
+ */
+function getLiveTimerCount() {
+    return world ? world.getLiveTimerCount() : GameLoop.activeCount;
+}
+
 /**
  * Initializes the game world by:
  * - Linking the canvas and keyboard.
+ * - Passing the seed from the URL or the settings.
  * - Creating a new {@link World} instance.
  * - Applying persisted mute state.
- * - Updating the music button text.
+ * - Updating the music, pause and replay controls.
  * - Setting up touch controls (once).
  *
+ * A replay gets its own keyboard, so live input can't interfere with it.
+ *
+ * @param {InputRecording} [replay] - Recording to play back instead of live input.
  * @returns {void}
  */
-function init() {
+function init(replay) {
     canvas = document.getElementById('canvas');
-    world = new World(canvas, keyboard);
+    const options = replay ? { replay } : { seed: resolveSeed() };
+    world = new World(canvas, replay ? new Keyboard() : keyboard, undefined, options);
+    world.onPauseChange = updatePauseButton;
+    world.onReplayEnd = updateReplayBar;
+    if (!replay) world.addInputSource(gamepad);
 
     if (world && world.sound && typeof world.sound.setMuted === 'function') {
         world.sound.setMuted(isMuted);
@@ -131,34 +257,230 @@ function init() {
     }
 
     updateMusicButton();
+    updatePauseButton();
+    updateReplayBar();
     initTouchControls();
 }
 
 /**
- * Toggles background music and sound effects on or off.
- * Persists the state in localStorage and updates the button label.
+ * Shows a short message on the stage, e.g. when a gamepad is plugged in.
  *
+ * @param {string} message - The message to show.
  * @returns {void}
  */
-function toggleMusic() {
-    isMuted = !isMuted;
+function showToast(message) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+
+    toast.innerText = message;
+    toast.classList.remove('d-none');
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => toast.classList.add('d-none'), 2500);
+}
+
+/**
+ * Downloads the recording of the current game as a JSON replay file.
+ *
+ * @returns {void}
+ */
+function exportReplay() {
+    if (!world || !world.recording) return;
+    const json = JSON.stringify(world.recording);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `el-pollo-loco-replay-${world.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a replay file chosen in the settings screen and plays it back.
+ * Invalid files are reported in the settings screen.
+ *
+ * @param {HTMLInputElement} input - The file input holding the replay file.
+ * @returns {void}
+ */
+function importReplay(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    file.text()
+        .then((text) => startReplay(InputRecording.fromJSON(text)))
+        .catch((error) => showReplayStatus(error.message));
+}
+
+/**
+ * Replaces the current game with the playback of a recording.
+ *
+ * @param {InputRecording} recording - The recording to play back.
+ * @returns {void}
+ */
+function startReplay(recording) {
+    showReplayStatus('');
+    document.getElementById('settings-screen').classList.add('d-none');
+    document.querySelectorAll('.overlay').forEach((overlay) => overlay.remove());
+
+    if (world) {
+        world.destroy();
+    }
+
+    init(recording);
+}
+
+/**
+ * Changes the playback speed of the running replay.
+ *
+ * @param {number} speed - One of {@link World.REPLAY_SPEEDS}.
+ * @returns {void}
+ */
+function setReplaySpeed(speed) {
+    if (!world || !world.replay) return;
+    world.setReplaySpeed(speed);
+    updateReplayBar();
+}
+
+/**
+ * Shows the replay bar with indicator and speed buttons while a replay runs.
+ *
+ * @returns {void}
+ */
+function updateReplayBar() {
+    const replayBar = document.getElementById('replay-bar');
+    if (!replayBar) return;
+
+    const replaying = Boolean(world && world.replay);
+    replayBar.classList.toggle('d-none', !replaying);
+    if (!replaying) return;
+
+    document.getElementById('replay-indicator').innerText = world.replayEnded ? '⏹ REPLAY ENDED' : '⏺ REPLAY';
+    replayBar.querySelectorAll('[data-speed]').forEach((button) => {
+        button.classList.toggle('active', Number(button.dataset.speed) === world.loop.timeScale);
+    });
+}
+
+/**
+ * Shows a message below the replay controls of the settings screen.
+ *
+ * @param {string} message - The message, or an empty string to clear it.
+ * @returns {void}
+ */
+function showReplayStatus(message) {
+    const status = document.getElementById('replay-status');
+    if (!status) return;
+
+    status.innerText = message;
+}
+
+/**
+ * Determines the random seed for a new world.
+ * A `?seed=` URL parameter wins over the seed from the settings;
+ * without both, the level's own seed or a random one is used.
+ *
+ * @returns {?string}
+ */
+function resolveSeed() {
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (urlSeed && urlSeed.trim() !== '') return urlSeed.trim();
+    return settingsSeed;
+}
+
+/**
+ * Stores the seed entered in the settings screen.
+ * An empty value switches back to random runs. Applies from the next reset.
+ *
+ * @param {string} value - The entered seed.
+ * @returns {void}
+ */
+function setSettingsSeed(value) {
+    settingsSeed = value.trim() || null;
 
     try {
-        localStorage.setItem('soundMuted', isMuted ? 'true' : 'false');
+        if (settingsSeed) {
+            localStorage.setItem('gameSeed', settingsSeed);
+        } else {
+            localStorage.removeItem('gameSeed');
+        }
     } catch (error) {
-        console.error('Failed to store soundMuted in localStorage:', error);
+        console.error('Failed to store gameSeed in localStorage:', error);
     }
+}
 
-    if (world && world.sound && typeof world.sound.setMuted === 'function') {
+/**
+ * Toggles all sound (music and effects) on or off.
+ *
+ * @returns {void}
+ */
+function toggleMute() {
+    audioSettings.setMuted('master', !audioSettings.muted.master);
+    isMuted = audioSettings.muted.master;
+    if (world && world.sound) {
         world.sound.setMuted(isMuted);
     }
+    applyAudioSettings();
+}
+
+/**
+ * Toggles the background music on or off; sound effects keep playing.
+ *
+ * @returns {void}
+ */
+function toggleMusic() {
+    audioSettings.setMuted('music', !audioSettings.muted.music);
+    if (world && world.sound) {
+        world.sound.setMusicMuted(audioSettings.muted.music);
+    }
+    applyAudioSettings();
+}
+
+/**
+ * Toggles the sound effects on or off; the music keeps playing.
+ *
+ * @returns {void}
+ */
+function toggleEffects() {
+    audioSettings.setMuted('sfx', !audioSettings.muted.sfx);
+    if (world && world.sound) {
+        world.sound.setEffectsMuted(audioSettings.muted.sfx);
+    }
+    applyAudioSettings();
+}
+
+/**
+ * Sets the volume of a channel from a settings slider.
+ *
+ * @param {string} channel - One of {@link AudioSettings.CHANNELS}.
+ * @param {string|number} percent - Slider value from 0 to 100.
+ * @returns {void}
+ */
+function setVolume(channel, percent) {
+    audioSettings.setVolume(channel, Number(percent) / 100);
+    applyAudioSettings();
+}
+
+/**
+ * Applies the audio settings to the engine live, persists them
+ * in localStorage and updates the music button and settings screen.
+ *
+ * @returns {void}
+ */
+function applyAudioSettings() {
+    audioSettings.applyTo(AudioEngine.getShared());
+
+    try {
+        localStorage.setItem('audioSettings', JSON.stringify(audioSettings));
+    } catch (error) {
+        console.error('Failed to store audioSettings in localStorage:', error);
+    }
 
     updateMusicButton();
+    updateSettingsScreen();
 }
 
 /**
  * Updates the text label of the music button
- * based on the current mute state.
+ * based on the music mute state.
  *
  * @returns {void}
  */
@@ -166,7 +488,220 @@ function updateMusicButton() {
     const musicBtn = document.getElementById('music-btn');
     if (!musicBtn) return;
 
-    musicBtn.innerText = isMuted ? '🔇 MUSIC: OFF' : '🎵 MUSIC: ON';
+    musicBtn.innerText = audioSettings.muted.music ? '🔇 MUSIC: OFF' : '🎵 MUSIC: ON';
+}
+
+/**
+ * Pauses or resumes the running game.
+ *
+ * @returns {void}
+ */
+function togglePause() {
+    if (!world) return;
+    world.togglePause();
+}
+
+/**
+ * Updates the text label of the pause button
+ * based on the current pause state.
+ *
+ * @returns {void}
+ */
+function updatePauseButton() {
+    const pauseBtn = document.getElementById('pause-btn');
+    if (!pauseBtn) return;
+
+    pauseBtn.innerText = world && world.paused ? '▶️ RESUME' : '⏸️ PAUSE';
+}
+
+/**
+ * Shows or hides the settings screen.
+ * Keeps the settings controls in sync with the current state.
+ *
+ * @returns {void}
+ */
+function toggleSettings() {
+    cancelBindingCapture();
+    updateSettingsScreen();
+    document.getElementById('settings-screen').classList.toggle('d-none');
+}
+
+/**
+ * Syncs the controls of the settings screen with the current state.
+ *
+ * @returns {void}
+ */
+function updateSettingsScreen() {
+    Object.keys(AudioSettings.CHANNELS).forEach((channel) => {
+        const slider = document.getElementById(`volume-${channel}`);
+        if (slider) {
+            slider.value = Math.round(audioSettings.volumes[channel] * 100);
+        }
+        const muteToggle = document.getElementById(`mute-${channel}`);
+        if (muteToggle) {
+            muteToggle.checked = audioSettings.muted[channel];
+        }
+    });
+    const seedInput = document.getElementById('settings-seed');
+    if (seedInput) {
+        seedInput.value = settingsSeed || '';
+    }
+    renderBindingsSettings();
+}
+
+/**
+ * Renders the key-binding table of the settings screen:
+ * one row per action with a button per keyboard and gamepad slot.
+ *
+ * @returns {void}
+ */
+function renderBindingsSettings() {
+    const table = document.getElementById('bindings-table');
+    if (!table) return;
+
+    table.innerHTML = '<tr><th>Controls</th><th>Keyboard</th><th>Gamepad</th></tr>';
+    Object.entries(InputBindings.ACTIONS).forEach(([action, label]) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${label}</td>`;
+        row.appendChild(createBindingCell('keys', action));
+        row.appendChild(createBindingCell('buttons', action));
+        table.appendChild(row);
+    });
+}
+
+/**
+ * Creates the table cell with the slot buttons of one action and device.
+ *
+ * @param {string} device - 'keys' or 'buttons'.
+ * @param {string} action - One of {@link InputBindings.ACTIONS}.
+ * @returns {HTMLTableCellElement}
+ */
+function createBindingCell(device, action) {
+    const cell = document.createElement('td');
+    for (let slot = 0; slot < InputBindings.SLOTS; slot++) {
+        const value = inputBindings[device][action][slot];
+        const button = document.createElement('button');
+        const capturing = bindingCapture && bindingCapture.device === device &&
+            bindingCapture.action === action && bindingCapture.slot === slot;
+        button.classList.add('binding-button');
+        button.classList.toggle('capturing', Boolean(capturing));
+        button.innerText = capturing ? 'Press…' : (value === undefined ? '—' : inputBindings.describe(device, value));
+        button.addEventListener('click', () => startBindingCapture(device, action, slot));
+        cell.appendChild(button);
+    }
+    return cell;
+}
+
+/**
+ * Waits for the next key or gamepad button to bind to a slot.
+ * Escape cancels the capture.
+ *
+ * @param {string} device - 'keys' or 'buttons'.
+ * @param {string} action - One of {@link InputBindings.ACTIONS}.
+ * @param {number} slot - Slot index.
+ * @returns {void}
+ */
+function startBindingCapture(device, action, slot) {
+    bindingCapture = { device, action, slot };
+    gamepad.cancelCapture();
+    if (device === 'buttons') {
+        gamepad.captureNextButton((index) => applyBinding(index));
+    }
+    showBindingsStatus(device === 'buttons' ? 'Press a gamepad button… (Esc cancels)' : 'Press a key… (Esc cancels)');
+    renderBindingsSettings();
+}
+
+/**
+ * Stops waiting for a key or button to bind.
+ *
+ * @returns {void}
+ */
+function cancelBindingCapture() {
+    bindingCapture = null;
+    gamepad.cancelCapture();
+    showBindingsStatus('');
+    renderBindingsSettings();
+}
+
+/**
+ * Binds the captured key or button to the waiting slot.
+ * Conflicts with other actions are reported and leave the bindings unchanged.
+ *
+ * @param {string|number} value - Key code or button index.
+ * @returns {void}
+ */
+function applyBinding(value) {
+    const { device, action, slot } = bindingCapture;
+    bindingCapture = null;
+    try {
+        inputBindings.bind(device, action, slot, value);
+        saveBindings();
+        showBindingsStatus('');
+    } catch (error) {
+        showBindingsStatus(error.message);
+    }
+    renderBindingsSettings();
+    renderHelpScreen();
+}
+
+/**
+ * Restores the default controls.
+ *
+ * @returns {void}
+ */
+function resetBindings() {
+    cancelBindingCapture();
+    inputBindings.reset();
+    saveBindings();
+    renderBindingsSettings();
+    renderHelpScreen();
+}
+
+/**
+ * Persists the bindings in localStorage.
+ *
+ * @returns {void}
+ */
+function saveBindings() {
+    try {
+        localStorage.setItem('keyBindings', JSON.stringify(inputBindings));
+    } catch (error) {
+        console.error('Failed to store keyBindings in localStorage:', error);
+    }
+}
+
+/**
+ * Shows a message below the key-binding table.
+ *
+ * @param {string} message - The message, or an empty string to clear it.
+ * @returns {void}
+ */
+function showBindingsStatus(message) {
+    const status = document.getElementById('bindings-status');
+    if (!status) return;
+
+    status.innerText = message;
+}
+
+/**
+ * Renders the control list of the help screen from the live bindings.
+ *
+ * @returns {void}
+ */
+function renderHelpScreen() {
+    const list = document.getElementById('help-controls');
+    if (!list) return;
+
+    const entries = Object.entries(InputBindings.ACTIONS);
+    const keyLines = entries.map(([action, label]) => {
+        const keys = inputBindings.keys[action].map((code) => InputBindings.describeKey(code)).join(' / ');
+        return `<li>${keys} – ${label}</li>`;
+    });
+    const buttons = entries.map(([action, label]) => {
+        const names = inputBindings.buttons[action].map((index) => InputBindings.describeButton(index)).join(' / ');
+        return `${names} ${label.toLowerCase()}`;
+    });
+    list.innerHTML = keyLines.join('') + `<li>🎮 Stick move, ${buttons.join(', ')}</li>`;
 }
 
 /**
@@ -181,6 +716,8 @@ function toggleHelp() {
 /**
  * Initializes touch controls for mobile / touch devices.
  * Binds the on-screen buttons to the same flags used by the keyboard.
+ * Holding the throw button charges a throw; dragging up or down on it
+ * aims (see {@link bindThrowButton}).
  *
  * @returns {void}
  */
@@ -221,53 +758,119 @@ function initTouchControls() {
     bindButton(leftBtn, 'LEFT');
     bindButton(rightBtn, 'RIGHT');
     bindButton(jumpBtn, 'JUMP');
-    bindButton(throwBtn, 'THROW');
+    bindThrowButton(throwBtn);
 
     touchControlsInitialized = true;
 }
 
+/**
+ * Binds the touch throw button: holding it sets THROW, and dragging the
+ * finger more than {@link THROW_AIM_DRAG_PX} up or down from where it
+ * touched holds UP or DOWN, like the aim keys.
+ *
+ * @param {HTMLButtonElement} btn
+ * @returns {void}
+ */
+function bindThrowButton(btn) {
+    let startY = 0;
+
+    const release = (e) => {
+        e.preventDefault();
+        keyboard.THROW = false;
+        keyboard.UP = false;
+        keyboard.DOWN = false;
+    };
+
+    btn.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        startY = e.changedTouches[0].clientY;
+        keyboard.THROW = true;
+    });
+
+    btn.addEventListener('touchmove', (e) => {
+        e.preventDefault();
+        const dy = e.changedTouches[0].clientY - startY;
+        keyboard.UP = dy < -THROW_AIM_DRAG_PX;
+        keyboard.DOWN = dy > THROW_AIM_DRAG_PX;
+    });
+
+    btn.addEventListener('touchend', release);
+    btn.addEventListener('touchcancel', release);
+}
+
+/**
+ * Checks whether an element takes keyboard input of its own (text fields,
+ * sliders, selects), so game keys keep their default action there.
+ *
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isFormField(target) {
+    return target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement;
+}
+
 /**
  * Handles keydown events for player input.
- * Activates corresponding movement or action flags
- * in the {@link Keyboard} instance.
+ * Activates the {@link Keyboard} flag of the bound action, toggles pause
+ * for the PAUSE binding and the debug overlay on ` (backquote).
+ * A key shared with an aim action aims while THROW is held.
+ * Bound keys don't scroll the page or press the focused button (Space).
+ * While a key binding is captured, the key is bound instead.
  *
  * @param {KeyboardEvent} e - The keydown event object.
  * @returns {void}
  */
 window.addEventListener('keydown', (e) => {
-    if (e.code === 'ArrowRight' || e.code === 'KeyD') {
-        keyboard.RIGHT = true;
-    }
-    if (e.code === 'ArrowLeft' || e.code === 'KeyA') {
-        keyboard.LEFT = true;
+    if (bindingCapture) {
+        e.preventDefault();
+        if (e.code === 'Escape') {
+            cancelBindingCapture();
+        } else if (bindingCapture.device === 'keys') {
+            applyBinding(e.code);
+        }
+        return;
     }
-    if (e.code === 'ArrowUp' || e.code === 'KeyW') {
-        keyboard.JUMP = true;
+    if (e.code === 'Backquote' && !e.repeat && world) {
+        world.debugOverlay.toggle();
     }
-    if (e.code === 'KeyF') {
-        keyboard.THROW = true;
+    const action = inputBindings.actionForKey(e.code, keyboard.THROW);
+    if (action === 'PAUSE') {
+        if (!e.repeat) togglePause();
+    } else if (action) {
+        if (!isFormField(e.target)) e.preventDefault();
+        keyboard[action] = true;
     }
 });
 
 /**
  * Handles keyup events for player input.
- * Deactivates corresponding movement or action flags
- * in the {@link Keyboard} instance.
+ * Deactivates the {@link Keyboard} flags of every action bound to the key.
  *
  * @param {KeyboardEvent} e - The keyup event object.
  * @returns {void}
  */
 window.addEventListener('keyup', (e) => {
-    if (e.code === 'ArrowRight' || e.code === 'KeyD') {
-        keyboard.RIGHT = false;
-    }
-    if (e.code === 'ArrowLeft' || e.code === 'KeyA') {
-        keyboard.LEFT = false;
-    }
-    if (e.code === 'ArrowUp' || e.code === 'KeyW') {
-        keyboard.JUMP = false;
-    }
-    if (e.code === 'KeyF') {
-        keyboard.THROW = false;
+    inputBindings.actionsForKey(e.code).forEach((action) => {
+        if (action !== 'PAUSE') keyboard[action] = false;
+    });
+});
+
+renderHelpScreen();
+
+gamepad.onConnect = () => showToast('🎮 Gamepad connected');
+gamepad.onDisconnect = () => showToast('🎮 Gamepad disconnected');
+gamepad.onPause = togglePause;
+
+/**
+ * Pauses the game automatically when the tab loses visibility.
+ *
+ * @returns {void}
+ */
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden && world) {
+        world.pause();
     }
-});
\ No newline at end of file
+});
+
+window.addEventListener('pointerdown', startMenuMusic, { once: true });
+window.addEventListener('keydown', startMenuMusic, { once: true });
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Defines the campaign: the ordered list of all playable levels.
+ * To add a level, create its data file in the JSON level format,
+ * load it in index.html and append it here.
+ *
+ * @see LevelRegistry
+ * @see LevelLoader
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * All levels of the game in play order.
+ * @type {LevelRegistry}
+ */
+const CAMPAIGN = new LevelRegistry([
+    LEVEL1_DATA,
+    LEVEL2_DATA
+]);
\ No newline at end of file
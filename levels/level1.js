@@ -1,151 +1,119 @@
 /**
  * @fileoverview Defines the first playable level of the game.
- * Contains all entities such as enemies, clouds, background layers,
- * bottles, and coins that appear within Level 1.
+ * The level is described in the JSON level format understood by
+ * {@link LevelLoader}: background segments, explicitly placed enemies,
+ * clouds, bottles, coins, power-ups and checkpoints, the level end and the boss spawn point.
  *
- * The level is constructed by instantiating the {@link Level} class
- * with five arrays of game objects representing:
- *   1) Enemies (e.g., Chickens, SmallChickens, Endboss)
- *   2) Clouds (decorative background elements)
- *   3) Background layers (air and parallax tiles)
- *   4) Bottles (collectible ammunition)
- *   5) Coins (collectible items)
+ * The data is kept in a script (instead of a .json file) so the game
+ * also runs when index.html is opened directly from disk.
+ * The level is registered in the {@link CAMPAIGN}.
  *
  * @author KW
- * @version 1.0.1
+ * @version 1.3.0
  */
 
 /**
- * Creates a new instance of Level 1.
- *
- * This function encapsulates all entities that belong to Level 1 and returns
- * a fresh {@link Level} object. It is used both on initial load and when
- * resetting the game without reloading the page.
- *
- * @returns {Level} A new Level 1 instance.
- */
-function createLevel1() {
-    return new Level(
-
-        /**
-         * Enemies appearing in Level 1.
-         * Includes Chickens, SmallChickens and the Endboss.
-         * @type {Array<Chicken | SmallChicken | Endboss>}
-         */
-        [
-            new SmallChicken(),
-            new SmallChicken(),
-            new SmallChicken(),
-            new SmallChicken(),
-            new SmallChicken(),
-
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-
-            new Endboss()
-        ],
-
-        /**
-         * Cloud objects for background ambience.
-         * @type {Cloud[]}
-         */
-        [
-            new Cloud(),
-            new Cloud(),
-            new Cloud(),
-            new Cloud()
-        ],
-
-        /**
-         * Background layers that create the parallax scrolling effect.
-         * Each group of images (air, 3rd, 2nd, 1st layer)
-         * forms one full segment of width 719px.
-         *
-         * @type {BackgroundObject[]}
-         */
-        [
-            // Segment -1 (hidden left)
-            new BackgroundObject('img/5_background/layers/air.png', -719),
-            new BackgroundObject('img/5_background/layers/3_third_layer/2.png', -719),
-            new BackgroundObject('img/5_background/layers/2_second_layer/2.png', -719),
-            new BackgroundObject('img/5_background/layers/1_first_layer/2.png', -719),
-
-            // Segment 0
-            new BackgroundObject('img/5_background/layers/air.png', 0),
-            new BackgroundObject('img/5_background/layers/3_third_layer/1.png', 0),
-            new BackgroundObject('img/5_background/layers/2_second_layer/1.png', 0),
-            new BackgroundObject('img/5_background/layers/1_first_layer/1.png', 0),
-
-            // Segment 1
-            new BackgroundObject('img/5_background/layers/air.png', 719),
-            new BackgroundObject('img/5_background/layers/3_third_layer/2.png', 719),
-            new BackgroundObject('img/5_background/layers/2_second_layer/2.png', 719),
-            new BackgroundObject('img/5_background/layers/1_first_layer/2.png', 719),
-
-            // Segment 2
-            new BackgroundObject('img/5_background/layers/air.png', 719 * 2),
-            new BackgroundObject('img/5_background/layers/3_third_layer/1.png', 719 * 2),
-            new BackgroundObject('img/5_background/layers/2_second_layer/1.png', 719 * 2),
-            new BackgroundObject('img/5_background/layers/1_first_layer/1.png', 719 * 2),
-
-            // Segment 3
-            new BackgroundObject('img/5_background/layers/air.png', 719 * 3),
-            new BackgroundObject('img/5_background/layers/3_third_layer/2.png', 719 * 3),
-            new BackgroundObject('img/5_background/layers/2_second_layer/2.png', 719 * 3),
-            new BackgroundObject('img/5_background/layers/1_first_layer/2.png', 719 * 3),
-
-            // Segment 4
-            new BackgroundObject('img/5_background/layers/air.png', 719 * 4),
-            new BackgroundObject('img/5_background/layers/3_third_layer/1.png', 719 * 4),
-            new BackgroundObject('img/5_background/layers/2_second_layer/1.png', 719 * 4),
-            new BackgroundObject('img/5_background/layers/1_first_layer/1.png', 719 * 4)
-        ],
-
-        /**
-         * Bottles that the player can collect.
-         * @type {Bottle[]}
-         */
-        [
-            new Bottle(),
-            new Bottle(),
-            new Bottle(),
-            new Bottle(),
-            new Bottle(),
-            new Bottle(),
-            new Bottle(),
-            new Bottle(),
-            new Bottle(),
-            new Bottle(),
-            new Bottle()
-        ],
-
-        /**
-         * Coins available throughout the level.
-         * @type {Coin[]}
-         */
-        [
-            new Coin(),
-            new Coin(),
-            new Coin(),
-            new Coin(),
-            new Coin()
-        ]
-    );
-}
-
-/**
- * Level 1 – current instance of the first stage of the game world.
- *
- * This variable holds the active instance of Level 1 used by the {@link World}
- * class. On game reset, this reference is reassigned to a fresh instance
- * created by {@link createLevel1}, so all enemies, bottles, coins,
- * and background objects are restored to their initial state.
- *
- * @type {Level}
+ * Level 1 data in the JSON level format.
+ * @type {Object}
  */
-let level1;
\ No newline at end of file
+const LEVEL1_DATA = {
+    "name": "Desert Outskirts",
+    "level_end_x": 2500,
+    "music": "audio/music.mp3",
+    "background": [
+        {
+            "x": -719,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/2.png",
+                "img/5_background/layers/2_second_layer/2.png",
+                "img/5_background/layers/1_first_layer/2.png"
+            ]
+        },
+        {
+            "x": 0,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/1.png",
+                "img/5_background/layers/2_second_layer/1.png",
+                "img/5_background/layers/1_first_layer/1.png"
+            ]
+        },
+        {
+            "x": 719,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/2.png",
+                "img/5_background/layers/2_second_layer/2.png",
+                "img/5_background/layers/1_first_layer/2.png"
+            ]
+        },
+        {
+            "x": 1438,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/1.png",
+                "img/5_background/layers/2_second_layer/1.png",
+                "img/5_background/layers/1_first_layer/1.png"
+            ]
+        },
+        {
+            "x": 2157,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/2.png",
+                "img/5_background/layers/2_second_layer/2.png",
+                "img/5_background/layers/1_first_layer/2.png"
+            ]
+        },
+        {
+            "x": 2876,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/1.png",
+                "img/5_background/layers/2_second_layer/1.png",
+                "img/5_background/layers/1_first_layer/1.png"
+            ]
+        }
+    ],
+    "entities": [
+        { "type": "smallChicken", "x": 539 },
+        { "type": "chicken", "x": 625 },
+        { "type": "chicken", "x": 792 },
+        { "type": "smallChicken", "x": 864 },
+        { "type": "chicken", "x": 910 },
+        { "type": "chicken", "x": 1135 },
+        { "type": "smallChicken", "x": 1252 },
+        { "type": "chicken", "x": 1265 },
+        { "type": "chicken", "x": 1333 },
+        { "type": "smallChicken", "x": 1442 },
+        { "type": "chicken", "x": 1584 },
+        { "type": "smallChicken", "x": 1752 },
+        { "type": "cloud", "x": 208 },
+        { "type": "cloud", "x": 858 },
+        { "type": "cloud", "x": 1378 },
+        { "type": "cloud", "x": 2219 },
+        { "type": "bottle", "x": 462 },
+        { "type": "bottle", "x": 642 },
+        { "type": "bottle", "x": 743 },
+        { "type": "bottle", "x": 893 },
+        { "type": "bottle", "x": 1014 },
+        { "type": "bottle", "x": 1168 },
+        { "type": "bottle", "x": 1282 },
+        { "type": "bottle", "x": 1399 },
+        { "type": "bottle", "x": 1613 },
+        { "type": "bottle", "x": 1750 },
+        { "type": "bottle", "x": 1869 },
+        { "type": "coin", "x": 600, "y": 177 },
+        { "type": "coin", "x": 806, "y": 140 },
+        { "type": "coin", "x": 1085, "y": 185 },
+        { "type": "coin", "x": 1399, "y": 139 },
+        { "type": "coin", "x": 1647, "y": 196 },
+        { "type": "chili", "x": 950, "y": 200 },
+        { "type": "sombrero", "x": 2050, "y": 220 },
+        { "type": "checkpoint", "x": 1250 }
+    ],
+    "bosses": [
+        { "type": "endboss", "x": 2500 }
+    ]
+};
\ No newline at end of file
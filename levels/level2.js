@@ -1,137 +1,154 @@
 /**
  * @fileoverview Defines the second playable level of the game.
- * Similar to Level 1 but with adjusted difficulty,
- * enemy placement and collectibles.
+ * Similar to Level 1 but with adjusted difficulty, more enemies and
+ * collectibles and two endbosses. Described in the JSON level format
+ * understood by {@link LevelLoader}.
  *
  * @author KW
- * @version 1.0.0
+ * @version 1.3.0
  */
 
 /**
- * Creates a new instance of Level 2.
- *
- * @returns {Level} A new Level 2 instance.
- */
-function createLevel2() {
-    return new Level(
-
-        /**
-         * Enemies appearing in Level 2.
-         * Slightly harder: more chickens + two endbosses.
-         * @type {Array<Chicken | SmallChicken | Endboss>}
-         */
-        [
-            
-            new SmallChicken(),
-            new SmallChicken(),
-            new SmallChicken(),
-            new SmallChicken(),
-            new SmallChicken(),
-            new SmallChicken(),
-            new SmallChicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Chicken(),
-            new Endboss(719 * 2.5),
-            new Endboss(719 * 4.1)
-        ],
-
-        /**
-         * Cloud objects for background ambience.
-         * @type {Cloud[]}
-         */
-        [
-            new Cloud(),
-            new Cloud(),
-            new Cloud(),
-            new Cloud(),
-            new Cloud(),
-            new Cloud()
-        ],
-
-        /**
-         * Background layers that create the parallax scrolling effect.
-         * Each group of images (air, 3rd, 2nd, 1st layer)
-         * forms one full segment of width 719px.
-         *
-         * @type {BackgroundObject[]}
-         */
-        [
-            // Segment -1 (hidden left)
-            new BackgroundObject('img/5_background/layers/air.png', -719),
-            new BackgroundObject('img/5_background/layers/3_third_layer/2.png', -719),
-            new BackgroundObject('img/5_background/layers/2_second_layer/2.png', -719),
-            new BackgroundObject('img/5_background/layers/1_first_layer/2.png', -719),
-
-            // Segment 0
-            new BackgroundObject('img/5_background/layers/air.png', 0),
-            new BackgroundObject('img/5_background/layers/3_third_layer/1.png', 0),
-            new BackgroundObject('img/5_background/layers/2_second_layer/1.png', 0),
-            new BackgroundObject('img/5_background/layers/1_first_layer/1.png', 0),
-
-            // Segment 1
-            new BackgroundObject('img/5_background/layers/air.png', 719),
-            new BackgroundObject('img/5_background/layers/3_third_layer/2.png', 719),
-            new BackgroundObject('img/5_background/layers/2_second_layer/2.png', 719),
-            new BackgroundObject('img/5_background/layers/1_first_layer/2.png', 719),
-
-            // Segment 2
-            new BackgroundObject('img/5_background/layers/air.png', 719 * 2),
-            new BackgroundObject('img/5_background/layers/3_third_layer/1.png', 719 * 2),
-            new BackgroundObject('img/5_background/layers/2_second_layer/1.png', 719 * 2),
-            new BackgroundObject('img/5_background/layers/1_first_layer/1.png', 719 * 2),
-
-            // Segment 3
-            new BackgroundObject('img/5_background/layers/air.png', 719 * 3),
-            new BackgroundObject('img/5_background/layers/3_third_layer/2.png', 719 * 3),
-            new BackgroundObject('img/5_background/layers/2_second_layer/2.png', 719 * 3),
-            new BackgroundObject('img/5_background/layers/1_first_layer/2.png', 719 * 3),
-
-            // Segment 4
-            new BackgroundObject('img/5_background/layers/air.png', 719 * 4),
-            new BackgroundObject('img/5_background/layers/3_third_layer/2.png', 719 * 4),
-            new BackgroundObject('img/5_background/layers/2_second_layer/2.png', 719 * 4),
-            new BackgroundObject('img/5_background/layers/1_first_layer/2.png', 719 * 4),
-
-            // Segment 5
-            new BackgroundObject('img/5_background/layers/air.png', 719 * 5),
-            new BackgroundObject('img/5_background/layers/3_third_layer/1.png', 719 * 5),
-            new BackgroundObject('img/5_background/layers/2_second_layer/1.png', 719 * 5),
-            new BackgroundObject('img/5_background/layers/1_first_layer/1.png', 719 * 5)
-        ],
-
-        /**
-         * Bottles that the player can collect.
-         * @type {Bottle[]}
-         */
-        [
-            new Bottle(), new Bottle(), new Bottle(), new Bottle(), new Bottle(),
-            new Bottle(), new Bottle(), new Bottle(), new Bottle(), new Bottle(),
-            new Bottle(), new Bottle(), new Bottle(), new Bottle(), new Bottle(),
-            new Bottle(), new Bottle(), new Bottle(), new Bottle(), new Bottle(),
-            new Bottle(), new Bottle(), new Bottle(), new Bottle(), new Bottle()
-        ],
-
-        /**
-         * Coins available throughout the level.
-         * @type {Coin[]}
-         */
-        [
-            new Coin(), new Coin(), new Coin(), new Coin(), new Coin(),
-            new Coin(), new Coin(), new Coin(), new Coin(), new Coin(),
-            new Coin(), new Coin(), new Coin()
-        ]
-    );
-}
-
-/**
- * Level 2 – instance of the second stage of the game world.
- *
- * @type {Level}
+ * Level 2 data in the JSON level format.
+ * @type {Object}
  */
-let level2;
\ No newline at end of file
+const LEVEL2_DATA = {
+    "name": "Cactus Canyon",
+    "level_end_x": 2500,
+    "music": "audio/music.mp3",
+    "background": [
+        {
+            "x": -719,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/2.png",
+                "img/5_background/layers/2_second_layer/2.png",
+                "img/5_background/layers/1_first_layer/2.png"
+            ]
+        },
+        {
+            "x": 0,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/1.png",
+                "img/5_background/layers/2_second_layer/1.png",
+                "img/5_background/layers/1_first_layer/1.png"
+            ]
+        },
+        {
+            "x": 719,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/2.png",
+                "img/5_background/layers/2_second_layer/2.png",
+                "img/5_background/layers/1_first_layer/2.png"
+            ]
+        },
+        {
+            "x": 1438,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/1.png",
+                "img/5_background/layers/2_second_layer/1.png",
+                "img/5_background/layers/1_first_layer/1.png"
+            ]
+        },
+        {
+            "x": 2157,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/2.png",
+                "img/5_background/layers/2_second_layer/2.png",
+                "img/5_background/layers/1_first_layer/2.png"
+            ]
+        },
+        {
+            "x": 2876,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/2.png",
+                "img/5_background/layers/2_second_layer/2.png",
+                "img/5_background/layers/1_first_layer/2.png"
+            ]
+        },
+        {
+            "x": 3595,
+            "layers": [
+                "img/5_background/layers/air.png",
+                "img/5_background/layers/3_third_layer/1.png",
+                "img/5_background/layers/2_second_layer/1.png",
+                "img/5_background/layers/1_first_layer/1.png"
+            ]
+        }
+    ],
+    "entities": [
+        { "type": "smallChicken", "x": 586 },
+        { "type": "smallChicken", "x": 660 },
+        { "type": "chicken", "x": 681 },
+        { "type": "chicken", "x": 830 },
+        { "type": "smallChicken", "x": 854 },
+        { "type": "chicken", "x": 933 },
+        { "type": "chicken", "x": 992 },
+        { "type": "chicken", "x": 1201 },
+        { "type": "smallChicken", "x": 1235 },
+        { "type": "chicken", "x": 1296 },
+        { "type": "smallChicken", "x": 1310 },
+        { "type": "chicken", "x": 1394 },
+        { "type": "chicken", "x": 1507 },
+        { "type": "smallChicken", "x": 1514 },
+        { "type": "smallChicken", "x": 1819 },
+        { "type": "cloud", "x": 178 },
+        { "type": "cloud", "x": 827 },
+        { "type": "cloud", "x": 1029 },
+        { "type": "cloud", "x": 1602 },
+        { "type": "cloud", "x": 2077 },
+        { "type": "cloud", "x": 2392 },
+        { "type": "bottle", "x": 413 },
+        { "type": "bottle", "x": 506 },
+        { "type": "bottle", "x": 558 },
+        { "type": "bottle", "x": 595 },
+        { "type": "bottle", "x": 648 },
+        { "type": "bottle", "x": 732 },
+        { "type": "bottle", "x": 768 },
+        { "type": "bottle", "x": 870 },
+        { "type": "bottle", "x": 910 },
+        { "type": "bottle", "x": 971 },
+        { "type": "bottle", "x": 1026 },
+        { "type": "bottle", "x": 1098 },
+        { "type": "bottle", "x": 1170 },
+        { "type": "bottle", "x": 1201 },
+        { "type": "bottle", "x": 1264 },
+        { "type": "bottle", "x": 1334 },
+        { "type": "bottle", "x": 1380 },
+        { "type": "bottle", "x": 1455 },
+        { "type": "bottle", "x": 1512 },
+        { "type": "bottle", "x": 1567 },
+        { "type": "bottle", "x": 1638 },
+        { "type": "bottle", "x": 1691 },
+        { "type": "bottle", "x": 1730 },
+        { "type": "bottle", "x": 1834 },
+        { "type": "bottle", "x": 1863 },
+        { "type": "coin", "x": 451, "y": 119 },
+        { "type": "coin", "x": 564, "y": 104 },
+        { "type": "coin", "x": 728, "y": 154 },
+        { "type": "coin", "x": 846, "y": 180 },
+        { "type": "coin", "x": 920, "y": 165 },
+        { "type": "coin", "x": 1025, "y": 120 },
+        { "type": "coin", "x": 1113, "y": 169 },
+        { "type": "coin", "x": 1302, "y": 105 },
+        { "type": "coin", "x": 1350, "y": 141 },
+        { "type": "coin", "x": 1500, "y": 183 },
+        { "type": "coin", "x": 1598, "y": 192 },
+        { "type": "coin", "x": 1711, "y": 146 },
+        { "type": "coin", "x": 1829, "y": 185 },
+        { "type": "tequila", "x": 1150, "y": 200 },
+        { "type": "taco", "x": 1650, "y": 220 },
+        { "type": "sombrero", "x": 2400, "y": 220 },
+        { "type": "checkpoint", "x": 1000 },
+        { "type": "checkpoint", "x": 2100 }
+    ],
+    "bosses": [
+        { "type": "endboss", "x": 1797.5 },
+        { "type": "endboss", "x": 2947.9 }
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Defines the {@link ActiveEffects} class.
+ * Keeps the timed effects a {@link Character} got from {@link PowerUp}s
+ * (speed boost, shield, multi-shot) and counts them down in simulated
+ * time, so effects freeze while the game is paused and replay exactly.
+ *
+ * An effect is started from a power-up definition (see {@link PowerUp.KINDS});
+ * its parameters (e.g. the speed `factor`) stay readable through
+ * {@link ActiveEffects#get} while it runs. Picking up an effect that is
+ * already active restarts its countdown.
+ *
+ * @see PowerUp
+ * @see World
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * A running effect: the power-up definition plus its remaining time.
+ * @typedef {Object} ActiveEffect
+ * @property {string} effect - Effect name, e.g. `speed`.
+ * @property {string} icon - Icon shown in the HUD.
+ * @property {number} durationMs - Full duration of the effect.
+ * @property {number} remainingMs - Time left before the effect ends.
+ */
+
+/**
+ * Class representing the timed effects of one object.
+ *
+ * @class ActiveEffects
+ */
+class ActiveEffects {
+    /**
+     * Running effects by name, in activation order.
+     * @type {Map<string, ActiveEffect>}
+     */
+    effects = new Map();
+
+    /**
+     * Starts an effect, or restarts it if it is already running.
+     *
+     * @param {{effect: string, icon: string, durationMs: number}} definition - A timed power-up definition.
+     * @returns {void}
+     * @throws {RangeError} If the duration is not positive.
+     */
+    add(definition) {
+        if (!(definition.durationMs > 0)) {
+            throw new RangeError(`Effect "${definition.effect}" needs a positive duration, got ${definition.durationMs}`);
+        }
+        this.effects.delete(definition.effect);
+        this.effects.set(definition.effect, { ...definition, remainingMs: definition.durationMs });
+    }
+
+    /**
+     * Checks whether an effect is running.
+     *
+     * @param {string} name - Effect name.
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.effects.has(name);
+    }
+
+    /**
+     * Returns a running effect.
+     *
+     * @param {string} name - Effect name.
+     * @returns {ActiveEffect|undefined}
+     */
+    get(name) {
+        return this.effects.get(name);
+    }
+
+    /**
+     * Ends an effect early, e.g. a shield that absorbed a hit.
+     *
+     * @param {string} name - Effect name.
+     * @returns {boolean} True if the effect was running.
+     */
+    consume(name) {
+        return this.effects.delete(name);
+    }
+
+    /**
+     * Counts all effects down and ends the expired ones.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    update(dt) {
+        this.effects.forEach((effect, name) => {
+            effect.remainingMs -= dt;
+            if (effect.remainingMs <= 0) this.effects.delete(name);
+        });
+    }
+
+    /**
+     * Ends all effects.
+     *
+     * @returns {void}
+     */
+    clear() {
+        this.effects.clear();
+    }
+
+    /**
+     * Returns the running effects in activation order.
+     *
+     * @returns {ActiveEffect[]}
+     */
+    list() {
+        return [...this.effects.values()];
+    }
+}
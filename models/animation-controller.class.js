@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Defines the {@link AnimationController} class.
+ * Plays the sprite animations of a {@link MoveableObject} from a
+ * declarative configuration instead of hand-written if-chains:
+ * ```js
+ * static ANIMATIONS = {
+ *     fps: 10,
+ *     clips: {
+ *         idle: { frames: 'IMAGES_STANDING' },
+ *         walk: { frames: 'IMAGES_WALKING', priority: 1 },
+ *         dead: { frames: 'IMAGES_DEAD', fps: 6, mode: 'once', priority: 9 }
+ *     },
+ *     transitions: [
+ *         { to: 'dead', when: (owner) => owner.isDead() },
+ *         { to: 'walk', from: ['idle'], when: (owner) => owner.isWalking() },
+ *         { to: 'idle' }
+ *     ]
+ * };
+ * ```
+ *
+ * - `frames` names an image list of the owner (e.g. `IMAGES_DEAD`), a
+ *   {@link SpriteAtlas} animation, or is an array of image paths.
+ * - `mode` is `loop` (default) or `once`. A finished one-shot clip holds
+ *   its last frame, fires `complete` and continues with `next`, if given.
+ * - Every step the transitions are checked from the highest target
+ *   priority down; the first one whose `from` list (default: any clip)
+ *   and `when` condition (default: always) match selects the clip. A
+ *   running one-shot clip is only interrupted by a higher priority.
+ *
+ * Listeners registered with {@link AnimationController#on} receive
+ * `start` (clip, previous clip) and `complete` (clip) events.
+ *
+ * @see MoveableObject
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * A named animation clip.
+ * @typedef {Object} AnimationClip
+ * @property {string} name
+ * @property {string[]} frames - Image paths in play order.
+ * @property {number} fps - Frames per second.
+ * @property {boolean} loop - False for one-shot clips.
+ * @property {number} priority - Higher priorities win and may interrupt one-shot clips.
+ * @property {?string} next - Clip to continue with after a one-shot clip.
+ */
+
+/**
+ * Class representing the animation state machine of one object.
+ *
+ * @class AnimationController
+ */
+class AnimationController {
+    /**
+     * Frame rate used when neither the clip nor the configuration sets one.
+     * @type {number}
+     */
+    static DEFAULT_FPS = 10;
+
+    /**
+     * Supported clip modes.
+     * @type {string[]}
+     */
+    static MODES = ['loop', 'once'];
+
+    /**
+     * The animated object; its `img` is set to the current frame.
+     * @type {DrawableObject}
+     */
+    owner;
+
+    /**
+     * Clips by name.
+     * @type {Object.<string, AnimationClip>}
+     */
+    clips = {};
+
+    /**
+     * Transitions sorted by descending target priority.
+     * @type {{to: string, from: ?string[], when: ?function(DrawableObject): boolean}[]}
+     */
+    transitions = [];
+
+    /**
+     * Name of the playing clip, or null before the first update.
+     * @type {?string}
+     */
+    current = null;
+
+    /**
+     * Index of the shown frame within the current clip.
+     * @type {number}
+     */
+    frameIndex = 0;
+
+    /**
+     * Time in ms the current frame has been shown.
+     * @type {number}
+     */
+    elapsedMs = 0;
+
+    /**
+     * Flag indicating that the current one-shot clip has played to the end.
+     * @type {boolean}
+     */
+    finished = false;
+
+    /**
+     * Event listeners by event name.
+     * @type {Object.<string, Function[]>}
+     */
+    listeners = { start: [], complete: [] };
+
+    /**
+     * Creates a new {@link AnimationController} instance and loads the
+     * frames of every clip into the owner's image cache.
+     *
+     * @constructor
+     * @param {DrawableObject} owner - The animated object.
+     * @param {{fps?: number, clips: Object.<string, Object>, transitions?: Object[]}} config
+     * @throws {RangeError} If a clip or transition is invalid.
+     */
+    constructor(owner, config) {
+        this.owner = owner;
+        Object.entries(config.clips).forEach(([name, clip]) => {
+            this.clips[name] = this.createClip(name, clip, config.fps);
+        });
+        Object.values(this.clips).forEach((clip) => clip.next && this.checkClip(clip.next));
+        this.transitions = (config.transitions || [])
+            .map((transition) => this.createTransition(transition))
+            .sort((a, b) => this.clips[b.to].priority - this.clips[a.to].priority);
+    }
+
+    /**
+     * Builds a clip from its configuration.
+     *
+     * @param {string} name
+     * @param {Object} clip - Clip configuration.
+     * @param {number} [fps] - Default frame rate of the configuration.
+     * @returns {AnimationClip}
+     * @throws {RangeError} If the mode is unknown or the clip has no frames.
+     */
+    createClip(name, clip, fps = AnimationController.DEFAULT_FPS) {
+        const mode = clip.mode || 'loop';
+        if (!AnimationController.MODES.includes(mode)) {
+            throw new RangeError(`Unknown mode "${mode}" of animation "${name}" (use ${AnimationController.MODES.join(', ')})`);
+        }
+        const frames = this.resolveFrames(clip.frames);
+        if (frames.length === 0) throw new RangeError(`Animation "${name}" has no frames`);
+        this.owner.loadImages(frames.filter((path) => !this.owner.imageCache[path]));
+        return {
+            name,
+            frames,
+            fps: clip.fps || fps,
+            loop: mode === 'loop',
+            priority: clip.priority || 0,
+            next: clip.next || null
+        };
+    }
+
+    /**
+     * Resolves the frame list of a clip.
+     *
+     * @param {string[]|string} frames - Image paths, the name of an image list of the
+     *   owner or the name of a {@link SpriteAtlas} animation.
+     * @returns {string[]}
+     */
+    resolveFrames(frames) {
+        if (Array.isArray(frames)) return frames;
+        if (Array.isArray(this.owner[frames])) return this.owner[frames];
+        return SpriteAtlas.getAnimation(frames);
+    }
+
+    /**
+     * Checks a transition against the clips.
+     *
+     * @param {{to: string, from?: string|string[], when?: function(DrawableObject): boolean}} transition
+     * @returns {{to: string, from: ?string[], when: ?function(DrawableObject): boolean}}
+     * @throws {RangeError} If the transition names an unknown clip.
+     */
+    createTransition({ to, from, when }) {
+        const sources = from === undefined ? null : [].concat(from);
+        [to, ...(sources || [])].forEach((name) => this.checkClip(name));
+        return { to, from: sources, when: when || null };
+    }
+
+    /**
+     * Throws if no clip has the given name.
+     *
+     * @param {string} name
+     * @returns {void}
+     * @throws {RangeError}
+     */
+    checkClip(name) {
+        if (!this.clips[name]) {
+            throw new RangeError(`Unknown animation "${name}" (use ${Object.keys(this.clips).join(', ')})`);
+        }
+    }
+
+    /**
+     * Registers an event listener.
+     *
+     * @param {'start'|'complete'} event
+     * @param {function(string, ?string): void} callback - Receives the clip name
+     *   (and the previous clip for `start`).
+     * @returns {AnimationController} This controller, for chaining.
+     */
+    on(event, callback) {
+        this.listeners[event].push(callback);
+        return this;
+    }
+
+    /**
+     * The playing clip.
+     *
+     * @type {?AnimationClip}
+     */
+    get clip() {
+        return this.current ? this.clips[this.current] : null;
+    }
+
+    /**
+     * Starts a clip from its first frame. Playing the current clip again
+     * does nothing unless `restart` is set.
+     *
+     * @param {string} name - Clip name.
+     * @param {boolean} [restart=false] - Restart the clip if it is already playing.
+     * @returns {void}
+     * @throws {RangeError} If the clip does not exist.
+     */
+    play(name, restart = false) {
+        this.checkClip(name);
+        if (name === this.current && !restart) return;
+        const previous = this.current;
+        this.current = name;
+        this.frameIndex = 0;
+        this.elapsedMs = 0;
+        this.finished = false;
+        this.applyFrame();
+        this.emit('start', name, previous);
+    }
+
+    /**
+     * Selects the clip for the owner's state and advances it.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    update(dt) {
+        this.selectClip();
+        this.advance(dt);
+    }
+
+    /**
+     * Follows the first matching transition, if the current clip may be left.
+     *
+     * @returns {void}
+     */
+    selectClip() {
+        const transition = this.transitions.find((candidate) =>
+            (!candidate.from || candidate.from.includes(this.current)) &&
+            (!candidate.when || candidate.when(this.owner)));
+        if (!transition || transition.to === this.current) return;
+        if (this.canInterrupt(transition.to)) this.play(transition.to);
+    }
+
+    /**
+     * Checks whether the current clip may be replaced by another one.
+     *
+     * @param {string} name - The clip to switch to.
+     * @returns {boolean}
+     */
+    canInterrupt(name) {
+        const clip = this.clip;
+        if (!clip || clip.loop || this.finished) return true;
+        return this.clips[name].priority > clip.priority;
+    }
+
+    /**
+     * Advances the current clip by the elapsed time.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    advance(dt) {
+        const clip = this.clip;
+        if (!clip || this.finished) return;
+        const frameMs = 1000 / clip.fps;
+        this.elapsedMs += dt;
+        while (this.elapsedMs >= frameMs) {
+            this.elapsedMs -= frameMs;
+            if (this.frameIndex < clip.frames.length - 1) {
+                this.frameIndex++;
+            } else if (clip.loop) {
+                this.frameIndex = 0;
+            } else {
+                this.applyFrame();
+                this.complete(clip);
+                return;
+            }
+        }
+        this.applyFrame();
+    }
+
+    /**
+     * Ends a one-shot clip on its last frame and continues with `next`.
+     *
+     * @param {AnimationClip} clip
+     * @returns {void}
+     */
+    complete(clip) {
+        this.finished = true;
+        this.elapsedMs = 0;
+        this.emit('complete', clip.name);
+        if (clip.next && this.current === clip.name) this.play(clip.next);
+    }
+
+    /**
+     * Shows the current frame on the owner.
+     *
+     * @returns {void}
+     */
+    applyFrame() {
+        this.owner.img = this.owner.imageCache[this.clip.frames[this.frameIndex]];
+    }
+
+    /**
+     * Calls the listeners of an event.
+     *
+     * @param {string} event
+     * @param {...*} args
+     * @returns {void}
+     */
+    emit(event, ...args) {
+        this.listeners[event].forEach((callback) => callback(...args));
+    }
+}
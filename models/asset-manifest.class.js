@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Defines the {@link AssetManifest} class.
+ * Lists every file the game needs before the first frame: the sprites
+ * of all entities and status bars, the background layers and music of
+ * every campaign level, the sound effects and the music tracks.
+ *
+ * Sprites are listed here (and packed into atlases by
+ * scripts/pack-atlases.js); everything else is taken from the level
+ * data, {@link SoundManager.SOUNDS} and {@link MusicDirector.STATES},
+ * so new levels and sounds are picked up automatically. A test checks
+ * that the sprite list covers every image the entities load.
+ *
+ * Packed atlases are only used when {@link AssetManifest.ATLAS_INDEX}
+ * points to their index.
+ *
+ * @see AssetPreloader
+ *
+ * @author KW
+ * @version 1.3.0
+ */
+
+/**
+ * Class describing the game's assets.
+ *
+ * @class AssetManifest
+ */
+class AssetManifest {
+    /**
+     * Index of the sprite atlases shipped with the game (see {@link SpriteAtlas}),
+     * or null to load the single images. img/atlas/ is not committed: a build
+     * that runs `npm run pack-atlases` sets this to `'img/atlas/atlases.json'`.
+     * @type {?string}
+     */
+    static ATLAS_INDEX = null;
+
+    /**
+     * Sprite images of the character, enemies, pickups, clouds and status bars.
+     * @type {string[]}
+     */
+    static SPRITES = [
+        'img/2_character_pepe/1_idle/idle/I-1.png',
+        'img/2_character_pepe/1_idle/idle/I-2.png',
+        'img/2_character_pepe/1_idle/idle/I-3.png',
+        'img/2_character_pepe/1_idle/idle/I-4.png',
+        'img/2_character_pepe/1_idle/idle/I-5.png',
+        'img/2_character_pepe/1_idle/idle/I-6.png',
+        'img/2_character_pepe/1_idle/idle/I-7.png',
+        'img/2_character_pepe/1_idle/idle/I-8.png',
+        'img/2_character_pepe/1_idle/idle/I-9.png',
+        'img/2_character_pepe/1_idle/idle/I-10.png',
+        'img/2_character_pepe/1_idle/long_idle/I-11.png',
+        'img/2_character_pepe/1_idle/long_idle/I-12.png',
+        'img/2_character_pepe/1_idle/long_idle/I-13.png',
+        'img/2_character_pepe/1_idle/long_idle/I-14.png',
+        'img/2_character_pepe/1_idle/long_idle/I-15.png',
+        'img/2_character_pepe/1_idle/long_idle/I-16.png',
+        'img/2_character_pepe/1_idle/long_idle/I-17.png',
+        'img/2_character_pepe/1_idle/long_idle/I-18.png',
+        'img/2_character_pepe/1_idle/long_idle/I-19.png',
+        'img/2_character_pepe/1_idle/long_idle/I-20.png',
+        'img/2_character_pepe/2_walk/W-21.png',
+        'img/2_character_pepe/2_walk/W-22.png',
+        'img/2_character_pepe/2_walk/W-23.png',
+        'img/2_character_pepe/2_walk/W-24.png',
+        'img/2_character_pepe/2_walk/W-25.png',
+        'img/2_character_pepe/2_walk/W-26.png',
+        'img/2_character_pepe/3_jump/J-31.png',
+        'img/2_character_pepe/3_jump/J-32.png',
+        'img/2_character_pepe/3_jump/J-33.png',
+        'img/2_character_pepe/3_jump/J-34.png',
+        'img/2_character_pepe/3_jump/J-35.png',
+        'img/2_character_pepe/3_jump/J-36.png',
+        'img/2_character_pepe/3_jump/J-37.png',
+        'img/2_character_pepe/3_jump/J-38.png',
+        'img/2_character_pepe/3_jump/J-39.png',
+        'img/2_character_pepe/4_hurt/H-41.png',
+        'img/2_character_pepe/4_hurt/H-42.png',
+        'img/2_character_pepe/4_hurt/H-43.png',
+        'img/2_character_pepe/5_dead/D-51.png',
+        'img/2_character_pepe/5_dead/D-52.png',
+        'img/2_character_pepe/5_dead/D-53.png',
+        'img/2_character_pepe/5_dead/D-54.png',
+        'img/2_character_pepe/5_dead/D-55.png',
+        'img/2_character_pepe/5_dead/D-56.png',
+        'img/2_character_pepe/5_dead/D-57.png',
+        'img/3_enemies_chicken/chicken_normal/1_walk/1_w.png',
+        'img/3_enemies_chicken/chicken_normal/1_walk/2_w.png',
+        'img/3_enemies_chicken/chicken_normal/1_walk/3_w.png',
+        'img/3_enemies_chicken/chicken_normal/2_dead/dead.png',
+        'img/3_enemies_chicken/chicken_small/1_walk/1_w.png',
+        'img/3_enemies_chicken/chicken_small/1_walk/2_w.png',
+        'img/3_enemies_chicken/chicken_small/1_walk/3_w.png',
+        'img/3_enemies_chicken/chicken_small/2_dead/dead.png',
+        'img/4_enemie_boss_chicken/1_walk/G1.png',
+        'img/4_enemie_boss_chicken/1_walk/G2.png',
+        'img/4_enemie_boss_chicken/1_walk/G3.png',
+        'img/4_enemie_boss_chicken/1_walk/G4.png',
+        'img/4_enemie_boss_chicken/2_alert/G5.png',
+        'img/4_enemie_boss_chicken/2_alert/G6.png',
+        'img/4_enemie_boss_chicken/2_alert/G7.png',
+        'img/4_enemie_boss_chicken/2_alert/G8.png',
+        'img/4_enemie_boss_chicken/2_alert/G9.png',
+        'img/4_enemie_boss_chicken/2_alert/G10.png',
+        'img/4_enemie_boss_chicken/2_alert/G11.png',
+        'img/4_enemie_boss_chicken/2_alert/G12.png',
+        'img/4_enemie_boss_chicken/3_attack/G13.png',
+        'img/4_enemie_boss_chicken/3_attack/G14.png',
+        'img/4_enemie_boss_chicken/3_attack/G15.png',
+        'img/4_enemie_boss_chicken/3_attack/G16.png',
+        'img/4_enemie_boss_chicken/3_attack/G17.png',
+        'img/4_enemie_boss_chicken/3_attack/G18.png',
+        'img/4_enemie_boss_chicken/3_attack/G19.png',
+        'img/4_enemie_boss_chicken/3_attack/G20.png',
+        'img/4_enemie_boss_chicken/4_hurt/G21.png',
+        'img/4_enemie_boss_chicken/4_hurt/G22.png',
+        'img/4_enemie_boss_chicken/4_hurt/G23.png',
+        'img/4_enemie_boss_chicken/5_dead/G24.png',
+        'img/4_enemie_boss_chicken/5_dead/G25.png',
+        'img/4_enemie_boss_chicken/5_dead/G26.png',
+        'img/5_background/layers/4_clouds/1.png',
+        'img/6_salsa_bottle/2_salsa_bottle_on_ground.png',
+        'img/6_salsa_bottle/bottle_rotation/1_bottle_rotation.png',
+        'img/6_salsa_bottle/bottle_rotation/2_bottle_rotation.png',
+        'img/6_salsa_bottle/bottle_rotation/3_bottle_rotation.png',
+        'img/6_salsa_bottle/bottle_rotation/4_bottle_rotation.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/1_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/2_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/3_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/4_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/5_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/6_bottle_splash.png',
+        'img/7_statusbars/1_statusbar/1_statusbar_coin/blue/0.png',
+        'img/7_statusbars/1_statusbar/1_statusbar_coin/blue/20.png',
+        'img/7_statusbars/1_statusbar/1_statusbar_coin/blue/40.png',
+        'img/7_statusbars/1_statusbar/1_statusbar_coin/blue/60.png',
+        'img/7_statusbars/1_statusbar/1_statusbar_coin/blue/80.png',
+        'img/7_statusbars/1_statusbar/1_statusbar_coin/blue/100.png',
+        'img/7_statusbars/1_statusbar/2_statusbar_health/green/0.png',
+        'img/7_statusbars/1_statusbar/2_statusbar_health/green/20.png',
+        'img/7_statusbars/1_statusbar/2_statusbar_health/green/40.png',
+        'img/7_statusbars/1_statusbar/2_statusbar_health/green/60.png',
+        'img/7_statusbars/1_statusbar/2_statusbar_health/green/80.png',
+        'img/7_statusbars/1_statusbar/2_statusbar_health/green/100.png',
+        'img/7_statusbars/1_statusbar/3_statusbar_bottle/blue/0.png',
+        'img/7_statusbars/1_statusbar/3_statusbar_bottle/blue/20.png',
+        'img/7_statusbars/1_statusbar/3_statusbar_bottle/blue/40.png',
+        'img/7_statusbars/1_statusbar/3_statusbar_bottle/blue/60.png',
+        'img/7_statusbars/1_statusbar/3_statusbar_bottle/blue/80.png',
+        'img/7_statusbars/1_statusbar/3_statusbar_bottle/blue/100.png',
+        'img/7_statusbars/2_statusbar_endboss/orange/orange0.png',
+        'img/7_statusbars/2_statusbar_endboss/orange/orange20.png',
+        'img/7_statusbars/2_statusbar_endboss/orange/orange40.png',
+        'img/7_statusbars/2_statusbar_endboss/orange/orange60.png',
+        'img/7_statusbars/2_statusbar_endboss/orange/orange80.png',
+        'img/7_statusbars/2_statusbar_endboss/orange/orange100.png',
+        'img/8_coin/coin_1.png',
+        'img/8_coin/coin_2.png'
+    ];
+
+    /**
+     * Builds the full asset list for a campaign, without duplicates.
+     *
+     * @param {LevelRegistry} levels - The campaign whose levels are preloaded.
+     * @returns {{type: string, src: string}[]} Assets of type 'image', 'sound' or 'music'.
+     */
+    static build(levels) {
+        return [
+            ...AssetManifest.getImages(levels).map((src) => ({ type: 'image', src })),
+            ...AssetManifest.getSounds().map((src) => ({ type: 'sound', src })),
+            ...AssetManifest.getMusic(levels).map((src) => ({ type: 'music', src }))
+        ];
+    }
+
+    /**
+     * Returns all sprites and the background layers of every level.
+     * Sprites held by a registered {@link SpriteAtlas} are replaced by the atlas image.
+     *
+     * @param {LevelRegistry} levels
+     * @returns {string[]}
+     */
+    static getImages(levels) {
+        const layers = levels.levels.flatMap((data) => data.background.flatMap((segment) => segment.layers));
+        const images = [...AssetManifest.SPRITES, ...layers].map((path) => SpriteAtlas.resolveSource(path));
+        return AssetManifest.unique(images);
+    }
+
+    /**
+     * Returns the sound effect files, which are decoded by the {@link AudioEngine}.
+     *
+     * @returns {string[]}
+     */
+    static getSounds() {
+        return AssetManifest.unique(Object.values(SoundManager.SOUNDS).map((sound) => sound.src));
+    }
+
+    /**
+     * Returns the streamed music tracks of every music state and level.
+     *
+     * @param {LevelRegistry} levels
+     * @returns {string[]}
+     */
+    static getMusic(levels) {
+        const tracks = Object.values(MusicDirector.STATES).map((state) => state.track);
+        const levelMusic = levels.levels.map((data) => data.music);
+        return AssetManifest.unique([...tracks, ...levelMusic].filter(Boolean));
+    }
+
+    /**
+     * Removes duplicate paths, keeping the first occurrence.
+     *
+     * @param {string[]} paths
+     * @returns {string[]}
+     */
+    static unique(paths) {
+        return [...new Set(paths)];
+    }
+}
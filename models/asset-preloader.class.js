@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Defines the {@link AssetPreloader} class.
+ * Loads every asset of an {@link AssetManifest} before the game starts:
+ * images through `Image` elements, sound effects by decoding them in the
+ * {@link AudioEngine} and music tracks by buffering an `Audio` element.
+ *
+ * Every asset counts towards the progress once it has loaded, failed or
+ * timed out, so a missing file never blocks the start. Failed assets
+ * are collected and reported when loading completes.
+ *
+ * @see AssetManifest
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing the loading of all game assets.
+ *
+ * @class AssetPreloader
+ */
+class AssetPreloader {
+    /**
+     * Time in milliseconds after which a single asset counts as failed.
+     * @type {number}
+     */
+    static TIMEOUT_MS = 15000;
+
+    /**
+     * Assets to load.
+     * @type {{type: string, src: string}[]}
+     */
+    assets;
+
+    /**
+     * Loader per asset type; each returns a Promise that rejects on failure.
+     * @type {Object.<string, function(string): Promise<*>>}
+     */
+    loaders;
+
+    /**
+     * Time limit per asset in milliseconds.
+     * @type {number}
+     */
+    timeoutMs;
+
+    /**
+     * Number of assets that have finished, successfully or not.
+     * @type {number}
+     */
+    finished = 0;
+
+    /**
+     * Assets that could not be loaded, with the reason.
+     * @type {{type: string, src: string, reason: string}[]}
+     */
+    failed = [];
+
+    /**
+     * Called after every finished asset with the progress between 0 and 1.
+     * @type {?function(number): void}
+     */
+    onProgress = null;
+
+    /**
+     * Creates a new {@link AssetPreloader} instance.
+     *
+     * @constructor
+     * @param {{type: string, src: string}[]} assets - Assets from {@link AssetManifest.build}.
+     * @param {Object.<string, function(string): Promise<*>>} [loaders] - Loaders per type, replaceable in tests.
+     * @param {number} [timeoutMs] - Time limit per asset.
+     */
+    constructor(assets, loaders = AssetPreloader.createLoaders(AudioEngine.getShared()), timeoutMs = AssetPreloader.TIMEOUT_MS) {
+        this.assets = assets;
+        this.loaders = loaders;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Returns the browser loaders for images, sound effects and music.
+     *
+     * @param {AudioEngine} engine - Engine that decodes the sound effects.
+     * @returns {Object.<string, function(string): Promise<*>>}
+     */
+    static createLoaders(engine) {
+        return {
+            image: (src) => AssetPreloader.loadImage(src),
+            sound: (src) => AssetPreloader.loadSound(engine, src),
+            music: (src) => AssetPreloader.loadMusic(src)
+        };
+    }
+
+    /**
+     * Share of finished assets between 0 and 1.
+     *
+     * @type {number}
+     */
+    get progress() {
+        return this.assets.length ? this.finished / this.assets.length : 1;
+    }
+
+    /**
+     * Loads all assets in parallel.
+     *
+     * @returns {Promise<{failed: {type: string, src: string, reason: string}[]}>}
+     *   Resolves once every asset has finished; never rejects.
+     */
+    load() {
+        return Promise.all(this.assets.map((asset) => this.loadAsset(asset)))
+            .then(() => ({ failed: [...this.failed] }));
+    }
+
+    /**
+     * Loads one asset and records its outcome.
+     *
+     * @param {{type: string, src: string}} asset
+     * @returns {Promise<void>}
+     */
+    loadAsset(asset) {
+        const loader = this.loaders[asset.type];
+        const loading = loader
+            ? this.withTimeout(Promise.resolve().then(() => loader(asset.src)))
+            : Promise.reject(new Error(`No loader for asset type "${asset.type}"`));
+        return loading
+            .catch((error) => {
+                this.failed.push({ ...asset, reason: error && error.message ? error.message : String(error) });
+            })
+            .then(() => {
+                this.finished++;
+                if (this.onProgress) this.onProgress(this.progress);
+            });
+    }
+
+    /**
+     * Rejects if the promise does not settle within {@link AssetPreloader#timeoutMs}.
+     *
+     * @param {Promise<*>} promise
+     * @returns {Promise<*>}
+     */
+    withTimeout(promise) {
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs} ms`)), this.timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Loads an image into the browser cache.
+     *
+     * @param {string} src
+     * @returns {Promise<HTMLImageElement>}
+     */
+    static loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Image could not be loaded'));
+            img.src = src;
+        });
+    }
+
+    /**
+     * Decodes a sound effect in the engine. Without Web Audio the effects
+     * play through HTML audio, so there is nothing to decode.
+     *
+     * @param {AudioEngine} engine
+     * @param {string} src
+     * @returns {Promise<void>}
+     */
+    static loadSound(engine, src) {
+        return engine.load(src).then((decoded) => {
+            if (!decoded && engine.available) throw new Error('Sound could not be decoded');
+        });
+    }
+
+    /**
+     * Buffers a music track until it can play through.
+     *
+     * @param {string} src
+     * @returns {Promise<void>}
+     */
+    static loadMusic(src) {
+        return new Promise((resolve, reject) => {
+            const audio = new Audio();
+            audio.preload = 'auto';
+            audio.addEventListener('canplaythrough', () => resolve(), { once: true });
+            audio.addEventListener('error', () => reject(new Error('Music could not be loaded')), { once: true });
+            audio.src = src;
+            audio.load();
+        });
+    }
+}
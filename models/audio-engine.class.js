@@ -0,0 +1,595 @@
+/**
+ * @fileoverview Defines the {@link AudioEngine} class.
+ * A small Web Audio mixer: sound files are decoded once into buffers,
+ * every play starts its own voice (so rapid pickups overlap instead of
+ * cutting each other off) and all voices run through the Music, SFX or
+ * UI bus, each with its own gain and mute flag, into a master gain.
+ *
+ * Without Web Audio (old browsers) or when a file can't be decoded
+ * (e.g. `fetch` is blocked on file://), voices fall back to
+ * HTMLAudioElements with the same bus volumes. The fallback also plays
+ * sounds requested while their file is still being decoded, so no
+ * effect is lost during loading. Without any audio support (e.g. under
+ * Node) playing does nothing.
+ *
+ * Voices can be panned and changed while playing (e.g. positional
+ * sounds following an enemy); the HTML audio fallback ignores panning.
+ *
+ * Streamed elements such as the background music are not decoded;
+ * they are attached to a bus and follow its volume.
+ *
+ * @see SoundManager
+ *
+ * @author KW
+ * @version 1.3.1
+ */
+
+/**
+ * A playing sound returned by {@link AudioEngine#play}.
+ *
+ * @typedef {Object} AudioVoice
+ * @property {string} src - Path of the audio file.
+ * @property {string} bus - Bus the voice plays on.
+ * @property {number} volume - Volume of the voice between 0 and 1.
+ * @property {boolean} playing - False once the voice ended or was stopped.
+ * @property {?HTMLAudioElement} element - Fallback element, if any.
+ * @property {function(): void} stop - Stops the voice.
+ * @property {function(number): void} setVolume - Changes the volume while playing.
+ * @property {function(number): void} setPan - Changes the stereo pan (-1 to 1) while playing.
+ */
+
+/**
+ * Class representing the shared audio engine.
+ *
+ * @class AudioEngine
+ */
+class AudioEngine {
+    /**
+     * Names of the mixer buses.
+     * @type {string[]}
+     */
+    static BUSES = ['music', 'sfx', 'ui'];
+
+    /**
+     * The engine shared by all sound managers, created on first use.
+     * Browsers only allow a few AudioContexts per page.
+     * @type {?AudioEngine}
+     */
+    static shared = null;
+
+    /**
+     * The Web Audio context, or null when Web Audio is unavailable.
+     * @type {?AudioContext}
+     */
+    context = null;
+
+    /**
+     * Master gain node all buses feed into.
+     * @type {?GainNode}
+     */
+    master = null;
+
+    /**
+     * Gain node of every bus.
+     * @type {Object.<string, GainNode>}
+     */
+    buses = {};
+
+    /**
+     * Volume of every bus between 0 and 1.
+     * @type {Object.<string, number>}
+     */
+    volumes = { music: 1, sfx: 1, ui: 1 };
+
+    /**
+     * Mute flag of every bus.
+     * @type {Object.<string, boolean>}
+     */
+    busMuted = { music: false, sfx: false, ui: false };
+
+    /**
+     * Master volume between 0 and 1.
+     * @type {number}
+     */
+    masterVolume = 1;
+
+    /**
+     * Flag indicating that all output is silenced.
+     * @type {boolean}
+     */
+    muted = false;
+
+    /**
+     * Load state per sound file: the decoded buffer, or `failed` to use HTML audio.
+     * @type {Map<string, {buffer: ?AudioBuffer, failed: boolean, promise: Promise<boolean>}>}
+     */
+    sounds = new Map();
+
+    /**
+     * Currently playing one-shot and looping voices, oldest first.
+     * @type {AudioVoice[]}
+     */
+    voices = [];
+
+    /**
+     * Streamed elements attached to a bus.
+     * @type {{element: HTMLAudioElement, bus: string, volume: number}[]}
+     */
+    elements = [];
+
+    /**
+     * Flag indicating that {@link AudioEngine#suspend} froze the output.
+     * @type {boolean}
+     */
+    suspended = false;
+
+    /**
+     * Fallback voices paused by {@link AudioEngine#suspend}.
+     * @type {HTMLAudioElement[]}
+     */
+    suspendedElements = [];
+
+    /**
+     * Maximum number of voices playing at once.
+     * @type {number}
+     */
+    maxVoices = 24;
+
+    /**
+     * Maximum number of voices of the same sound playing at once.
+     * The oldest voice is stopped when the limit is exceeded.
+     * @type {number}
+     */
+    maxVoicesPerSound = 4;
+
+    /**
+     * Creates a new {@link AudioEngine} instance.
+     *
+     * @constructor
+     * @param {?Function} [AudioContextClass] - AudioContext implementation;
+     *   defaults to the browser's, if any.
+     */
+    constructor(AudioContextClass = AudioEngine.findAudioContext()) {
+        if (!AudioContextClass) return;
+        try {
+            this.context = new AudioContextClass();
+            this.createGraph();
+        } catch (error) {
+            console.warn('Web Audio is unavailable, falling back to HTML audio:', error);
+            this.context = null;
+        }
+    }
+
+    /**
+     * Returns the shared engine, creating it on first use.
+     *
+     * @returns {AudioEngine}
+     */
+    static getShared() {
+        if (!AudioEngine.shared) {
+            AudioEngine.shared = new AudioEngine();
+        }
+        return AudioEngine.shared;
+    }
+
+    /**
+     * Returns the browser's AudioContext class, if any.
+     *
+     * @returns {?Function}
+     */
+    static findAudioContext() {
+        if (typeof window === 'undefined') return null;
+        return window.AudioContext || window.webkitAudioContext || null;
+    }
+
+    /**
+     * Whether Web Audio is used (false means HTML audio fallback).
+     * @type {boolean}
+     */
+    get available() {
+        return this.context !== null;
+    }
+
+    /**
+     * Builds the bus → master → destination gain graph.
+     *
+     * @returns {void}
+     */
+    createGraph() {
+        this.master = this.context.createGain();
+        this.master.connect(this.context.destination);
+        AudioEngine.BUSES.forEach((bus) => {
+            const gain = this.context.createGain();
+            gain.connect(this.master);
+            this.buses[bus] = gain;
+        });
+        this.updateGains();
+    }
+
+    /**
+     * Starts the audio context after a user gesture (autoplay policy).
+     *
+     * @returns {void}
+     */
+    unlock() {
+        if (this.context && !this.suspended && this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+    }
+
+    /**
+     * Fetches and decodes a sound file once. Files that can't be decoded
+     * are played through HTML audio instead.
+     *
+     * @param {string} src - Path of the audio file.
+     * @returns {Promise<boolean>} Resolves to true once decoded, false if HTML audio is used.
+     */
+    load(src) {
+        if (this.sounds.has(src)) return this.sounds.get(src).promise;
+        const sound = { buffer: null, failed: false, promise: null };
+        this.sounds.set(src, sound);
+        if (!this.context || typeof fetch !== 'function') {
+            sound.failed = true;
+            sound.promise = Promise.resolve(false);
+            return sound.promise;
+        }
+        sound.promise = fetch(src)
+            .then((response) => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.arrayBuffer();
+            })
+            .then((data) => this.context.decodeAudioData(data))
+            .then((buffer) => {
+                sound.buffer = buffer;
+                return true;
+            })
+            .catch(() => {
+                sound.failed = true;
+                return false;
+            });
+        return sound.promise;
+    }
+
+    /**
+     * Plays a sound as a new voice: from its decoded buffer, or through
+     * HTML audio while the file is still loading or could not be decoded.
+     *
+     * @param {string} src - Path of the audio file.
+     * @param {Object} [options]
+     * @param {string} [options.bus='sfx'] - Bus to play on.
+     * @param {number} [options.volume=1] - Volume of this voice between 0 and 1.
+     * @param {boolean} [options.loop=false] - Whether the voice loops until stopped.
+     * @param {number} [options.pan=0] - Stereo pan from -1 (left) to 1 (right).
+     * @returns {?AudioVoice} The voice, or null if nothing plays.
+     */
+    play(src, { bus = 'sfx', volume = 1, loop = false, pan = 0 } = {}) {
+        const sound = this.sounds.get(src);
+        if (!sound) this.load(src);
+        let voice = null;
+        if (sound && sound.buffer) {
+            voice = this.playBuffer(src, sound.buffer, bus, volume, loop, pan);
+        } else {
+            voice = this.playElement(src, bus, volume, loop);
+        }
+        if (voice) this.addVoice(voice);
+        return voice;
+    }
+
+    /**
+     * Creates a Web Audio voice for a decoded buffer.
+     *
+     * @param {string} src
+     * @param {AudioBuffer} buffer
+     * @param {string} bus
+     * @param {number} volume
+     * @param {boolean} loop
+     * @param {number} pan
+     * @returns {AudioVoice}
+     */
+    playBuffer(src, buffer, bus, volume, loop, pan) {
+        const source = this.context.createBufferSource();
+        const gain = this.context.createGain();
+        const panner = typeof this.context.createStereoPanner === 'function' ? this.context.createStereoPanner() : null;
+        source.buffer = buffer;
+        source.loop = loop;
+        gain.gain.value = volume;
+        source.connect(gain);
+        const output = this.buses[bus] || this.buses.sfx;
+        if (panner) {
+            panner.pan.value = pan;
+            gain.connect(panner);
+            panner.connect(output);
+        } else {
+            gain.connect(output);
+        }
+        const voice = this.createVoice(src, bus, volume, null);
+        voice.setVolume = (value) => {
+            voice.volume = value;
+            gain.gain.value = value;
+        };
+        voice.setPan = (value) => {
+            if (panner) panner.pan.value = value;
+        };
+        voice.stop = () => {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (error) {
+                // already stopped
+            }
+            this.removeVoice(voice);
+        };
+        source.onended = () => this.removeVoice(voice);
+        source.start();
+        return voice;
+    }
+
+    /**
+     * Creates an HTML audio voice (fallback without Web Audio or a decoded buffer).
+     *
+     * @param {string} src
+     * @param {string} bus
+     * @param {number} volume
+     * @param {boolean} loop
+     * @returns {?AudioVoice} The voice, or null without HTML audio.
+     */
+    playElement(src, bus, volume, loop) {
+        if (typeof Audio !== 'function') return null;
+        const element = new Audio(src);
+        element.loop = loop;
+        const voice = this.createVoice(src, bus, volume, element);
+        element.volume = this.getOutputVolume(bus, volume);
+        voice.setVolume = (value) => {
+            voice.volume = value;
+            element.volume = this.getOutputVolume(bus, value);
+        };
+        voice.stop = () => {
+            element.pause();
+            this.removeVoice(voice);
+        };
+        element.addEventListener('ended', () => this.removeVoice(voice));
+        const playPromise = element.play();
+        if (playPromise && typeof playPromise.catch === 'function') {
+            playPromise.catch(() => this.removeVoice(voice));
+        }
+        return voice;
+    }
+
+    /**
+     * Creates the common part of a voice; the playback methods
+     * add `stop`, `setVolume` and `setPan`.
+     *
+     * @param {string} src
+     * @param {string} bus
+     * @param {number} volume
+     * @param {?HTMLAudioElement} element
+     * @returns {AudioVoice}
+     */
+    createVoice(src, bus, volume, element) {
+        return { src, bus, volume, element, playing: true, stop: () => {}, setVolume: () => {}, setPan: () => {} };
+    }
+
+    /**
+     * Registers a voice and enforces the voice limits by stopping
+     * the oldest voices first.
+     *
+     * @param {AudioVoice} voice
+     * @returns {void}
+     */
+    addVoice(voice) {
+        this.voices.push(voice);
+        const sameSound = this.voices.filter((v) => v.src === voice.src);
+        if (sameSound.length > this.maxVoicesPerSound) sameSound[0].stop();
+        if (this.voices.length > this.maxVoices) this.voices[0].stop();
+    }
+
+    /**
+     * Forgets a finished or stopped voice.
+     *
+     * @param {AudioVoice} voice
+     * @returns {void}
+     */
+    removeVoice(voice) {
+        voice.playing = false;
+        this.voices = this.voices.filter((v) => v !== voice);
+    }
+
+    /**
+     * Stops every voice and lifts a suspension, so the next
+     * world starts with working audio.
+     *
+     * @returns {void}
+     */
+    stopAll() {
+        [...this.voices].forEach((voice) => voice.stop());
+        this.suspendedElements = [];
+        if (this.suspended) this.resume();
+    }
+
+    /**
+     * Freezes all voices, e.g. while the game is paused.
+     *
+     * @returns {void}
+     */
+    suspend() {
+        this.suspended = true;
+        if (this.context) {
+            this.context.suspend().catch(() => {});
+            return;
+        }
+        this.suspendedElements = this.voices
+            .map((voice) => voice.element)
+            .filter((element) => element && !element.paused);
+        this.suspendedElements.forEach((element) => element.pause());
+    }
+
+    /**
+     * Continues all voices frozen by {@link AudioEngine#suspend}.
+     *
+     * @returns {void}
+     */
+    resume() {
+        this.suspended = false;
+        if (this.context) {
+            this.context.resume().catch(() => {});
+            return;
+        }
+        const elements = this.suspendedElements;
+        this.suspendedElements = [];
+        elements.forEach((element) => {
+            const playPromise = element.play();
+            if (playPromise && typeof playPromise.catch === 'function') {
+                playPromise.catch(() => {});
+            }
+        });
+    }
+
+    /**
+     * Attaches a streamed element (e.g. background music) to a bus,
+     * so its volume follows the bus and master volume.
+     *
+     * @param {HTMLAudioElement} element
+     * @param {string} bus
+     * @param {number} volume - Base volume of the element between 0 and 1.
+     * @returns {void}
+     */
+    attachElement(element, bus, volume) {
+        this.elements = this.elements.filter((entry) => entry.element !== element);
+        this.elements.push({ element, bus, volume });
+        element.volume = this.getOutputVolume(bus, volume);
+    }
+
+    /**
+     * Detaches a streamed element from its bus.
+     *
+     * @param {HTMLAudioElement} element
+     * @returns {void}
+     */
+    detachElement(element) {
+        this.elements = this.elements.filter((entry) => entry.element !== element);
+    }
+
+    /**
+     * Sets the volume of a bus.
+     *
+     * @param {string} bus - One of {@link AudioEngine.BUSES}.
+     * @param {number} volume - Value between 0 and 1.
+     * @returns {void}
+     * @throws {RangeError} If the bus does not exist.
+     */
+    setBusVolume(bus, volume) {
+        AudioEngine.checkBus(bus);
+        this.volumes[bus] = AudioEngine.clampVolume(volume);
+        this.updateGains();
+    }
+
+    /**
+     * Silences or restores a single bus.
+     *
+     * @param {string} bus - One of {@link AudioEngine.BUSES}.
+     * @param {boolean} muted
+     * @returns {void}
+     * @throws {RangeError} If the bus does not exist.
+     */
+    setBusMuted(bus, muted) {
+        AudioEngine.checkBus(bus);
+        this.busMuted[bus] = muted;
+        this.updateGains();
+    }
+
+    /**
+     * Determines whether a bus is silenced, by itself or by the master mute.
+     *
+     * @param {string} bus
+     * @returns {boolean}
+     */
+    isBusMuted(bus) {
+        return this.muted || this.busMuted[bus] === true;
+    }
+
+    /**
+     * Sets the master volume.
+     *
+     * @param {number} volume - Value between 0 and 1.
+     * @returns {void}
+     */
+    setMasterVolume(volume) {
+        this.masterVolume = AudioEngine.clampVolume(volume);
+        this.updateGains();
+    }
+
+    /**
+     * Ensures a bus name exists.
+     *
+     * @param {string} bus
+     * @returns {void}
+     * @throws {RangeError} If the bus does not exist.
+     */
+    static checkBus(bus) {
+        if (!AudioEngine.BUSES.includes(bus)) {
+            throw new RangeError(`Unknown audio bus "${bus}" (use ${AudioEngine.BUSES.join(', ')})`);
+        }
+    }
+
+    /**
+     * Limits a volume to 0 – 1; anything that is not a number counts as 0.
+     *
+     * @param {number} volume
+     * @returns {number}
+     */
+    static clampVolume(volume) {
+        return Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 0;
+    }
+
+    /**
+     * Returns the volume of a bus.
+     *
+     * @param {string} bus
+     * @returns {number}
+     */
+    getBusVolume(bus) {
+        return this.volumes[bus];
+    }
+
+    /**
+     * Silences or restores all output.
+     *
+     * @param {boolean} muted
+     * @returns {void}
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this.updateGains();
+    }
+
+    /**
+     * Returns the effective volume of an HTML audio element on a bus.
+     *
+     * @param {string} bus
+     * @param {number} volume - Base volume.
+     * @returns {number}
+     */
+    getOutputVolume(bus, volume) {
+        if (this.isBusMuted(bus)) return 0;
+        return volume * (this.volumes[bus] ?? 1) * this.masterVolume;
+    }
+
+    /**
+     * Applies bus and master volumes and mute flags to the gain nodes
+     * and all HTML audio elements.
+     *
+     * @returns {void}
+     */
+    updateGains() {
+        if (this.master) this.master.gain.value = this.muted ? 0 : this.masterVolume;
+        Object.entries(this.buses).forEach(([bus, gain]) => {
+            gain.gain.value = this.busMuted[bus] ? 0 : this.volumes[bus];
+        });
+        this.elements.forEach(({ element, bus, volume }) => {
+            element.volume = this.getOutputVolume(bus, volume);
+        });
+        this.voices.forEach((voice) => {
+            if (voice.element) voice.element.volume = this.getOutputVolume(voice.bus, voice.volume);
+        });
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Defines the {@link AudioSettings} class.
+ * The player's mixer settings: master, music and effects volume with
+ * a mute toggle each. The settings are serialized to JSON, so they
+ * survive page reloads, and are applied to the {@link AudioEngine}.
+ *
+ * Effects cover the SFX bus; the UI bus (win / lose cues) only follows
+ * the master volume.
+ *
+ * @see AudioEngine
+ * @see SoundManager
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing the player's volume and mute settings.
+ *
+ * @class AudioSettings
+ */
+class AudioSettings {
+    /**
+     * Adjustable channels with their display labels.
+     * @type {Object.<string, string>}
+     */
+    static CHANNELS = {
+        master: 'Master',
+        music: 'Music',
+        sfx: 'Effects'
+    };
+
+    /**
+     * Volume of every channel between 0 and 1.
+     * @type {Object.<string, number>}
+     */
+    volumes = { master: 1, music: 1, sfx: 1 };
+
+    /**
+     * Mute flag of every channel; `master` mutes all sound.
+     * @type {Object.<string, boolean>}
+     */
+    muted = { master: false, music: false, sfx: false };
+
+    /**
+     * Sets the volume of a channel.
+     *
+     * @param {string} channel - One of {@link AudioSettings.CHANNELS}.
+     * @param {number} volume - Value between 0 and 1.
+     * @returns {void}
+     * @throws {RangeError} If the channel does not exist.
+     */
+    setVolume(channel, volume) {
+        AudioSettings.checkChannel(channel);
+        this.volumes[channel] = AudioEngine.clampVolume(volume);
+    }
+
+    /**
+     * Mutes or unmutes a channel.
+     *
+     * @param {string} channel - One of {@link AudioSettings.CHANNELS}.
+     * @param {boolean} muted
+     * @returns {void}
+     * @throws {RangeError} If the channel does not exist.
+     */
+    setMuted(channel, muted) {
+        AudioSettings.checkChannel(channel);
+        this.muted[channel] = muted;
+    }
+
+    /**
+     * Ensures a channel name exists.
+     *
+     * @param {string} channel
+     * @returns {void}
+     * @throws {RangeError} If the channel does not exist.
+     */
+    static checkChannel(channel) {
+        if (!Object.hasOwn(AudioSettings.CHANNELS, channel)) {
+            throw new RangeError(`Unknown audio channel "${channel}" (use ${Object.keys(AudioSettings.CHANNELS).join(', ')})`);
+        }
+    }
+
+    /**
+     * Applies the settings to an audio engine.
+     *
+     * @param {AudioEngine} engine
+     * @returns {void}
+     */
+    applyTo(engine) {
+        engine.setMasterVolume(this.volumes.master);
+        engine.setBusVolume('music', this.volumes.music);
+        engine.setBusVolume('sfx', this.volumes.sfx);
+        engine.setBusMuted('music', this.muted.music);
+        engine.setBusMuted('sfx', this.muted.sfx);
+        engine.setMuted(this.muted.master);
+    }
+
+    /**
+     * Returns the settings in a JSON-compatible form.
+     *
+     * @returns {{volumes: Object.<string, number>, muted: Object.<string, boolean>}}
+     */
+    toJSON() {
+        return { volumes: { ...this.volumes }, muted: { ...this.muted } };
+    }
+
+    /**
+     * Builds settings from stored data. Unknown channels and malformed
+     * entries are ignored and keep their defaults.
+     *
+     * @param {Object} data - Data from {@link AudioSettings#toJSON}.
+     * @returns {AudioSettings}
+     */
+    static fromJSON(data) {
+        const settings = new AudioSettings();
+        if (!data || typeof data !== 'object') return settings;
+        Object.keys(AudioSettings.CHANNELS).forEach((channel) => {
+            const volume = data.volumes && data.volumes[channel];
+            if (typeof volume === 'number' && Number.isFinite(volume)) {
+                settings.setVolume(channel, volume);
+            }
+            const muted = data.muted && data.muted[channel];
+            if (typeof muted === 'boolean') {
+                settings.setMuted(channel, muted);
+            }
+        });
+        return settings;
+    }
+}
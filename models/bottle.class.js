@@ -2,14 +2,14 @@
  * @fileoverview Defines the {@link Bottle} class.
  * Represents a collectible bottle that can be picked up by the player
  * and later thrown as a projectile. Extends {@link MoveableObject}.
- * Bottles appear randomly across the ground within the level.
+ * Bottles are placed on the ground by the level data.
  *
  * @extends MoveableObject
  * @see ThrowableObject
  * @see World
  * 
  * @author KW
- * @version 1.1.0
+ * @version 1.2.0
  */
 
 /**
@@ -21,6 +21,12 @@
  * @extends MoveableObject
  */
 class Bottle extends MoveableObject {
+    /**
+     * Collision hitbox, narrower than the sprite to avoid early pickups via Pepe's shadow/belly.
+     * @type {Object}
+     */
+    static HITBOX = { x: 15, y: 10, width: 50, height: 70 };
+
     /**
      * The width of the bottle sprite in pixels.
      * This defines the visual size on the canvas.
@@ -54,33 +60,6 @@ class Bottle extends MoveableObject {
      */
     collected = false;
 
-    /**
-     * Collision hitbox offset on the X-axis, relative to the bottle's x position.
-     * Used to shrink and center the pickup area inside the sprite.
-     * @type {number}
-     */
-    collisionOffsetX = 15;
-
-    /**
-     * Collision hitbox offset on the Y-axis, relative to the bottle's y position.
-     * @type {number}
-     */
-    collisionOffsetY = 10;
-
-    /**
-     * Collision hitbox width in pixels.
-     * Smaller than the visual width to avoid early pickups via Pepe's shadow/belly.
-     * @type {number}
-     */
-    collisionWidth = 50;
-
-    /**
-     * Collision hitbox height in pixels.
-     * Slightly smaller than the sprite height.
-     * @type {number}
-     */
-    collisionHeight = 70;
-
     /**
      * Image paths for the bottle’s animation or states.
      * @type {string[]}
@@ -90,14 +69,15 @@ class Bottle extends MoveableObject {
     ];
 
     /**
-     * Creates a new {@link Bottle} instance and places it at a random horizontal position.
+     * Creates a new {@link Bottle} instance at the given horizontal position.
      * The bottle is loaded with its ground image and prepared for rendering.
      *
      * @constructor
+     * @param {number} [x=400] - Horizontal position on the ground.
      */
-    constructor() {
+    constructor(x = 400) {
         super().loadImage('img/6_salsa_bottle/2_salsa_bottle_on_ground.png');
         this.loadImages(this.IMAGES);
-        this.x = 400 + Math.random() * 1500;
+        this.x = x;
     }
 }
\ No newline at end of file
@@ -13,7 +13,7 @@
  * @see MoveableObject
  * 
  * @author KW
- * @version 1.1.0
+ * @version 1.7.0
  */
 
 /**
@@ -24,6 +24,53 @@
  * @extends MoveableObject
  */
 class Character extends MoveableObject {
+    /**
+     * Standing time in ms after which the character falls asleep.
+     * @type {number}
+     */
+    static SLEEP_AFTER_MS = 5000;
+
+    /**
+     * Walking speed without a speed boost.
+     * @type {number}
+     */
+    static WALK_SPEED = 6;
+
+    /**
+     * Animation clips and the transitions between them (see {@link AnimationController}).
+     * Hurt and death interrupt everything; the jump plays once per jump.
+     * @type {Object}
+     */
+    static ANIMATIONS = {
+        fps: 10,
+        clips: {
+            idle: { frames: 'IMAGES_STANDING' },
+            sleep: { frames: 'IMAGES_SLEEPING', fps: 5, priority: 1 },
+            walk: { frames: 'IMAGES_WALKING', fps: 12, priority: 2 },
+            jump: { frames: 'IMAGES_JUMPING', mode: 'once', priority: 3 },
+            hurt: { frames: 'IMAGES_HURT', priority: 4 },
+            dead: { frames: 'IMAGES_DEAD', fps: 8, mode: 'once', priority: 5 }
+        },
+        transitions: [
+            { to: 'dead', when: (character) => character.isDead() },
+            { to: 'hurt', when: (character) => character.isHurt() },
+            { to: 'jump', when: (character) => character.isAboveGround() },
+            { to: 'walk', when: (character) => character.world.keyboard.RIGHT || character.world.keyboard.LEFT },
+            { to: 'sleep', when: (character) => character.standingTime >= Character.SLEEP_AFTER_MS },
+            { to: 'idle' }
+        ]
+    };
+
+    /**
+     * Collision hitbox around Pepe's body below the hat brim.
+     * He lies on the ground when dead.
+     * @type {Object}
+     */
+    static HITBOX = {
+        x: 30, y: 130, width: 40, height: 120,
+        animations: { dead: { x: 10, y: 190, width: 80, height: 60 } }
+    };
+
     /**
      * Character height in pixels.
      * @type {number}
@@ -37,14 +84,21 @@ class Character extends MoveableObject {
     y = 180;
 
     /**
-     * Horizontal walking speed of the character.
+     * Horizontal walking speed of the character; a `speed` effect
+     * multiplies {@link Character.WALK_SPEED} by its factor.
      * @type {number}
      */
-    speed = 6;
+    speed = Character.WALK_SPEED;
+
+    /**
+     * Timed power-up effects.
+     * @type {ActiveEffects}
+     */
+    effects = new ActiveEffects();
 
     /**
      * Tracks how long the character has been standing still (in ms).
-     * After 5000ms, the sleeping animation is triggered.
+     * After {@link Character.SLEEP_AFTER_MS}, the sleeping animation is triggered.
      * @type {number}
      */
     standingTime = 0;
@@ -67,6 +121,18 @@ class Character extends MoveableObject {
      */
     coinsCollected = 0;
 
+    /**
+     * Points scored in the current level by defeating enemies.
+     * @type {number}
+     */
+    score = 0;
+
+    /**
+     * Side the character fights on.
+     * @type {string}
+     */
+    faction = 'player';
+
     /**
      * Total number of bottles collected by the player.
      * @type {number}
@@ -166,16 +232,10 @@ class Character extends MoveableObject {
         'img/2_character_pepe/4_hurt/H-43.png'
     ];
 
-    /**
-     * Reference to the active game world instance.
-     * Used to access keyboard input, sound manager, and camera.
-     * @type {World}
-     */
-    world;
-
     /**
      * Creates a new {@link Character} instance.
-     * Loads all animation images, applies gravity, and starts animation loops.
+     * Loads all animation images. Movement, gravity and animation are
+     * driven by the {@link World} game loop.
      *
      * @constructor
      */
@@ -187,60 +247,81 @@ class Character extends MoveableObject {
         this.loadImages(this.IMAGES_JUMPING);
         this.loadImages(this.IMAGES_DEAD);
         this.loadImages(this.IMAGES_HURT);
+        this.animation = new AnimationController(this, Character.ANIMATIONS);
+        this.animation.on('start', (clip) => this.handleAnimationStart(clip));
 
         this.groundY = this.y;
-
-        this.applyGravity();
-        this.animate();
     }
 
     /**
-     * Starts the movement and animation loops for the character.
+     * Advances power-up effects, movement, input, camera and walking sound
+     * by one simulation step. A dead character only falls until the
+     * {@link World} respawns him.
      *
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    animate() {
-        this.startMovementLoop();
-        this.startAnimationLoop();
+    update(dt) {
+        if (!this.world) return;
+        this.effects.update(dt);
+        this.speed = Character.WALK_SPEED * (this.effects.get('speed')?.factor ?? 1);
+        this.applyGravity(dt);
+        if (this.isDead()) {
+            this.handleGameOver();
+            return;
+        }
+
+        const movingRight = this.world.keyboard.RIGHT && this.x < this.world.level.level_end_x;
+        const movingLeft = this.world.keyboard.LEFT && this.x > 0;
+        const isWalking = movingRight || movingLeft;
+
+        this.updateHorizontalMovement(movingRight, movingLeft);
+        this.updateWalkingSound(isWalking);
+        this.handleJumpInput();
+        this.updateCameraPosition();
     }
 
     /**
-     * Sets up the main movement loop (position, input, camera, walking sound).
+     * Advances the sleep timer and the animation.
+     * The character falls asleep after standing still for {@link Character.SLEEP_AFTER_MS}.
      *
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    startMovementLoop() {
-        setInterval(() => {
-            if (!this.world || this.world.gameOver) {
-                this.stopWalkingSound();
-                return;
-            }
-
-            const movingRight = this.world.keyboard.RIGHT && this.x < this.world.level.level_end_x;
-            const movingLeft = this.world.keyboard.LEFT && this.x > 0;
-            const isWalking = movingRight || movingLeft;
-
-            this.updateHorizontalMovement(movingRight, movingLeft);
-            this.updateWalkingSound(isWalking);
-            this.handleJumpInput();
-            this.updateCameraPosition();
-        }, 1000 / 60);
+    animate(dt) {
+        if (!this.world) return;
+        if (this.animation.current === 'idle' || this.animation.current === 'sleep') {
+            this.standingTime += dt;
+        }
+        super.animate(dt);
+        if (this.isSleeping) this.world.sound.playSnore?.();
     }
 
     /**
-     * Sets up the main animation loop (visual state, sleep, snore).
+     * Updates sleep state and snoring when another animation starts.
      *
+     * @param {string} clip - The animation that started.
      * @returns {void}
      */
-    startAnimationLoop() {
-        setInterval(() => {
-            if (!this.world || this.world.gameOver) {
-                this.resetSleepState();
-                return;
-            }
+    handleAnimationStart(clip) {
+        if (clip === 'sleep') {
+            this.isSleeping = true;
+            return;
+        }
+        this.isSleeping = false;
+        this.stopSnoreIfNecessary();
+        if (clip !== 'idle') this.standingTime = 0;
+    }
 
-            this.updateAnimationState();
-        }, 100);
+    /**
+     * Silences walking and snoring while the game is over or the character is dead.
+     * Called by the {@link World} instead of the regular update.
+     *
+     * @returns {void}
+     */
+    handleGameOver() {
+        this.stopWalkingSound();
+        this.resetSleepState();
     }
 
     /**
@@ -318,99 +399,6 @@ class Character extends MoveableObject {
         this.standingTime = 0;
     }
 
-    /**
-     * Updates the current animation state based on character status.
-     *
-     * @returns {void}
-     */
-    updateAnimationState() {
-        if (this.isDead()) {
-            this.handleDeadState();
-            return;
-        }
-
-        if (this.isHurt()) {
-            this.handleHurtState();
-            return;
-        }
-
-        if (this.isAboveGround()) {
-            this.handleAirState();
-            return;
-        }
-
-        if (this.world.keyboard.RIGHT || this.world.keyboard.LEFT) {
-            this.handleWalkingState();
-            return;
-        }
-
-        this.handleIdleState();
-    }
-
-    /**
-     * Handles the dead animation state.
-     *
-     * @returns {void}
-     */
-    handleDeadState() {
-        this.stopSnoreIfNecessary();
-        this.isSleeping = false;
-        this.standingTime = 0;
-        this.playAnimation(this.IMAGES_DEAD);
-    }
-
-    /**
-     * Handles the hurt animation state.
-     *
-     * @returns {void}
-     */
-    handleHurtState() {
-        this.stopSnoreIfNecessary();
-        this.isSleeping = false;
-        this.standingTime = 0;
-        this.playAnimation(this.IMAGES_HURT);
-    }
-
-    /**
-     * Handles the jumping (airborne) animation state.
-     *
-     * @returns {void}
-     */
-    handleAirState() {
-        this.stopSnoreIfNecessary();
-        this.isSleeping = false;
-        this.standingTime = 0;
-        this.playAnimation(this.IMAGES_JUMPING);
-    }
-
-    /**
-     * Handles the walking animation state.
-     *
-     * @returns {void}
-     */
-    handleWalkingState() {
-        this.stopSnoreIfNecessary();
-        this.isSleeping = false;
-        this.standingTime = 0;
-        this.playAnimation(this.IMAGES_WALKING);
-    }
-
-    /**
-     * Handles the idle and sleeping animation states.
-     *
-     * @returns {void}
-     */
-    handleIdleState() {
-        this.standingTime += 150;
-
-        if (this.standingTime >= 5000) {
-            this.enterSleepState();
-        } else {
-            this.exitSleepState();
-            this.playAnimation(this.IMAGES_STANDING);
-        }
-    }
-
     /**
      * Resets the standing time counter.
      *
@@ -420,36 +408,6 @@ class Character extends MoveableObject {
         this.standingTime = 0;
     }
 
-    /**
-     * Enters the sleeping state and starts the snore sound.
-     *
-     * @returns {void}
-     */
-    enterSleepState() {
-        this.isSleeping = true;
-
-        if (this.world && this.world.sound && typeof this.world.sound.playSnore === "function") {
-            this.world.sound.playSnore();
-        }
-
-        this.playAnimation(this.IMAGES_SLEEPING);
-    }
-
-    /**
-     * Exits the sleeping state and stops the snore sound.
-     *
-     * @returns {void}
-     */
-    exitSleepState() {
-        if (!this.isSleeping) {
-            this.stopSnoreIfNecessary();
-            return;
-        }
-
-        this.isSleeping = false;
-        this.stopSnoreIfNecessary();
-    }
-
     /**
      * Stops the snore sound if it is currently active.
      *
@@ -480,7 +438,6 @@ class Character extends MoveableObject {
      */
     jump() {
         this.speedY = 25;
-        this.currentImage = 0;
         this.world.sound.playJump();
     }
 
@@ -496,12 +453,13 @@ class Character extends MoveableObject {
 
     /**
      * Applies heavy damage when hit by the end boss.
-     * Internally uses the normal hit logic multiple times.
+     * Internally uses the normal hit logic multiple times; a shield absorbs the whole blow.
      *
      * @param {number} [multiplier=3] - How many normal hits to apply.
      * @returns {void}
      */
     hitByEndboss(multiplier = 3) {
+        if (this.absorbHit()) return;
         for (let i = 0; i < multiplier; i++) {
             this.hit();
         }
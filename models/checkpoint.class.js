@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Defines the {@link Checkpoint} class.
+ * Represents a checkpoint flag placed by the level data (see {@link LevelLoader}).
+ * The {@link World} activates a checkpoint once the character walks past it;
+ * after losing a life the character respawns at the last activated one
+ * instead of the level start, with the rest of the level left as it is.
+ *
+ * There is no sprite for the flag, so it is drawn as a pole with a
+ * pennant that turns green when the checkpoint is activated.
+ *
+ * @extends MoveableObject
+ * @see World#checkCheckpoints
+ * @see World#respawnCharacter
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing a checkpoint flag.
+ *
+ * @class Checkpoint
+ * @extends MoveableObject
+ */
+class Checkpoint extends MoveableObject {
+    /**
+     * Colors of the pole and of the pennant before and after activation.
+     * @type {{pole: string, inactive: string, active: string}}
+     */
+    static COLORS = {
+        pole: '#5d4037',
+        inactive: '#9e9e9e',
+        active: '#2e7d32'
+    };
+
+    /**
+     * Width of the pole in pixels.
+     * @type {number}
+     */
+    static POLE_WIDTH = 6;
+
+    /**
+     * Height of the pennant in pixels.
+     * @type {number}
+     */
+    static PENNANT_HEIGHT = 40;
+
+    /**
+     * Width of the checkpoint in pixels.
+     * @type {number}
+     */
+    width = 60;
+
+    /**
+     * Height of the checkpoint in pixels.
+     * @type {number}
+     */
+    height = 140;
+
+    /**
+     * Vertical position, standing on the ground.
+     * @type {number}
+     */
+    y = 290;
+
+    /**
+     * Flag indicating that the character has reached this checkpoint.
+     * @type {boolean}
+     */
+    activated = false;
+
+    /**
+     * Creates a new {@link Checkpoint} instance.
+     *
+     * @constructor
+     * @param {number} [x=400] - Horizontal position, also the respawn position.
+     */
+    constructor(x = 400) {
+        super();
+        this.x = x;
+    }
+
+    /**
+     * Activates the checkpoint.
+     *
+     * @returns {boolean} True if the checkpoint was not activated before.
+     */
+    activate() {
+        if (this.activated) return false;
+        this.activated = true;
+        return true;
+    }
+
+    /**
+     * Draws the pole and the pennant.
+     *
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+     * @returns {void}
+     */
+    draw(ctx) {
+        const pole = Checkpoint.POLE_WIDTH;
+        const pennant = Checkpoint.PENNANT_HEIGHT;
+        ctx.save();
+        ctx.fillStyle = Checkpoint.COLORS.pole;
+        ctx.fillRect(this.x, this.y, pole, this.height);
+        ctx.fillStyle = this.activated ? Checkpoint.COLORS.active : Checkpoint.COLORS.inactive;
+        ctx.beginPath();
+        ctx.moveTo(this.x + pole, this.y);
+        ctx.lineTo(this.x + this.width, this.y + pennant / 2);
+        ctx.lineTo(this.x + pole, this.y + pennant);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+}
@@ -2,15 +2,15 @@
  * @fileoverview Defines the {@link Chicken} enemy class.
  * Represents a standard walking chicken enemy in the game world.
  * Chickens move horizontally across the level and switch between
- * walking and dead animation states. Each instance receives a
- * random starting position and movement speed.
+ * walking and dead animation states. Starting position and movement
+ * speed come from the level data.
  *
  * @extends MoveableObject
  * @see MoveableObject
  * @see World
  * 
  * @author KW
- * @version 1.0.0
+ * @version 1.4.1
  */
 
 /**
@@ -21,6 +21,41 @@
  * @extends MoveableObject
  */
 class Chicken extends MoveableObject {
+    /**
+     * Animation clips and transitions (see {@link AnimationController}).
+     * @type {Object}
+     */
+    static ANIMATIONS = {
+        fps: 5,
+        clips: {
+            walk: { frames: 'IMAGES_WALKING' },
+            dead: { frames: 'IMAGES_DEAD', mode: 'once', priority: 1 }
+        },
+        transitions: [
+            { to: 'dead', when: (chicken) => chicken.chickenIsDead },
+            { to: 'walk' }
+        ]
+    };
+    /**
+     * Collision hitbox; the flattened dead chicken only keeps its lower half.
+     * @type {Object}
+     */
+    static HITBOX = { x: 5, y: 5, width: 70, height: 50, animations: { dead: { y: 30, height: 25 } } };
+    /**
+     * Combat rules: one bottle kills a chicken, which sometimes drops a taco or a chili.
+     * @type {Object}
+     */
+    static COMBAT = {
+        health: 10,
+        score: 10,
+        onDeath: 'playAnimationChickenDead',
+        drop: { chance: 0.1, kinds: ['taco', 'chili'] }
+    };
+    /**
+     * Side the chicken fights on.
+     * @type {string}
+     */
+    faction = 'enemy';
     /**
      * Chicken height in pixels.
      * @type {number}
@@ -36,11 +71,6 @@ class Chicken extends MoveableObject {
      * @type {number}
      */
     y = 365;
-    /**
-     * Sound effect played when the chicken dies.
-     * @type {HTMLAudioElement}
-     */
-    chickenSound = new Audio('audio/chicken.mp3');
     /**
      * Walking animation image paths for the chicken enemy.
      * @type {string[]}
@@ -59,22 +89,26 @@ class Chicken extends MoveableObject {
         'img/3_enemies_chicken/chicken_normal/2_dead/dead.png',
     ];
     /**
-     * Creates a new {@link Chicken} instance with a random position and speed.
-     * Loads all necessary animation images and starts the animation loop.
+     * Creates a new {@link Chicken} instance.
+     * Levels pass explicit or seeded values (see {@link LevelLoader}).
+     * Loads all necessary animation images. Movement and animation are
+     * driven by the {@link World} game loop.
      *
      * @constructor
+     * @param {number} [x] - Initial horizontal position.
+     * @param {number} [speed] - Walking speed in pixels per step.
      */
-    constructor() {
+    constructor(x = 600, speed = 0.15) {
         super().loadImage('img/3_enemies_chicken/chicken_normal/1_walk/1_w.png');
         this.loadImages(this.IMAGES_WALKING);
         this.loadImages(this.IMAGES_DEAD);
-        this.x = 600 + Math.random() * 1000;
-        this.speed = 0.15 + Math.random() * 0.25;
-        this.animate();
+        this.animation = new AnimationController(this, Chicken.ANIMATIONS);
+        this.x = x;
+        this.speed = speed;
     }
     /**
      * Displays the dead animation of the chicken and plays the death sound once.
-     * The dead image remains visible for a short duration before being cleared.
+     * The dead image stays visible until the {@link World} removes the chicken.
      *
      * @returns {void}
      */
@@ -82,36 +116,23 @@ class Chicken extends MoveableObject {
         if (this.chickenIsDead) return;
 
         this.chickenIsDead = true;
-        this.loadImage(this.IMAGES_DEAD[0] || this.IMAGES_DEAD);
+        this.animation.play('dead');
 
-        if (!isMuted && !this.deathSoundPlayed) {
+        if (!this.deathSoundPlayed && this.world?.sound) {
             this.deathSoundPlayed = true;
-            this.chickenSound.currentTime = 0;
-            this.chickenSound.play();
+            this.world.sound.playChickenDead(this);
         }
-
-        setTimeout(() => {
-            this.IMAGES_DEAD = [];
-        }, 500);
     }
 
     /**
-     * Handles the chicken's continuous animation:
-     * - Moves the chicken to the left.
-     * - Switches between walking and dead animation frames.
+     * Moves the chicken to the left by one simulation step;
+     * a dead one stays where it fell.
      *
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    animate() {
-        setInterval(() => {
-            this.moveLeft();
-        }, 1000 / 60);
-        setInterval(() => {
-            if (!this.chickenIsDead) {
-                this.playAnimation(this.IMAGES_WALKING);
-            } else {
-                this.playAnimationChickenDead(this.IMAGES_DEAD);
-            }
-        }, 200);
+    update(dt) {
+        if (this.chickenIsDead) return;
+        this.moveLeft();
     }
 }
\ No newline at end of file
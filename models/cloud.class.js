@@ -37,25 +37,23 @@ class Cloud extends MoveableObject {
      */
     width = 500;
     /**
-     * Creates a new {@link Cloud} instance with a random horizontal start position.
-     * The cloud image is loaded and the slow leftward animation begins.
+     * Creates a new {@link Cloud} instance at the given horizontal start position.
+     * The cloud image is loaded; the slow leftward drift is driven by the {@link World} game loop.
      *
      * @constructor
+     * @param {number} [x=50] - Horizontal start position.
      */
-    constructor() {
+    constructor(x = 50) {
         super().loadImage('img/5_background/layers/4_clouds/1.png');
-        this.x = 50 + Math.random() * 2500;
-        this.animate();
+        this.x = x;
     }
     /**
-     * Animates the cloud by moving it slowly to the left.
-     * The animation loop runs at ~60 frames per second.
+     * Moves the cloud slowly to the left by one simulation step.
      *
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    animate() {
-        setInterval(() => {
-            this.x -= 0.3;
-        }, 1000 / 60);
+    update(dt) {
+        this.x -= 0.3;
     }
 }
\ No newline at end of file
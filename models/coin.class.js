@@ -9,7 +9,7 @@
  * @see World
  * 
  * @author KW
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 /**
@@ -20,6 +20,11 @@
  * @extends MoveableObject
  */
 class Coin extends MoveableObject {
+    /**
+     * Collision hitbox around the coin itself, without its glow.
+     * @type {Object}
+     */
+    static HITBOX = { x: 20, y: 20, width: 40, height: 40 };
     /**
      * The width of the coin sprite in pixels.
      * @type {number}
@@ -45,29 +50,26 @@ class Coin extends MoveableObject {
     ];
     /**
      * Creates a new {@link Coin} instance.
-     * The coin is placed at a random horizontal and vertical position
-     * within the level bounds and starts its animation loop immediately.
+     * The coin is placed at the given position; levels pass explicit
+     * or seeded values (see {@link LevelLoader}). Its animation is driven by the {@link World} game loop.
      *
      * @constructor
-     * @param {number} [x] - Optional initial horizontal position of the coin.
-     * @param {number} [y] - Optional initial vertical position of the coin.
+     * @param {number} [x=400] - Initial horizontal position of the coin.
+     * @param {number} [y=150] - Initial vertical position of the coin.
      */
-    constructor(x, y) {
+    constructor(x = 400, y = 150) {
         super().loadImage('img/8_coin/coin_1.png');
         this.loadImages(this.IMAGES_COIN);
-        this.x = 400 + Math.random() * 1500;
-        this.y = 100 + Math.random() * 100;
-        this.animate();
+        this.x = x;
+        this.y = y;
     }
     /**
-     * Starts the animation cycle for the coin.
-     * Continuously alternates between the two coin images.
+     * Alternates between the two coin images.
+     * Called by {@link MoveableObject#animate} every {@link MoveableObject#animationIntervalMs}.
      *
      * @returns {void}
      */
-    animate() {
-        setInterval(() => {
-            this.playAnimation(this.IMAGES_COIN);
-        }, 100);
+    updateAnimation() {
+        this.playAnimation(this.IMAGES_COIN);
     }
 }
\ No newline at end of file
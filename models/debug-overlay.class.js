@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Defines the {@link DebugOverlay} class.
+ * A small text panel on the stage showing runtime information such as
+ * the random seed, the current level and entity counts. While it is shown
+ * the {@link World} also outlines sprite bounds and collision hitboxes.
+ * Hidden by default and toggled with the ` (backquote) key.
+ *
+ * @see World
+ *
+ * @author KW
+ * @version 1.1.1
+ */
+
+/**
+ * Class representing the on-stage debug panel.
+ *
+ * @class DebugOverlay
+ */
+class DebugOverlay {
+    /**
+     * Whether the panel is currently shown.
+     * Shared by all worlds, so the setting survives a reset.
+     * @type {boolean}
+     */
+    static visible = false;
+
+    /**
+     * The panel element, or null when there is no stage (e.g. headless).
+     * @type {HTMLDivElement | null}
+     */
+    element = null;
+
+    /**
+     * Minimum time between two text refreshes in ms.
+     * @type {number}
+     */
+    refreshIntervalMs = 250;
+
+    /**
+     * Timestamp of the last text refresh.
+     * @type {number}
+     */
+    lastRefreshAt = 0;
+
+    /**
+     * Creates or finds the debug panel in the stage.
+     *
+     * @constructor
+     */
+    constructor() {
+        const stage = typeof document !== 'undefined' ? document.getElementById('stage') : null;
+        if (!stage) return;
+        let panel = stage.querySelector('.debug-overlay');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.classList.add('debug-overlay');
+            stage.appendChild(panel);
+        }
+        this.element = panel;
+        this.applyVisibility();
+    }
+
+    /**
+     * Shows or hides the panel for all worlds.
+     *
+     * @returns {void}
+     */
+    toggle() {
+        DebugOverlay.visible = !DebugOverlay.visible;
+        this.lastRefreshAt = 0;
+        this.applyVisibility();
+    }
+
+    /**
+     * Syncs the panel element with {@link DebugOverlay.visible}.
+     *
+     * @returns {void}
+     */
+    applyVisibility() {
+        if (!this.element) return;
+        this.element.classList.toggle('d-none', !DebugOverlay.visible);
+    }
+
+    /**
+     * Refreshes the panel text, at most every {@link DebugOverlay#refreshIntervalMs}.
+     * The values are only collected when the text is refreshed, so a hidden
+     * panel costs nothing per frame.
+     *
+     * @param {function(): Object.<string, (string|number)>} getInfo - Returns label/value pairs to show.
+     * @returns {void}
+     */
+    render(getInfo) {
+        if (!this.element || !DebugOverlay.visible) return;
+        const now = Date.now();
+        if (now - this.lastRefreshAt < this.refreshIntervalMs) return;
+        this.lastRefreshAt = now;
+        this.element.textContent = Object.entries(getInfo())
+            .map(([label, value]) => `${label}: ${value}`)
+            .join('\n');
+    }
+}
@@ -2,7 +2,7 @@
  * @fileoverview Defines the {@link DrawableObject} base class.
  * This is the abstract root class for all visual game objects that can be
  * rendered on the canvas. It provides shared functionality for image loading,
- * drawing, and debug frame visualization.
+ * drawing, collision hitboxes and debug frame visualization.
  *
  * Every drawable element (e.g., Character, Chicken, Cloud, BackgroundObject)
  * inherits from this class directly or indirectly.
@@ -11,7 +11,7 @@
  * @see World
  * 
  * @author KW
- * @version 1.0.0
+ * @version 1.3.0
  */
 
 /**
@@ -22,16 +22,37 @@
  */
 class DrawableObject {
     /**
-     * Image element representing the current visual state of the object.
-     * @type {HTMLImageElement}
+     * Collision hitbox relative to the sprite, or null to collide with the
+     * whole sprite. `x` is measured from the side the sprite faces, so the
+     * box follows the object when it is mirrored. Boxes in `animations`
+     * replace single fields while the named {@link AnimationController} clip plays:
+     * ```js
+     * static HITBOX = { x: 30, y: 130, width: 40, height: 120, animations: { dead: { y: 200, height: 50 } } };
+     * ```
+     * @type {?{x: number, y: number, width: number, height: number, animations?: Object.<string, Object>}}
+     */
+    static HITBOX = null;
+    /**
+     * Stroke colours of the debug frames drawn by {@link DrawableObject#drawFrame}.
+     * @type {{sprite: string, hitbox: string}}
+     */
+    static DEBUG_COLORS = { sprite: 'blue', hitbox: 'red' };
+    /**
+     * Image element or atlas frame representing the current visual state of the object.
+     * @type {HTMLImageElement|AtlasFrame}
      */
     img;
     /**
-     * Cache that stores preloaded images by file path.
+     * This object's animation frames by file path, taken from the shared {@link TextureCache}.
      * Enables quick swapping of animation frames.
-     * @type {Object.<string, HTMLImageElement>}
+     * @type {Object.<string, HTMLImageElement|AtlasFrame>}
      */
     imageCache = {};
+    /**
+     * Paths acquired from the {@link TextureCache}, released by {@link DrawableObject#releaseImages}.
+     * @type {string[]}
+     */
+    texturePaths = [];
     /**
      * Current image index for animation sequences.
      * Used to track which frame is being displayed.
@@ -58,6 +79,29 @@ class DrawableObject {
      * @type {number}
      */
     width = 100;
+    /**
+     * Creates an image element. Without a DOM (headless runs under Node)
+     * a plain object stands in, so paths are kept but nothing is loaded.
+     *
+     * @returns {HTMLImageElement|Object}
+     */
+    static createImage() {
+        return typeof Image === 'function' ? new Image() : {};
+    }
+    /**
+     * Returns the frame of a registered {@link SpriteAtlas} holding the image,
+     * or loads the image on its own if no atlas has it.
+     *
+     * @param {string} path - The path to the image file.
+     * @returns {HTMLImageElement|AtlasFrame}
+     */
+    static createSprite(path) {
+        const frame = SpriteAtlas.findFrame(path);
+        if (frame) return frame;
+        const img = DrawableObject.createImage();
+        img.src = path;
+        return img;
+    }
     /**
      * Loads a single image into the object.
      *
@@ -65,46 +109,117 @@ class DrawableObject {
      * @returns {void}
      */
     loadImage(path) {
-        this.img = new Image();
-        this.img.src = path;
+        this.img = this.acquireImage(path);
+    }
+    /**
+     * Takes an image from the shared {@link TextureCache} and remembers the path for release.
+     *
+     * @param {string} path - The path to the image file.
+     * @returns {HTMLImageElement|AtlasFrame}
+     */
+    acquireImage(path) {
+        this.texturePaths.push(path);
+        return TextureCache.getShared().acquire(path);
+    }
+    /**
+     * Gives every image back to the shared {@link TextureCache}.
+     * Safe to call more than once.
+     *
+     * @returns {void}
+     */
+    releaseImages() {
+        const cache = TextureCache.getShared();
+        this.texturePaths.forEach((path) => cache.release(path));
+        this.texturePaths = [];
     }
     /**
      * Draws the object onto the given canvas rendering context.
+     * Atlas frames are cut out of their atlas image.
      *
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
      * @returns {void}
      */
     draw(ctx) {
-        ctx.drawImage(this.img, this.x, this.y, this.width, this.height);
+        const frame = this.img;
+        if (frame && frame.atlas) {
+            ctx.drawImage(frame.atlas.image, frame.x, frame.y, frame.w, frame.h, this.x, this.y, this.width, this.height);
+        } else {
+            ctx.drawImage(this.img, this.x, this.y, this.width, this.height);
+        }
+    }
+    /**
+     * Returns the hitbox shape for the current animation clip, relative to the sprite.
+     * May return the class's {@link DrawableObject.HITBOX} table itself; don't modify it.
+     *
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getHitboxShape() {
+        const hitbox = this.constructor.HITBOX;
+        if (!hitbox) return { x: 0, y: 0, width: this.width, height: this.height };
+        const override = hitbox.animations?.[this.animation?.current];
+        if (!override) return hitbox;
+        return {
+            x: override.x ?? hitbox.x,
+            y: override.y ?? hitbox.y,
+            width: override.width ?? hitbox.width,
+            height: override.height ?? hitbox.height
+        };
+    }
+    /**
+     * Returns the collision hitbox in world coordinates.
+     * Mirrored objects measure the offset from the right edge of the sprite.
+     *
+     * @returns {{left: number, right: number, top: number, bottom: number}}
+     */
+    getHitbox() {
+        const { x, y, width, height } = this.getHitboxShape();
+        const left = this.otherDirection ? this.x + this.width - x - width : this.x + x;
+        const top = this.y + y;
+        return { left, right: left + width, top, bottom: top + height };
     }
     /**
-     * Draws a blue frame around the object for debugging collision boxes.
-     * This frame is only rendered for {@link Character} and {@link Chicken} instances.
+     * Draws the sprite bounds and the hitbox for debugging collisions,
+     * in the colours of {@link DrawableObject.DEBUG_COLORS}.
      *
      * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
      * @returns {void}
      */
     drawFrame(ctx) {
-        if (this instanceof Character || this instanceof Chicken) {
-            ctx.beginPath();
-            ctx.lineWidth = '5';
-            ctx.strokeStyle = 'blue';
-            ctx.rect(this.x, this.y, this.width, this.height);
-            ctx.stroke();
-        }
+        const hitbox = this.getHitbox();
+        ctx.lineWidth = 2;
+        this.strokeBox(ctx, DrawableObject.DEBUG_COLORS.sprite, this.x, this.y, this.width, this.height);
+        this.strokeBox(ctx, DrawableObject.DEBUG_COLORS.hitbox,
+            hitbox.left, hitbox.top, hitbox.right - hitbox.left, hitbox.bottom - hitbox.top);
+    }
+    /**
+     * Strokes a rectangle outline.
+     *
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+     * @param {string} color - Stroke colour.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @returns {void}
+     */
+    strokeBox(ctx, color, x, y, width, height) {
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.rect(x, y, width, height);
+        ctx.stroke();
     }
     /**
      * Loads multiple images into the {@link DrawableObject#imageCache}.
      * Used primarily for animations to preload all frames before rendering.
+     * Images held by a {@link SpriteAtlas} are taken from the atlas instead.
      *
      * @param {string[]} arr - Array of image file paths to load.
      * @returns {void}
      */
     loadImages(arr) {
         arr.forEach((path) => {
-            const img = new Image();
-            img.src = path;
-            img.style = 'transform: scaleX(-1)';
+            const img = this.acquireImage(path);
+            if (!img.atlas) img.style = 'transform: scaleX(-1)';
             this.imageCache[path] = img;
         });
     }
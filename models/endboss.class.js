@@ -27,6 +27,53 @@
  * @extends MoveableObject
  */
 class Endboss extends MoveableObject {
+    /**
+     * Animation clips and transitions (see {@link AnimationController}).
+     * Priority: dead, hurt, then the behaviour state (walking before contact).
+     * The death animation plays once and holds its last frame.
+     * @type {Object}
+     */
+    static ANIMATIONS = {
+        fps: 8,
+        clips: {
+            walk: { frames: 'IMAGES_WALKING' },
+            alert: { frames: 'IMAGES_ALERT', priority: 1 },
+            attack: { frames: 'IMAGES_ATTACK', fps: 10, priority: 1 },
+            hurt: { frames: 'IMAGES_HURT', priority: 2 },
+            dead: { frames: 'IMAGES_DEAD', fps: 6, mode: 'once', priority: 3 }
+        },
+        transitions: [
+            { to: 'dead', when: (boss) => boss.isDeadEndBoss() },
+            { to: 'hurt', when: (boss) => boss.isHurtEndBoss() },
+            { to: 'alert', when: (boss) => boss.hadFirstContact && boss.state === 'alert' },
+            { to: 'attack', when: (boss) => boss.hadFirstContact && boss.state === 'attack' },
+            { to: 'walk' }
+        ]
+    };
+
+    /**
+     * Collision hitbox around the boss's body. While attacking he leans
+     * forward, so the box reaches further to the front.
+     * @type {Object}
+     */
+    static HITBOX = {
+        x: 30, y: 70, width: 190, height: 320,
+        animations: { attack: { x: 10, width: 210 } }
+    };
+
+    /**
+     * Combat rules: ten bottles defeat the boss; every hit that leaves
+     * him standing starts the hurt phase.
+     * @type {Object}
+     */
+    static COMBAT = { health: 100, score: 500, onHit: 'hitEndBoss' };
+
+    /**
+     * Side the Endboss fights on.
+     * @type {string}
+     */
+    faction = 'enemy';
+
     /**
      * The height of the Endboss sprite in pixels.
      * @type {number}
@@ -61,19 +108,12 @@ class Endboss extends MoveableObject {
      */
     hadFirstContact = false;
 
-    /**
-     * Current health (energy) of the Endboss, ranging from 0 to 100.
-     * When this reaches 0, the boss is considered dead.
-     * @type {number}
-     */
-    energyEndBoss = 100;
-
     /**
      * Timestamp of the last hit received by the Endboss (in ms).
      * Used to calculate whether he is currently in the "hurt" state.
      * @type {number}
      */
-    lastHitEndBoss = 0;
+    lastHitEndBoss = -Infinity;
 
     /**
      * Current behaviour state of the Endboss.
@@ -113,22 +153,11 @@ class Endboss extends MoveableObject {
     lastStateChangeAt = 0;
 
     /**
-     * Interval ID for behaviour updates (movement + state changes).
-     * @type {?number}
-     */
-    behaviourInterval = null;
-
-    /**
-     * Interval ID for animation updates (sprite frames only).
-     * @type {?number}
-     */
-    animationInterval = null;
-
-    /**
-     * Flag to ensure behaviour intervals are only started once.
-     * @type {boolean}
+     * Simulated time in ms, advanced by {@link Endboss#update}.
+     * All boss timers (alert, jump, hurt) are measured on this clock.
+     * @type {number}
      */
-    behaviourStarted = false;
+    clockMs = 0;
 
     /**
      * Indicates whether the boss is currently performing a jump arc.
@@ -231,8 +260,8 @@ class Endboss extends MoveableObject {
 
     /**
      * Creates a new {@link Endboss} instance.
-     * Loads all animation images, initializes speed and position,
-     * and starts the behaviour and animation loops.
+     * Loads all animation images and initializes speed and position.
+     * Behaviour and animation are driven by the {@link World} game loop.
      *
      * The boss does NOT use gravity here and stays on a fixed Y-level
      * defined by {@link Endboss#y}. Jumps are animated by temporarily
@@ -247,28 +276,36 @@ class Endboss extends MoveableObject {
         this.loadImages(this.IMAGES_ATTACK);
         this.loadImages(this.IMAGES_HURT);
         this.loadImages(this.IMAGES_DEAD);
+        this.animation = new AnimationController(this, Endboss.ANIMATIONS);
 
         this.x = startX;
         this.baseY = this.y;
         this.speed = this.attackSpeed;
+    }
+
+    /**
+     * Current health (energy) of the Endboss, ranging from 0 to 100.
+     * When this reaches 0, the boss is considered dead.
+     * Alias of {@link MoveableObject#health}.
+     *
+     * @type {number}
+     */
+    get energyEndBoss() {
+        return this.health;
+    }
 
-        this.startBehaviour();
+    set energyEndBoss(value) {
+        this.health = value;
     }
 
     /**
-     * Reduces the Endboss's energy by a fixed amount (10) when hit.
-     * If energy drops below zero, it is clamped to zero.
-     * Also records the timestamp of the hit for the "hurt" animation.
+     * Hit reaction (see {@link Endboss.COMBAT}): records the timestamp
+     * of the hit for the "hurt" animation.
      *
      * @returns {void}
      */
     hitEndBoss() {
-        this.energyEndBoss -= 10;
-        if (this.energyEndBoss < 0) {
-            this.energyEndBoss = 0;
-        } else {
-            this.lastHitEndBoss = Date.now();
-        }
+        this.lastHitEndBoss = this.clockMs;
     }
 
     /**
@@ -278,7 +315,7 @@ class Endboss extends MoveableObject {
      * @returns {boolean} True if the Endboss was hit within the last second.
      */
     isHurtEndBoss() {
-        return Date.now() - this.lastHitEndBoss < 1000;
+        return this.clockMs - this.lastHitEndBoss < 1000;
     }
 
     /**
@@ -300,58 +337,34 @@ class Endboss extends MoveableObject {
     endBossAnimation() {
         this.hadFirstContact = true;
         this.state = "alert";
-        this.lastStateChangeAt = Date.now();
+        this.lastStateChangeAt = this.clockMs;
     }
 
     /**
-     * Backwards compatibility wrapper.
-     * In older versions, {@link Endboss#animate} started the boss behaviour.
-     * Now it just calls {@link Endboss#startBehaviour}.
+     * Advances the boss clock and behaviour by one simulation step.
      *
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    animate() {
-        this.startBehaviour();
-    }
-
-    /**
-     * Starts movement and animation loops.
-     * Ensures they are only started once.
-     *
-     * @returns {void}
-     */
-    startBehaviour() {
-        if (this.behaviourStarted) return;
-        this.behaviourStarted = true;
-
-        this.behaviourInterval = setInterval(
-            () => this.updateBehaviour(),
-            1000 / 60
-        );
-
-        this.animationInterval = setInterval(
-            () => this.updateAnimation(),
-            125
-        );
+    update(dt) {
+        this.clockMs += dt;
+        this.updateBehaviour();
     }
 
     /**
      * Updates Endboss state (idle, alert, attack), movement,
      * and vertical jump position.
-     * Also safely looks up the global {@link world} instance.
+     * Chases the character of the world the boss belongs to.
      *
      * @returns {void}
      */
     updateBehaviour() {
         if (this.isDeadEndBoss()) return;
 
-        let character = null;
-        if (typeof world !== 'undefined' && world && world.character) {
-            character = world.character;
-        }
+        const character = this.world ? this.world.character : null;
         if (!character || !this.hadFirstContact) return;
 
-        const now = Date.now();
+        const now = this.clockMs;
 
         this.updateJumpPosition(now);
 
@@ -467,41 +480,4 @@ class Endboss extends MoveableObject {
         this.jumpStartedAt = now;
         this.lastJumpAt = now;
     }
-
-    /**
-     * Plays the correct animation based on the current boss state and damage.
-     *
-     * Priority:
-     *  1. Dead
-     *  2. Hurt
-     *  3. Idle (before contact)
-     *  4. Alert
-     *  5. Attack
-     *
-     * @returns {void}
-     */
-    updateAnimation() {
-        if (this.isDeadEndBoss()) {
-            this.playAnimation(this.IMAGES_DEAD);
-            return;
-        }
-
-        if (this.isHurtEndBoss()) {
-            this.playAnimation(this.IMAGES_HURT);
-            return;
-        }
-
-        if (!this.hadFirstContact) {
-            this.playAnimation(this.IMAGES_WALKING);
-            return;
-        }
-
-        if (this.state === "alert") {
-            this.playAnimation(this.IMAGES_ALERT);
-            return;
-        }
-
-        this.playAnimation(this.IMAGES_ATTACK);
-    }
-
 }
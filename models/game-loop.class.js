@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Defines the {@link GameLoop} class.
+ * A fixed-timestep loop driven by requestAnimationFrame.
+ * Real elapsed time is collected in an accumulator and consumed in
+ * constant-sized simulation steps, so physics, AI and animation
+ * always advance in lockstep regardless of the display refresh rate.
+ * Rendering happens once per animation frame after all pending steps.
+ *
+ * @see World
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing the central game loop.
+ *
+ * @class GameLoop
+ */
+class GameLoop {
+    /**
+     * Number of loops currently running across all instances.
+     * Exposed through the live timer test hook to detect leaked loops.
+     * @type {number}
+     */
+    static activeCount = 0;
+
+    /**
+     * Duration of one simulation step in milliseconds (60 Hz).
+     * @type {number}
+     */
+    stepMs = 1000 / 60;
+
+    /**
+     * Upper bound for the elapsed time of a single frame in milliseconds.
+     * Prevents a "spiral of death" after the tab was in the background.
+     * @type {number}
+     */
+    maxFrameMs = 250;
+
+    /**
+     * Factor applied to real elapsed time, e.g. 2 runs twice as many
+     * simulation steps per second. Used for replay speed controls.
+     * @type {number}
+     */
+    timeScale = 1;
+
+    /**
+     * Real time collected but not yet consumed by simulation steps.
+     * @type {number}
+     */
+    accumulator = 0;
+
+    /**
+     * Timestamp of the previous animation frame, or null before the first frame.
+     * @type {?number}
+     */
+    lastFrameAt = null;
+
+    /**
+     * Handle of the pending animation frame request.
+     * @type {?number}
+     */
+    frameHandle = null;
+
+    /**
+     * Indicates whether the loop is currently running.
+     * @type {boolean}
+     */
+    running = false;
+
+    /**
+     * Optional callback run at the start of every animation frame,
+     * before the simulation steps (e.g. to poll input devices).
+     * @type {?function(): void}
+     */
+    poll = null;
+
+    /**
+     * Creates a new {@link GameLoop} instance.
+     *
+     * @constructor
+     * @param {function(number): void} update - Called once per simulation step with the step duration in ms.
+     * @param {function(): void} render - Called once per animation frame.
+     * @param {number} [stepMs] - Optional custom step duration in ms.
+     */
+    constructor(update, render, stepMs) {
+        this.update = update;
+        this.render = render;
+        if (stepMs) this.stepMs = stepMs;
+    }
+
+    /**
+     * Starts the loop if it is not already running.
+     *
+     * @returns {void}
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        GameLoop.activeCount++;
+        this.resetTiming();
+        this.frameHandle = requestAnimationFrame((t) => this.frame(t));
+    }
+
+    /**
+     * Stops the loop and cancels the pending animation frame.
+     *
+     * @returns {void}
+     */
+    stop() {
+        if (this.running) GameLoop.activeCount--;
+        this.running = false;
+        if (this.frameHandle !== null) {
+            cancelAnimationFrame(this.frameHandle);
+            this.frameHandle = null;
+        }
+    }
+
+    /**
+     * Discards collected time so the next frame starts a fresh measurement.
+     *
+     * @returns {void}
+     */
+    resetTiming() {
+        this.accumulator = 0;
+        this.lastFrameAt = null;
+    }
+
+    /**
+     * Handles one animation frame: polls input, runs all due simulation
+     * steps and renders the result.
+     *
+     * @param {number} timestamp - The frame timestamp provided by requestAnimationFrame.
+     * @returns {void}
+     */
+    frame(timestamp) {
+        if (!this.running) return;
+        this.poll?.();
+        this.advance(timestamp);
+        this.render();
+        if (this.running) {
+            this.frameHandle = requestAnimationFrame((t) => this.frame(t));
+        }
+    }
+
+    /**
+     * Adds the elapsed (scaled) frame time to the accumulator and consumes it
+     * in fixed-size simulation steps.
+     *
+     * @param {number} timestamp - The current frame timestamp in ms.
+     * @returns {void}
+     */
+    advance(timestamp) {
+        if (this.lastFrameAt !== null) {
+            this.accumulator += Math.min(timestamp - this.lastFrameAt, this.maxFrameMs) * this.timeScale;
+        }
+        this.lastFrameAt = timestamp;
+        while (this.running && this.accumulator >= this.stepMs) {
+            this.update(this.stepMs);
+            this.accumulator -= this.stepMs;
+        }
+    }
+}
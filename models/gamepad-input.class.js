@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Defines the {@link GamepadInput} class.
+ * Polls the Gamepad API once per animation frame and feeds the same
+ * {@link Keyboard} flags as the keyboard and touch controls, so
+ * {@link Character} and {@link World} need no gamepad special cases.
+ *
+ * Buttons are mapped through {@link InputBindings} (defaults for the
+ * standard layout: D-pad → LEFT / RIGHT / UP / DOWN, A → JUMP, X / B → THROW,
+ * Start → pause). The left stick always moves, with an analog dead-zone.
+ *
+ * Flags are only written when the gamepad state changes, so a held
+ * key on the keyboard is not overwritten by an idle gamepad.
+ * Gamepads may be plugged in or out at any time.
+ *
+ * @see Keyboard
+ * @see InputBindings
+ * @see World
+ *
+ * @author KW
+ * @version 1.1.0
+ */
+
+/**
+ * Class representing the gamepad input source.
+ *
+ * @class GamepadInput
+ */
+class GamepadInput {
+    /**
+     * Keyboard flags written by the gamepad.
+     * @type {string[]}
+     */
+    static FLAGS = ['LEFT', 'RIGHT', 'JUMP', 'THROW', 'UP', 'DOWN'];
+
+    /**
+     * Stick deflection below which the stick counts as centered.
+     * @type {number}
+     */
+    deadZone = 0.3;
+
+    /**
+     * The keyboard state the gamepad writes into.
+     * @type {Keyboard}
+     */
+    keyboard;
+
+    /**
+     * The action → button bindings.
+     * @type {InputBindings}
+     */
+    bindings;
+
+    /**
+     * Flag values of the previous poll.
+     * @type {Object.<string, boolean>}
+     */
+    previous = { LEFT: false, RIGHT: false, JUMP: false, THROW: false, UP: false, DOWN: false };
+
+    /**
+     * Button indices held on any gamepad during the previous poll.
+     * @type {Set<number>}
+     */
+    pressedPrev = new Set();
+
+    /**
+     * Callback waiting for the next pressed button (while rebinding), or null.
+     * @type {?function(number): void}
+     */
+    captureCallback = null;
+
+    /**
+     * Ids of the gamepads connected during the previous poll, by index.
+     * @type {Map<number, string>}
+     */
+    connected = new Map();
+
+    /**
+     * Optional callback invoked when a gamepad is plugged in.
+     * @type {?function(string): void}
+     */
+    onConnect = null;
+
+    /**
+     * Optional callback invoked when a gamepad is unplugged.
+     * @type {?function(string): void}
+     */
+    onDisconnect = null;
+
+    /**
+     * Optional callback invoked when a PAUSE button (Start) is pressed.
+     * @type {?function(): void}
+     */
+    onPause = null;
+
+    /**
+     * Creates a new {@link GamepadInput} instance.
+     *
+     * @constructor
+     * @param {Keyboard} keyboard - The keyboard state to feed.
+     * @param {function(): (Gamepad|null)[]} [getGamepads] - Source of gamepads;
+     *   defaults to `navigator.getGamepads()`.
+     * @param {InputBindings} [bindings] - Button bindings; defaults to the default layout.
+     */
+    constructor(keyboard, getGamepads, bindings) {
+        this.keyboard = keyboard;
+        this.getGamepads = getGamepads || GamepadInput.readNavigatorGamepads;
+        this.bindings = bindings || new InputBindings();
+    }
+
+    /**
+     * Returns the gamepads reported by the browser, or none without Gamepad API.
+     *
+     * @returns {(Gamepad|null)[]}
+     */
+    static readNavigatorGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return [];
+        }
+        return Array.from(navigator.getGamepads());
+    }
+
+    /**
+     * Reads all connected gamepads and updates the keyboard flags.
+     * Called once per animation frame.
+     *
+     * @returns {void}
+     */
+    poll() {
+        const pads = this.getGamepads().filter((pad) => pad && pad.connected !== false);
+        this.updateConnections(pads);
+        const pressed = this.getPressedButtons(pads);
+        const newlyPressed = [...pressed].filter((index) => !this.pressedPrev.has(index));
+        this.pressedPrev = pressed;
+        if (this.captureCallback) {
+            this.handleCapture(newlyPressed);
+            return;
+        }
+        this.applyState(this.readState(pads, pressed));
+        if (newlyPressed.some((index) => this.bindings.buttons.PAUSE.includes(index))) {
+            this.onPause?.();
+        }
+    }
+
+    /**
+     * Collects the indices of all buttons held on any gamepad.
+     *
+     * @param {Gamepad[]} pads
+     * @returns {Set<number>}
+     */
+    getPressedButtons(pads) {
+        const pressed = new Set();
+        pads.forEach((pad) => {
+            (pad.buttons || []).forEach((button, index) => {
+                if (button && button.pressed) pressed.add(index);
+            });
+        });
+        return pressed;
+    }
+
+    /**
+     * Maps held buttons and the left sticks to keyboard flags.
+     *
+     * @param {Gamepad[]} pads
+     * @param {Set<number>} pressed - Held button indices.
+     * @returns {Object.<string, boolean>}
+     */
+    readState(pads, pressed) {
+        const isPressed = (index) => pressed.has(index);
+        const sticks = pads.map((pad) => (pad.axes && pad.axes.length > 0 ? pad.axes[0] : 0));
+        return {
+            LEFT: this.bindings.isActionPressed('LEFT', isPressed) || sticks.some((x) => x < -this.deadZone),
+            RIGHT: this.bindings.isActionPressed('RIGHT', isPressed) || sticks.some((x) => x > this.deadZone),
+            JUMP: this.bindings.isActionPressed('JUMP', isPressed),
+            THROW: this.bindings.isActionPressed('THROW', isPressed),
+            UP: this.bindings.isActionPressed('UP', isPressed),
+            DOWN: this.bindings.isActionPressed('DOWN', isPressed)
+        };
+    }
+
+    /**
+     * Waits for the next pressed button instead of mapping input,
+     * e.g. to rebind an action in the settings.
+     *
+     * @param {function(number): void} callback - Receives the button index.
+     * @returns {void}
+     */
+    captureNextButton(callback) {
+        this.captureCallback = callback;
+    }
+
+    /**
+     * Stops waiting for a button to bind.
+     *
+     * @returns {void}
+     */
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    /**
+     * Hands the first newly pressed button to the capture callback.
+     *
+     * @param {number[]} newlyPressed - Buttons pressed since the previous poll.
+     * @returns {void}
+     */
+    handleCapture(newlyPressed) {
+        if (newlyPressed.length === 0) return;
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+        callback(newlyPressed[0]);
+    }
+
+    /**
+     * Writes changed flags into the keyboard.
+     *
+     * @param {Object.<string, boolean>} state - Current gamepad flags.
+     * @returns {void}
+     */
+    applyState(state) {
+        GamepadInput.FLAGS.forEach((flag) => {
+            if (state[flag] === this.previous[flag]) return;
+            this.keyboard[flag] = state[flag];
+            this.previous[flag] = state[flag];
+        });
+    }
+
+    /**
+     * Detects plugged and unplugged gamepads since the previous poll.
+     *
+     * @param {Gamepad[]} pads - Currently connected gamepads.
+     * @returns {void}
+     */
+    updateConnections(pads) {
+        const current = new Map(pads.map((pad) => [pad.index, pad.id]));
+        current.forEach((id, index) => {
+            if (!this.connected.has(index)) this.onConnect?.(id);
+        });
+        this.connected.forEach((id, index) => {
+            if (!current.has(index)) this.onDisconnect?.(id);
+        });
+        this.connected = current;
+    }
+}
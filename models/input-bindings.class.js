@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Defines the {@link InputBindings} class.
+ * Maps game actions to keyboard keys (`KeyboardEvent.code`) and gamepad
+ * buttons (standard layout indices). Every action has up to
+ * {@link InputBindings.SLOTS} bindings per device. The bindings are
+ * serialized to JSON, so players can keep their own layout.
+ *
+ * The aim actions ({@link InputBindings.AIM_ACTIONS}) only count while
+ * THROW is held, so their keys may also be bound to another action:
+ * by default ⬆️ jumps and aims up while a throw is charging.
+ *
+ * @see Keyboard
+ * @see GamepadInput
+ *
+ * @author KW
+ * @version 1.3.0
+ */
+
+/**
+ * Class representing the action → key/button bindings.
+ *
+ * @class InputBindings
+ */
+class InputBindings {
+    /**
+     * Bindable actions with their display labels.
+     * LEFT, RIGHT, JUMP, THROW, UP and DOWN are {@link Keyboard} flags; PAUSE toggles the pause menu.
+     * @type {Object.<string, string>}
+     */
+    static ACTIONS = {
+        LEFT: 'Move left',
+        RIGHT: 'Move right',
+        JUMP: 'Jump',
+        THROW: 'Throw bottle',
+        UP: 'Aim up (while charging)',
+        DOWN: 'Aim down (while charging)',
+        PAUSE: 'Pause'
+    };
+
+    /**
+     * Number of bindings per action and device.
+     * @type {number}
+     */
+    static SLOTS = 2;
+
+    /**
+     * Default bindings.
+     * @type {{keys: Object.<string, string[]>, buttons: Object.<string, number[]>}}
+     */
+    static DEFAULTS = {
+        keys: {
+            LEFT: ['ArrowLeft', 'KeyA'],
+            RIGHT: ['ArrowRight', 'KeyD'],
+            JUMP: ['ArrowUp', 'KeyW'],
+            THROW: ['KeyF'],
+            UP: ['ArrowUp'],
+            DOWN: ['ArrowDown'],
+            PAUSE: ['Escape', 'KeyP']
+        },
+        buttons: {
+            LEFT: [14],
+            RIGHT: [15],
+            JUMP: [0],
+            THROW: [2, 1],
+            UP: [12],
+            DOWN: [13],
+            PAUSE: [9]
+        }
+    };
+
+    /**
+     * Actions that only apply while THROW is held. On the keyboard they may
+     * share keys with any action except THROW and each other.
+     * @type {string[]}
+     */
+    static AIM_ACTIONS = ['UP', 'DOWN'];
+
+    /**
+     * Display names of the standard gamepad buttons, by index.
+     * @type {string[]}
+     */
+    static BUTTON_NAMES = [
+        'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+        'L3', 'R3', 'D-pad ⬆️', 'D-pad ⬇️', 'D-pad ⬅️', 'D-pad ➡️', 'Home'
+    ];
+
+    /**
+     * Display names of special keys.
+     * @type {Object.<string, string>}
+     */
+    static KEY_NAMES = {
+        ArrowLeft: '⬅️',
+        ArrowRight: '➡️',
+        ArrowUp: '⬆️',
+        ArrowDown: '⬇️',
+        Escape: 'Esc',
+        Space: 'Space',
+        Enter: 'Enter',
+        ShiftLeft: 'Shift',
+        ShiftRight: 'Right Shift',
+        ControlLeft: 'Ctrl',
+        ControlRight: 'Right Ctrl'
+    };
+
+    /**
+     * Keyboard bindings per action.
+     * @type {Object.<string, string[]>}
+     */
+    keys = {};
+
+    /**
+     * Gamepad button bindings per action.
+     * @type {Object.<string, number[]>}
+     */
+    buttons = {};
+
+    /**
+     * Creates a new {@link InputBindings} instance with the default bindings.
+     *
+     * @constructor
+     */
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Restores the default bindings.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.keys = InputBindings.copy(InputBindings.DEFAULTS.keys);
+        this.buttons = InputBindings.copy(InputBindings.DEFAULTS.buttons);
+    }
+
+    /**
+     * Returns a deep copy of a binding map.
+     *
+     * @param {Object.<string, Array>} map
+     * @returns {Object.<string, Array>}
+     */
+    static copy(map) {
+        const result = {};
+        Object.keys(map).forEach((action) => {
+            result[action] = [...map[action]];
+        });
+        return result;
+    }
+
+    /**
+     * Returns the action a key triggers. A key shared by an aim action and
+     * another action aims while a throw is charging and triggers the other
+     * action otherwise.
+     *
+     * @param {string} code - A `KeyboardEvent.code`.
+     * @param {boolean} [charging=false] - Whether THROW is held.
+     * @returns {?string} The action, or null if the key is unbound.
+     */
+    actionForKey(code, charging = false) {
+        const actions = this.actionsForKey(code);
+        const preferred = actions.find((action) => InputBindings.AIM_ACTIONS.includes(action) === charging);
+        return preferred || actions[0] || null;
+    }
+
+    /**
+     * Returns every action bound to a key.
+     *
+     * @param {string} code - A `KeyboardEvent.code`.
+     * @returns {string[]}
+     */
+    actionsForKey(code) {
+        return Object.keys(this.keys).filter((action) => this.keys[action].includes(code));
+    }
+
+    /**
+     * Determines whether any button bound to an action is held.
+     *
+     * @param {string} action
+     * @param {function(number): boolean} isPressed - Checks a button index.
+     * @returns {boolean}
+     */
+    isActionPressed(action, isPressed) {
+        return this.buttons[action].some((index) => isPressed(index));
+    }
+
+    /**
+     * Returns the action a key or button is bound to.
+     *
+     * @param {string} device - 'keys' or 'buttons'.
+     * @param {string|number} value - Key code or button index.
+     * @param {string} [except] - Action to ignore, together with the actions it may share keys with.
+     * @returns {?string}
+     */
+    findAction(device, value, except) {
+        const bindings = this[device];
+        const action = Object.keys(bindings).find(
+            (name) => name !== except && bindings[name].includes(value)
+                && !(device === 'keys' && except && InputBindings.canShareKey(name, except))
+        );
+        return action || null;
+    }
+
+    /**
+     * Determines whether two actions may be bound to the same key.
+     *
+     * @param {string} first
+     * @param {string} second
+     * @returns {boolean} True if exactly one of them is an aim action and the other is not THROW.
+     */
+    static canShareKey(first, second) {
+        const aim = InputBindings.AIM_ACTIONS;
+        if (first === 'THROW' || second === 'THROW') return false;
+        return aim.includes(first) !== aim.includes(second);
+    }
+
+    /**
+     * Binds a key or button to one slot of an action.
+     *
+     * @param {string} device - 'keys' or 'buttons'.
+     * @param {string} action - One of {@link InputBindings.ACTIONS}.
+     * @param {number} slot - Slot index (0-based).
+     * @param {string|number} value - Key code or button index.
+     * @returns {void}
+     * @throws {Error} If the key or button is already bound to another action.
+     */
+    bind(device, action, slot, value) {
+        const conflict = this.findAction(device, value, action);
+        if (conflict) {
+            throw new Error(`${this.describe(device, value)} is already used for "${InputBindings.ACTIONS[conflict]}"`);
+        }
+        const bindings = this[device][action].filter((bound, i) => i !== slot && bound !== value);
+        bindings.splice(Math.min(slot, bindings.length), 0, value);
+        this[device][action] = bindings.slice(0, InputBindings.SLOTS);
+    }
+
+    /**
+     * Returns a display name for a key or button.
+     *
+     * @param {string} device - 'keys' or 'buttons'.
+     * @param {string|number} value - Key code or button index.
+     * @returns {string}
+     */
+    describe(device, value) {
+        return device === 'keys' ? InputBindings.describeKey(value) : InputBindings.describeButton(value);
+    }
+
+    /**
+     * Returns a display name for a key code, e.g. "KeyD" → "D".
+     *
+     * @param {string} code
+     * @returns {string}
+     */
+    static describeKey(code) {
+        if (InputBindings.KEY_NAMES[code]) return InputBindings.KEY_NAMES[code];
+        return code.replace(/^(Key|Digit)/, '');
+    }
+
+    /**
+     * Returns a display name for a gamepad button index.
+     *
+     * @param {number} index
+     * @returns {string}
+     */
+    static describeButton(index) {
+        return InputBindings.BUTTON_NAMES[index] || `Button ${index}`;
+    }
+
+    /**
+     * Returns the bindings in a JSON-compatible form.
+     *
+     * @returns {{keys: Object.<string, string[]>, buttons: Object.<string, number[]>}}
+     */
+    toJSON() {
+        return { keys: InputBindings.copy(this.keys), buttons: InputBindings.copy(this.buttons) };
+    }
+
+    /**
+     * Builds bindings from stored data. Unknown actions and malformed
+     * entries are ignored and fall back to the defaults. Stored keys and
+     * buttons that clash with the default binding of an action that has
+     * no stored entry are dropped, so a binding added in a later version
+     * keeps working with an older layout.
+     *
+     * @param {Object} data - Data from {@link InputBindings#toJSON}.
+     * @returns {InputBindings}
+     */
+    static fromJSON(data) {
+        const bindings = new InputBindings();
+        if (!data || typeof data !== 'object') return bindings;
+        const stored = { keys: [], buttons: [] };
+        Object.keys(InputBindings.ACTIONS).forEach((action) => {
+            const keys = data.keys && data.keys[action];
+            if (Array.isArray(keys) && keys.length > 0 && keys.every((code) => typeof code === 'string')) {
+                bindings.keys[action] = keys.slice(0, InputBindings.SLOTS);
+                stored.keys.push(action);
+            }
+            const buttons = data.buttons && data.buttons[action];
+            if (Array.isArray(buttons) && buttons.length > 0 && buttons.every(Number.isInteger)) {
+                bindings.buttons[action] = buttons.slice(0, InputBindings.SLOTS);
+                stored.buttons.push(action);
+            }
+        });
+        ['keys', 'buttons'].forEach((device) => bindings.dropClashes(device, stored[device]));
+        return bindings;
+    }
+
+    /**
+     * Removes stored bindings that clash with a default binding. An action
+     * left without bindings falls back to its defaults.
+     *
+     * @param {string} device - 'keys' or 'buttons'.
+     * @param {string[]} stored - Actions whose bindings came from stored data.
+     * @returns {void}
+     */
+    dropClashes(device, stored) {
+        stored.forEach((action) => {
+            const kept = this[device][action].filter((value) => {
+                const owner = this.findAction(device, value, action);
+                return !owner || stored.includes(owner);
+            });
+            this[device][action] = kept.length > 0 ? kept : [...InputBindings.DEFAULTS[device][action]];
+        });
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Defines the {@link InputRecording} class and {@link ReplayFormatError}.
+ * A recording stores everything needed to reproduce a session exactly:
+ * the seeds, the start level, the {@link Keyboard} flags of every
+ * simulation step and the UI events that change the simulation
+ * (e.g. "Next Level"). Since the {@link World} is deterministic for a
+ * given seed and input sequence, replaying the recording yields the
+ * same game tick by tick.
+ *
+ * Replay file format (inputs are run-length encoded):
+ * ```json
+ * {
+ *   "version": 2,
+ *   "seed": "abc",
+ *   "sessionSeed": 48213,
+ *   "level": 1,
+ *   "inputs": [[0, 120], [2, 45], [6, 3]],
+ *   "events": [{ "tick": 2400, "type": "nextLevel" }]
+ * }
+ * ```
+ * Each input entry is `[mask, ticks]`, where the mask has one bit per
+ * flag in {@link InputRecording.FLAGS} order.
+ *
+ * {@link InputRecording.VERSION} covers the input encoding: it is bumped
+ * when the flags, their order or the action a flag stands for change, and
+ * recordings of older versions are rejected on import. Version 2: THROW
+ * charges while held and throws on release (version 1 threw on press),
+ * UP and DOWN aim the throw. Changes to the game rules are not versioned,
+ * so a recording is only guaranteed to play out the same on the build it
+ * was made with.
+ *
+ * @see World
+ * @see Keyboard
+ *
+ * @author KW
+ * @version 1.2.1
+ */
+
+/**
+ * Error thrown when an imported replay does not match the replay format.
+ * Collects every violation instead of stopping at the first one.
+ *
+ * @class ReplayFormatError
+ * @extends Error
+ */
+class ReplayFormatError extends Error {
+    /**
+     * Creates a new {@link ReplayFormatError}.
+     *
+     * @constructor
+     * @param {string[]} errors - One message per format violation.
+     */
+    constructor(errors) {
+        super(`Invalid replay:\n - ${errors.join('\n - ')}`);
+        this.name = 'ReplayFormatError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Class representing a recorded input session.
+ *
+ * @class InputRecording
+ */
+class InputRecording {
+    /**
+     * Version of the replay file format.
+     * @type {number}
+     */
+    static VERSION = 2;
+
+    /**
+     * Recorded keyboard flags, in bit order.
+     * @type {string[]}
+     */
+    static FLAGS = ['LEFT', 'RIGHT', 'JUMP', 'THROW', 'UP', 'DOWN'];
+
+    /**
+     * UI events that can appear in a recording.
+     * @type {string[]}
+     */
+    static EVENT_TYPES = ['nextLevel'];
+
+    /**
+     * Seed chosen by the player, or null if none was set.
+     * @type {?(number|string)}
+     */
+    seed = null;
+
+    /**
+     * Session seed of the recorded world.
+     * @type {number}
+     */
+    sessionSeed = 0;
+
+    /**
+     * Level the recording starts in.
+     * @type {number}
+     */
+    level = 1;
+
+    /**
+     * Input mask of every simulation step, indexed by tick.
+     * @type {number[]}
+     */
+    frames = [];
+
+    /**
+     * UI events with the tick they happened at, in order.
+     * @type {{tick: number, type: string}[]}
+     */
+    events = [];
+
+    /**
+     * Creates a new, empty {@link InputRecording}.
+     *
+     * @constructor
+     * @param {Object} [start] - Where the recording starts.
+     * @param {?(number|string)} [start.seed=null] - Seed chosen by the player.
+     * @param {number} [start.sessionSeed=0] - Session seed of the world.
+     * @param {number} [start.level=1] - Start level.
+     */
+    constructor({ seed = null, sessionSeed = 0, level = 1 } = {}) {
+        this.seed = seed;
+        this.sessionSeed = sessionSeed;
+        this.level = level;
+    }
+
+    /**
+     * Number of recorded simulation steps.
+     * @type {number}
+     */
+    get length() {
+        return this.frames.length;
+    }
+
+    /**
+     * Packs the recorded flags of a keyboard into a bit mask.
+     *
+     * @param {Keyboard} keyboard
+     * @returns {number}
+     */
+    static encode(keyboard) {
+        return InputRecording.FLAGS.reduce(
+            (mask, flag, bit) => (keyboard[flag] ? mask | (1 << bit) : mask),
+            0
+        );
+    }
+
+    /**
+     * Writes a bit mask back into the recorded flags of a keyboard.
+     *
+     * @param {number} mask
+     * @param {Keyboard} keyboard
+     * @returns {void}
+     */
+    static decode(mask, keyboard) {
+        InputRecording.FLAGS.forEach((flag, bit) => {
+            keyboard[flag] = (mask & (1 << bit)) !== 0;
+        });
+    }
+
+    /**
+     * Records the keyboard state of the next simulation step.
+     *
+     * @param {Keyboard} keyboard
+     * @returns {void}
+     */
+    capture(keyboard) {
+        this.frames.push(InputRecording.encode(keyboard));
+    }
+
+    /**
+     * Records a UI event before the next simulation step.
+     *
+     * @param {string} type - One of {@link InputRecording.EVENT_TYPES}.
+     * @returns {void}
+     */
+    addEvent(type) {
+        this.events.push({ tick: this.frames.length, type });
+    }
+
+    /**
+     * Applies the recorded input of a tick to a keyboard.
+     * Past the end of the recording all flags are released.
+     *
+     * @param {Keyboard} keyboard
+     * @param {number} tick
+     * @returns {void}
+     */
+    applyTo(keyboard, tick) {
+        InputRecording.decode(tick < this.frames.length ? this.frames[tick] : 0, keyboard);
+    }
+
+    /**
+     * Returns the recording in the replay file format.
+     *
+     * @returns {{version: number, seed: ?(number|string), sessionSeed: number, level: number, inputs: number[][], events: {tick: number, type: string}[]}}
+     */
+    toJSON() {
+        const inputs = [];
+        this.frames.forEach((mask) => {
+            const last = inputs[inputs.length - 1];
+            if (last && last[0] === mask) {
+                last[1]++;
+            } else {
+                inputs.push([mask, 1]);
+            }
+        });
+        return {
+            version: InputRecording.VERSION,
+            seed: this.seed,
+            sessionSeed: this.sessionSeed,
+            level: this.level,
+            inputs,
+            events: this.events.map((event) => ({ ...event }))
+        };
+    }
+
+    /**
+     * Builds a recording from replay file data.
+     *
+     * @param {Object|string} data - Replay data as object or JSON string.
+     * @returns {InputRecording}
+     * @throws {ReplayFormatError} If the data violates the replay format.
+     */
+    static fromJSON(data) {
+        const replayData = typeof data === 'string' ? InputRecording.parse(data) : data;
+        const errors = InputRecording.validate(replayData);
+        if (errors.length > 0) throw new ReplayFormatError(errors);
+        const recording = new InputRecording(replayData);
+        replayData.inputs.forEach(([mask, ticks]) => {
+            for (let i = 0; i < ticks; i++) recording.frames.push(mask);
+        });
+        recording.events = replayData.events.map((event) => ({ tick: event.tick, type: event.type }));
+        return recording;
+    }
+
+    /**
+     * Parses a JSON string into replay data.
+     *
+     * @param {string} text - The JSON text.
+     * @returns {Object}
+     * @throws {ReplayFormatError} If the text is not valid JSON.
+     */
+    static parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ReplayFormatError([`not valid JSON: ${error.message}`]);
+        }
+    }
+
+    /**
+     * Validates replay data against the replay format.
+     *
+     * @param {Object} data - The replay data to check.
+     * @returns {string[]} One message per violation; empty if the data is valid.
+     */
+    static validate(data) {
+        if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+            return ['replay data must be an object'];
+        }
+        const errors = [];
+        if (Number.isInteger(data.version) && data.version < InputRecording.VERSION) {
+            errors.push(`version: recordings of version ${data.version} were made with an older game and can't be replayed (need version ${InputRecording.VERSION})`);
+        } else if (data.version !== InputRecording.VERSION) {
+            errors.push(`version: must be ${InputRecording.VERSION}`);
+        }
+        if (data.seed !== null && typeof data.seed !== 'number' && typeof data.seed !== 'string') {
+            errors.push('seed: must be a number, a string or null');
+        }
+        if (!Number.isInteger(data.sessionSeed)) {
+            errors.push('sessionSeed: must be an integer');
+        }
+        if (!Number.isInteger(data.level) || data.level < 1) {
+            errors.push('level: must be a level number (1 or higher)');
+        }
+        InputRecording.validateInputs(data.inputs, errors);
+        InputRecording.validateEvents(data.events, errors);
+        return errors;
+    }
+
+    /**
+     * Validates the run-length encoded input list.
+     *
+     * @param {*} inputs
+     * @param {string[]} errors - Collected violations.
+     * @returns {void}
+     */
+    static validateInputs(inputs, errors) {
+        if (!Array.isArray(inputs)) {
+            errors.push('inputs: must be an array');
+            return;
+        }
+        const maxMask = (1 << InputRecording.FLAGS.length) - 1;
+        inputs.forEach((entry, i) => {
+            const valid = Array.isArray(entry) && entry.length === 2 &&
+                Number.isInteger(entry[0]) && entry[0] >= 0 && entry[0] <= maxMask &&
+                Number.isInteger(entry[1]) && entry[1] >= 1;
+            if (!valid) {
+                errors.push(`inputs[${i}]: must be [mask 0-${maxMask}, ticks >= 1]`);
+            }
+        });
+    }
+
+    /**
+     * Validates the UI event list.
+     *
+     * @param {*} events
+     * @param {string[]} errors - Collected violations.
+     * @returns {void}
+     */
+    static validateEvents(events, errors) {
+        if (!Array.isArray(events)) {
+            errors.push('events: must be an array');
+            return;
+        }
+        events.forEach((event, i) => {
+            if (typeof event !== 'object' || event === null || !Number.isInteger(event.tick) || event.tick < 0) {
+                errors.push(`events[${i}].tick: must be a tick number (0 or higher)`);
+                return;
+            }
+            if (!InputRecording.EVENT_TYPES.includes(event.type)) {
+                errors.push(`events[${i}].type: unknown event "${event.type}"`);
+            }
+        });
+    }
+}
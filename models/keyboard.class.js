@@ -4,14 +4,14 @@
  * the player character and triggering in-game actions.
  *
  * The keyboard class stores boolean flags for each control key
- * (movement, jump, throw) that are set and unset by global event listeners
+ * (movement, jump, throw, aim) that are set and unset by global event listeners
  * in the game loop.
  *
  * @see Character
  * @see World
  * 
  * @author KW
- * @version 1.0.0
+ * @version 1.1.1
  */
 
 /**
@@ -32,22 +32,27 @@ class Keyboard {
      */
     RIGHT = false;
     /**
-     * Indicates whether the up arrow key or 'W' is pressed.
+     * Indicates whether the aim-up key (up arrow while THROW is held) is pressed; steepens a charging throw.
      * @type {boolean}
      */
     UP = false;
     /**
-     * Indicates whether the down arrow key or 'S' is pressed.
+     * Indicates whether the aim-down key (down arrow while THROW is held) is pressed; flattens a charging throw.
      * @type {boolean}
      */
     DOWN = false;
     /**
-     * Indicates whether the spacebar or 'J' key is pressed for jumping.
+     * Indicates whether the jump key (up arrow or 'W') is pressed.
+     * @type {boolean}
+     */
+    JUMP = false;
+    /**
+     * Legacy jump flag. No default binding sets it; jumping uses {@link Keyboard#JUMP}.
      * @type {boolean}
      */
     SPACE = false;
     /**
-     * Indicates whether the 'T' key is pressed for throwing a bottle.
+     * Indicates whether the throw key ('F') is held; a bottle is thrown on release.
      * @type {boolean}
      */
     THROW = false;
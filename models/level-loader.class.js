@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Defines the {@link LevelLoader} class and {@link LevelFormatError}.
+ * Builds {@link Level} instances from plain JSON level data, so levels
+ * can be authored as data with explicit entity placement instead of
+ * hard-coded constructor lists.
+ *
+ * Level format:
+ * ```json
+ * {
+ *   "name": "Desert Outskirts",
+ *   "seed": 1234,
+ *   "level_end_x": 2500,
+ *   "music": "audio/music.mp3",
+ *   "background": [
+ *     { "x": 0, "layers": ["img/5_background/layers/air.png", "..."] }
+ *   ],
+ *   "entities": [
+ *     { "type": "chicken", "x": 700, "speed": 0.2 },
+ *     { "type": "coin", "x": 600, "y": 150 },
+ *     { "type": "chili", "x": 900, "y": 180 },
+ *     { "type": "checkpoint", "x": 1300 }
+ *   ],
+ *   "bosses": [
+ *     { "type": "endboss", "x": 2500 }
+ *   ]
+ * }
+ * ```
+ * Every entity needs a `type` and an `x` position; the remaining
+ * parameters depend on the type (see {@link LevelLoader.ENTITY_TYPES}).
+ * Omitted parameters are rolled from the type's range with the
+ * {@link SeededRandom} passed to {@link LevelLoader.load}, so a level is
+ * fully reproducible from its seed. The optional `seed` is used when
+ * the player did not choose one.
+ *
+ * @see Level
+ * @see World
+ *
+ * @author KW
+ * @version 1.2.1
+ */
+
+/**
+ * Error thrown when level data does not match the level format.
+ * Collects every schema violation instead of stopping at the first one.
+ *
+ * @class LevelFormatError
+ * @extends Error
+ */
+class LevelFormatError extends Error {
+    /**
+     * Creates a new {@link LevelFormatError}.
+     *
+     * @constructor
+     * @param {string} levelName - Name of the level (or a placeholder) for the message.
+     * @param {string[]} errors - One message per schema violation.
+     */
+    constructor(levelName, errors) {
+        super(`Invalid level "${levelName}":\n - ${errors.join('\n - ')}`);
+        this.name = 'LevelFormatError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validates JSON level data and turns it into a playable {@link Level}.
+ *
+ * @class LevelLoader
+ */
+class LevelLoader {
+    /**
+     * Supported entity types with their parameters, the level list they
+     * belong to and a factory creating the instance.
+     * `x` is required for every type; all listed params are optional numbers.
+     * `ranges` gives the [min, max) a missing param is rolled from.
+     * Every power-up kind is a type of its own (see {@link LevelLoader.createPowerUpTypes}).
+     * @type {Object.<string, {list: string, params: string[], ranges?: Object.<string, number[]>, create: function(Object): MoveableObject}>}
+     */
+    static ENTITY_TYPES = {
+        chicken: {
+            list: 'enemies',
+            params: ['speed'],
+            ranges: { speed: [0.15, 0.4] },
+            create: (e) => new Chicken(e.x, e.speed)
+        },
+        smallChicken: {
+            list: 'enemies',
+            params: ['speed'],
+            ranges: { speed: [0.2, 0.5] },
+            create: (e) => new SmallChicken(e.x, e.speed)
+        },
+        cloud: {
+            list: 'clouds',
+            params: [],
+            create: (e) => new Cloud(e.x)
+        },
+        bottle: {
+            list: 'bottles',
+            params: [],
+            create: (e) => new Bottle(e.x)
+        },
+        coin: {
+            list: 'coins',
+            params: ['y'],
+            ranges: { y: [100, 200] },
+            create: (e) => new Coin(e.x, e.y)
+        },
+        ...LevelLoader.createPowerUpTypes(),
+        checkpoint: {
+            list: 'checkpoints',
+            params: [],
+            create: (e) => new Checkpoint(e.x)
+        }
+    };
+
+    /**
+     * Builds one entity type per {@link PowerUp.KINDS} entry, named after
+     * the kind, so a new power-up is placeable without touching the loader.
+     *
+     * @returns {Object.<string, {list: string, params: string[], ranges: Object.<string, number[]>, create: function(Object): PowerUp}>}
+     */
+    static createPowerUpTypes() {
+        return Object.fromEntries(Object.keys(PowerUp.KINDS).map((kind) => [kind, {
+            list: 'powerUps',
+            params: ['y'],
+            ranges: { y: [150, 250] },
+            create: (e) => new PowerUp(kind, e.x, e.y)
+        }]));
+    }
+
+    /**
+     * Supported boss types placed at the boss spawn points.
+     * @type {Object.<string, {params: string[], create: function(Object): MoveableObject}>}
+     */
+    static BOSS_TYPES = {
+        endboss: {
+            params: [],
+            create: (b) => new Endboss(b.x)
+        }
+    };
+
+    /**
+     * Builds a new {@link Level} from level data.
+     *
+     * @param {Object|string} data - Level data as object or JSON string.
+     * @param {SeededRandom} [random] - Generator for omitted parameters;
+     *   defaults to one seeded with the level's own seed (or 0).
+     * @returns {Level} A fresh level instance.
+     * @throws {LevelFormatError} If the data violates the level format.
+     */
+    static load(data, random) {
+        const levelData = typeof data === 'string' ? LevelLoader.parse(data) : data;
+        LevelLoader.assertValid(levelData);
+        const rng = random || new SeededRandom(levelData.seed ?? 0);
+        const lists = { enemies: [], clouds: [], bottles: [], coins: [], powerUps: [], checkpoints: [] };
+        levelData.entities.forEach((entity) => {
+            const type = LevelLoader.ENTITY_TYPES[entity.type];
+            lists[type.list].push(type.create(LevelLoader.resolveParams(entity, type, rng)));
+        });
+        levelData.bosses.forEach((boss) => {
+            lists.enemies.push(LevelLoader.BOSS_TYPES[boss.type].create(boss));
+        });
+        const level = new Level(
+            lists.enemies,
+            lists.clouds,
+            LevelLoader.createBackground(levelData.background),
+            lists.bottles,
+            lists.coins,
+            lists.powerUps,
+            lists.checkpoints
+        );
+        level.name = levelData.name;
+        level.level_end_x = levelData.level_end_x;
+        level.music = levelData.music || null;
+        return level;
+    }
+
+    /**
+     * Returns a copy of the placement with every omitted ranged parameter
+     * rolled from the seeded generator.
+     *
+     * @param {Object} placement - The entity placement from the level data.
+     * @param {{ranges?: Object.<string, number[]>}} type - The entity type definition.
+     * @param {SeededRandom} random
+     * @returns {Object}
+     */
+    static resolveParams(placement, type, random) {
+        const resolved = { ...placement };
+        Object.entries(type.ranges || {}).forEach(([param, [min, max]]) => {
+            if (resolved[param] === undefined) {
+                resolved[param] = random.range(min, max);
+            }
+        });
+        return resolved;
+    }
+
+    /**
+     * Parses a JSON string into level data.
+     *
+     * @param {string} text - The JSON text.
+     * @returns {Object}
+     * @throws {LevelFormatError} If the text is not valid JSON.
+     */
+    static parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new LevelFormatError('<unparsed>', [`not valid JSON: ${error.message}`]);
+        }
+    }
+
+    /**
+     * Creates the background layer objects for all segments.
+     *
+     * @param {{x: number, layers: string[]}[]} segments
+     * @returns {BackgroundObject[]}
+     */
+    static createBackground(segments) {
+        const objects = [];
+        segments.forEach((segment) => {
+            segment.layers.forEach((path) => {
+                objects.push(new BackgroundObject(path, segment.x));
+            });
+        });
+        return objects;
+    }
+
+    /**
+     * Throws a {@link LevelFormatError} listing every schema violation.
+     *
+     * @param {Object} data - The level data to check.
+     * @returns {void}
+     * @throws {LevelFormatError}
+     */
+    static assertValid(data) {
+        const errors = LevelLoader.validate(data);
+        if (errors.length === 0) return;
+        const name = data && typeof data.name === 'string' ? data.name : '<unnamed>';
+        throw new LevelFormatError(name, errors);
+    }
+
+    /**
+     * Validates level data against the level format.
+     *
+     * @param {Object} data - The level data to check.
+     * @returns {string[]} One message per violation; empty if the data is valid.
+     */
+    static validate(data) {
+        const errors = [];
+        if (!LevelLoader.isObject(data)) {
+            return ['level data must be an object'];
+        }
+        if (typeof data.name !== 'string' || data.name.trim() === '') {
+            errors.push('name: must be a non-empty string');
+        }
+        if (!LevelLoader.isNumber(data.level_end_x) || data.level_end_x <= 0) {
+            errors.push('level_end_x: must be a positive number');
+        }
+        if (data.seed !== undefined && !LevelLoader.isNumber(data.seed) && typeof data.seed !== 'string') {
+            errors.push('seed: must be a number or a string');
+        }
+        if (data.music !== undefined && typeof data.music !== 'string') {
+            errors.push('music: must be a string path to an audio file');
+        }
+        LevelLoader.validateBackground(data.background, errors);
+        LevelLoader.validatePlacements(data.entities, 'entities', LevelLoader.ENTITY_TYPES, errors);
+        LevelLoader.validatePlacements(data.bosses, 'bosses', LevelLoader.BOSS_TYPES, errors);
+        if (Array.isArray(data.bosses) && data.bosses.length === 0) {
+            errors.push('bosses: at least one boss spawn point is required');
+        }
+        return errors;
+    }
+
+    /**
+     * Validates the background segment list.
+     *
+     * @param {*} background
+     * @param {string[]} errors - Collected violations.
+     * @returns {void}
+     */
+    static validateBackground(background, errors) {
+        if (!Array.isArray(background) || background.length === 0) {
+            errors.push('background: must be a non-empty array of segments');
+            return;
+        }
+        background.forEach((segment, i) => {
+            const path = `background[${i}]`;
+            if (!LevelLoader.isObject(segment)) {
+                errors.push(`${path}: must be an object`);
+                return;
+            }
+            if (!LevelLoader.isNumber(segment.x)) {
+                errors.push(`${path}.x: must be a number`);
+            }
+            const layersValid = Array.isArray(segment.layers) &&
+                segment.layers.length > 0 &&
+                segment.layers.every((layer) => typeof layer === 'string');
+            if (!layersValid) {
+                errors.push(`${path}.layers: must be a non-empty array of image paths`);
+            }
+        });
+    }
+
+    /**
+     * Validates a list of typed placements (entities or bosses).
+     *
+     * @param {*} placements
+     * @param {string} listName - Name of the list for error messages.
+     * @param {Object.<string, {params: string[]}>} types - Allowed types.
+     * @param {string[]} errors - Collected violations.
+     * @returns {void}
+     */
+    static validatePlacements(placements, listName, types, errors) {
+        if (!Array.isArray(placements)) {
+            errors.push(`${listName}: must be an array`);
+            return;
+        }
+        placements.forEach((placement, i) => {
+            const path = `${listName}[${i}]`;
+            if (!LevelLoader.isObject(placement)) {
+                errors.push(`${path}: must be an object`);
+                return;
+            }
+            const type = types[placement.type];
+            if (!type) {
+                const known = Object.keys(types).join(', ');
+                errors.push(`${path}.type: unknown type "${placement.type}" (expected one of ${known})`);
+                return;
+            }
+            LevelLoader.validateParams(placement, type.params, path, errors);
+        });
+    }
+
+    /**
+     * Validates the position and parameters of a single placement.
+     *
+     * @param {Object} placement
+     * @param {string[]} params - Optional numeric parameters of the type.
+     * @param {string} path - Location of the placement for error messages.
+     * @param {string[]} errors - Collected violations.
+     * @returns {void}
+     */
+    static validateParams(placement, params, path, errors) {
+        if (!LevelLoader.isNumber(placement.x)) {
+            errors.push(`${path}.x: must be a number`);
+        }
+        Object.keys(placement).forEach((key) => {
+            if (key === 'type' || key === 'x') return;
+            if (!params.includes(key)) {
+                errors.push(`${path}.${key}: unknown parameter for type "${placement.type}"`);
+            } else if (!LevelLoader.isNumber(placement[key])) {
+                errors.push(`${path}.${key}: must be a number`);
+            }
+        });
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for plain (non-array) objects.
+     */
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for finite numbers.
+     */
+    static isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+}
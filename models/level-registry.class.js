@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Defines the {@link LevelRegistry} class.
+ * An ordered list of level data forming a campaign. Levels are addressed
+ * by their 1-based number, so the {@link World} can progress through any
+ * number of levels without knowing them in advance.
+ *
+ * @see LevelLoader
+ * @see World
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing an ordered collection of levels.
+ *
+ * @class LevelRegistry
+ */
+class LevelRegistry {
+    /**
+     * Level data in campaign order.
+     * @type {Object[]}
+     */
+    levels = [];
+
+    /**
+     * Creates a new {@link LevelRegistry} instance.
+     *
+     * @constructor
+     * @param {Object[]} levels - Level data objects in the JSON level format, in play order.
+     */
+    constructor(levels) {
+        this.levels = levels;
+    }
+
+    /**
+     * Returns the number of levels in the campaign.
+     *
+     * @returns {number}
+     */
+    count() {
+        return this.levels.length;
+    }
+
+    /**
+     * Determines whether a level with the given number exists.
+     *
+     * @param {number} levelNumber - 1-based level number.
+     * @returns {boolean}
+     */
+    has(levelNumber) {
+        return Number.isInteger(levelNumber) && levelNumber >= 1 && levelNumber <= this.levels.length;
+    }
+
+    /**
+     * Determines whether the given level is the last one of the campaign.
+     *
+     * @param {number} levelNumber - 1-based level number.
+     * @returns {boolean}
+     */
+    isLast(levelNumber) {
+        return levelNumber === this.levels.length;
+    }
+
+    /**
+     * Returns the raw level data for a level number.
+     *
+     * @param {number} levelNumber - 1-based level number.
+     * @returns {Object}
+     * @throws {RangeError} If the level does not exist.
+     */
+    getData(levelNumber) {
+        if (!this.has(levelNumber)) {
+            throw new RangeError(`Level ${levelNumber} does not exist (campaign has ${this.levels.length} levels)`);
+        }
+        return this.levels[levelNumber - 1];
+    }
+
+    /**
+     * Returns the display name of a level.
+     *
+     * @param {number} levelNumber - 1-based level number.
+     * @returns {string}
+     */
+    getName(levelNumber) {
+        return this.has(levelNumber) ? this.getData(levelNumber).name : '';
+    }
+
+    /**
+     * Builds a fresh {@link Level} instance for a level number.
+     *
+     * @param {number} levelNumber - 1-based level number.
+     * @param {SeededRandom} [random] - Generator for omitted level parameters.
+     * @returns {Level}
+     * @throws {RangeError} If the level does not exist.
+     * @throws {LevelFormatError} If the level data is invalid.
+     */
+    create(levelNumber, random) {
+        return LevelLoader.load(this.getData(levelNumber), random);
+    }
+}
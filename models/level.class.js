@@ -1,7 +1,7 @@
 /**
  * @fileoverview Defines the {@link Level} class.
  * Represents a single game level containing all world entities,
- * such as enemies, background objects, collectible items, and clouds.
+ * such as enemies, background objects, collectible items, power-ups, checkpoints and clouds.
  *
  * The {@link Level} class serves as a container and configuration
  * for everything that is drawn and updated during gameplay.
@@ -11,7 +11,7 @@
  * @see BackgroundObject
  * 
  * @author KW
- * @version 1.0.0
+ * @version 1.2.0
  */
 
 /**
@@ -47,6 +47,26 @@ class Level {
      * @type {Coin[]}
      */
     coins;
+    /**
+     * Array of collectible power-ups in the level; defeated enemies add dropped ones.
+     * @type {PowerUp[]}
+     */
+    powerUps;
+    /**
+     * Array of checkpoint flags the character respawns at.
+     * @type {Checkpoint[]}
+     */
+    checkpoints;
+    /**
+     * Display name of the level.
+     * @type {string}
+     */
+    name = '';
+    /**
+     * Path of the background music track for this level, if any.
+     * @type {?string}
+     */
+    music = null;
     /**
      * The horizontal coordinate (in pixels) where the level ends.
      * Used to limit camera movement and player progression.
@@ -62,12 +82,16 @@ class Level {
      * @param {BackgroundObject[]} backgroundObjects - Array of background layer instances.
      * @param {Bottle[]} bottles - Array of bottle instances.
      * @param {Coin[]} coins - Array of coin instances.
+     * @param {PowerUp[]} [powerUps=[]] - Array of power-up instances.
+     * @param {Checkpoint[]} [checkpoints=[]] - Array of checkpoint instances.
      */
-    constructor(enemies, clouds, backgroundObjects, bottles, coins) {
+    constructor(enemies, clouds, backgroundObjects, bottles, coins, powerUps = [], checkpoints = []) {
         this.enemies = enemies;
         this.clouds = clouds;
         this.backgroundObjects = backgroundObjects;
         this.bottles = bottles;
         this.coins = coins;
+        this.powerUps = powerUps;
+        this.checkpoints = checkpoints;
     }
 }
\ No newline at end of file
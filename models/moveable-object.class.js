@@ -12,7 +12,7 @@
  * @see World
  * 
  * @author KW
- * @version 1.1.0
+ * @version 1.10.1
  */
 
 /**
@@ -24,6 +24,33 @@
  * @extends DrawableObject
  */
 class MoveableObject extends DrawableObject {
+    /**
+     * Combat rules of objects that projectiles can hit, or null for objects
+     * that can't be hit:
+     * - `health`: hit points at spawn,
+     * - `score`: points awarded for the kill,
+     * - `onHit` / `onDeath`: names of the methods reacting to a hit that
+     *   leaves the object alive, and to the lethal one,
+     * - `drop`: chance to drop one of the listed {@link PowerUp} kinds when killed.
+     * ```js
+     * static COMBAT = { health: 10, score: 10, onDeath: 'playAnimationChickenDead', drop: { chance: 0.1, kinds: ['taco'] } };
+     * ```
+     * @type {?{health: number, score: number, onHit?: string, onDeath?: string, drop?: {chance: number, kinds: string[]}}}
+     */
+    static COMBAT = null;
+
+    /**
+     * Default gravity: speed lost per gravity step.
+     * @type {number}
+     */
+    static GRAVITY = 2.6;
+
+    /**
+     * Default duration in ms of one gravity step (originally a 25 Hz timer).
+     * @type {number}
+     */
+    static GRAVITY_STEP_MS = 1000 / 25;
+
     /**
      * Horizontal movement speed in pixels per frame.
      * @type {number}
@@ -46,7 +73,27 @@ class MoveableObject extends DrawableObject {
      * Acceleration factor applied to vertical movement (gravity).
      * @type {number}
      */ 
-    acceleration = 2.6;
+    acceleration = MoveableObject.GRAVITY;
+
+    /**
+     * Side the object fights on ('player' or 'enemy'); projectiles only
+     * hurt the sides their {@link World#damageRules} allow.
+     * @type {?string}
+     */
+    faction = null;
+
+    /**
+     * Timed power-up effects (see {@link ActiveEffects}), or null for
+     * objects that can't have any.
+     * @type {?ActiveEffects}
+     */
+    effects = null;
+
+    /**
+     * Remaining hit points, starting at {@link MoveableObject.COMBAT} `health`.
+     * @type {number}
+     */
+    health = this.constructor.COMBAT?.health ?? 0;
 
     /**
      * Current health or energy value of the object.
@@ -55,11 +102,11 @@ class MoveableObject extends DrawableObject {
     energy = 100;
 
     /**
-     * Timestamp (in ms) of the last registered hit.
+     * Simulated time (in ms) of the last registered hit.
      * Used for temporary invulnerability or damage feedback.
      * @type {number}
      */
-    lastHit = 0;
+    lastHit = -Infinity;
 
     /**
      * Ground level in pixels used for vertical snapping when landing.
@@ -68,81 +115,194 @@ class MoveableObject extends DrawableObject {
     groundY = 180;
 
     /**
-     * Applies gravity to the object, causing it to fall when above ground.
-     * Gravity continuously decreases vertical speed (`speedY`) until the object lands.
-     * When landing, the object is snapped back to the configured ground level.
+     * Reference to the world this object currently lives in.
+     * Assigned by {@link World#setWorld} and cleared by {@link MoveableObject#destroy}.
+     * @type {?World}
+     */
+    world = null;
+
+    /**
+     * Duration in ms of one gravity step the speed and acceleration
+     * values are tuned for (originally a 25 Hz timer).
+     * @type {number}
+     */
+    gravityStepMs = MoveableObject.GRAVITY_STEP_MS;
+
+    /**
+     * Time in ms between two animation frames.
+     * @type {number}
+     */
+    animationIntervalMs = 100;
+
+    /**
+     * Time in ms collected towards the next animation frame.
+     * @type {number}
+     */
+    animationElapsedMs = 0;
+
+    /**
+     * Animation state machine; objects without one use
+     * {@link MoveableObject#updateAnimation} at a fixed interval.
+     * @type {?AnimationController}
+     */
+    animation = null;
+
+    /**
+     * Releases everything the object holds on to, so a discarded world
+     * can be garbage collected. Subclasses extend this to stop their own
+     * sounds or pending effects.
      *
      * @returns {void}
      */
-    applyGravity() {
-        setInterval(() => {
-            if (this.isAboveGround() || this.speedY > 0) {
-                this.y -= this.speedY;
-                this.speedY -= this.acceleration;
-
-                if (!this.isAboveGround() && this.speedY < 0 && !(this instanceof ThrowableObject)) {
-                    this.y = this.groundY;
-                    this.speedY = 0;
-                }
-            }
-        }, 1000 / 25);
+    destroy() {
+        this.world = null;
+        this.releaseImages();
+    }
+
+    /**
+     * Advances the object's simulation by one step.
+     * Called by the {@link World} game loop; subclasses override this
+     * to add movement, AI or physics.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    update(dt) {}
+
+    /**
+     * Advances the object's {@link AnimationController}, or the animation
+     * clock that switches to the next sprite frame whenever
+     * {@link MoveableObject#animationIntervalMs} has passed.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    animate(dt) {
+        if (this.animation) {
+            this.animation.update(dt);
+            return;
+        }
+        this.animationElapsedMs += dt;
+        if (this.animationElapsedMs < this.animationIntervalMs) return;
+        this.animationElapsedMs -= this.animationIntervalMs;
+        this.updateAnimation();
+    }
+
+    /**
+     * Selects and plays the next animation frame.
+     * Subclasses override this with their own animation states.
+     *
+     * @returns {void}
+     */
+    updateAnimation() {}
+
+    /**
+     * Applies gravity to the object for one simulation step, causing it
+     * to fall when above ground. Gravity continuously decreases vertical
+     * speed (`speedY`) until the object lands. When landing, the object
+     * is snapped back to the configured ground level.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    applyGravity(dt) {
+        if (!this.isAboveGround() && this.speedY <= 0) return;
+        MoveableObject.fall(this, dt);
+
+        if (!this.isAboveGround() && this.speedY < 0) {
+            this.y = this.groundY;
+            this.speedY = 0;
+        }
+    }
+
+    /**
+     * Moves a body along its vertical speed and lets gravity slow it down,
+     * for the duration of one simulation step. Shared by
+     * {@link MoveableObject#applyGravity} and trajectory previews
+     * (see {@link ThrowableObject.predictPath}); stepped with the same `dt`,
+     * both follow the same curve.
+     *
+     * @param {{y: number, speedY: number, acceleration: number, gravityStepMs: number}} body
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    static fall(body, dt) {
+        const steps = dt / body.gravityStepMs;
+        body.y -= body.speedY * steps;
+        body.speedY -= body.acceleration * steps;
     }
 
     /**
      * Determines whether the object is above the ground.
-     * Throwable objects are always considered above ground.
      *
      * @returns {boolean} True if the object is above ground, otherwise false.
      */
     isAboveGround() {
-        if (this instanceof ThrowableObject) {
-            return true;
-        } else {
-            return this.y < this.groundY;
-        }
+        return this.y < this.groundY;
     }
 
     /**
-     * Checks whether this object is colliding with another moveable object.
-     * Collision boxes differ slightly for the {@link Character} to match the sprite shape.
+     * Checks whether the hitbox of this object overlaps the hitbox of another one
+     * (see {@link DrawableObject#getHitbox}).
      *
-     * @param {MoveableObject} mo - The other moveable object to test against.
+     * @param {DrawableObject} mo - The other object to test against.
      * @returns {boolean} True if the two objects are overlapping (collision detected).
      */
     isColliding(mo) {
-        if (this instanceof Character) {
-            return (
-                this.x + 60 + this.width - 105 > mo.x &&
-                this.y + this.height > mo.y &&
-                this.x + 60 < mo.x + mo.width &&
-                this.y + 130 < mo.y + mo.height
-            );
-        } else {
-            return (
-                this.x + this.width > mo.x &&
-                this.y + this.height > mo.y &&
-                this.x < mo.x + mo.width &&
-                this.y < mo.y + mo.height
-            );
-        }
+        const a = this.getHitbox();
+        const b = mo.getHitbox();
+        return a.right > b.left && a.bottom > b.top && a.left < b.right && a.top < b.bottom;
+    }
+
+    /**
+     * Takes damage according to {@link MoveableObject.COMBAT} and calls the
+     * `onHit` or, when the hit points run out, the `onDeath` reaction.
+     * Objects without combat rules and dead ones ignore damage.
+     *
+     * @param {number} amount - Hit points to take.
+     * @returns {boolean} True if this hit was lethal.
+     */
+    takeDamage(amount) {
+        const combat = this.constructor.COMBAT;
+        if (!combat || this.health <= 0) return false;
+        this.health = Math.max(0, this.health - amount);
+        const reaction = this.health > 0 ? combat.onHit : combat.onDeath;
+        if (reaction) this[reaction]();
+        return this.health === 0;
     }
 
     /**
      * Reduces the object's energy when hit and records the timestamp.
      * Triggers the hurt sound effect from the active world instance.
+     * A running `shield` effect absorbs the hit instead.
      *
      * @returns {void}
      */
     hit() {
+        if (this.absorbHit()) return;
         this.energy -= 20;
         if (this.energy < 0) {
             this.energy = 0;
         } else {
-            this.lastHit = new Date().getTime();
+            this.lastHit = this.currentTime();
         }
         this.world.sound.playHurt();
     }
 
+    /**
+     * Ends a running `shield` effect to absorb a hit. The absorbed hit
+     * still counts as the last hit, so the object gets its usual moment
+     * of invulnerability.
+     *
+     * @returns {boolean} True if the hit was absorbed.
+     */
+    absorbHit() {
+        if (!this.effects?.consume('shield')) return false;
+        this.lastHit = this.currentTime();
+        this.world?.sound.playShieldBlock();
+        return true;
+    }
+
     /**
      * Determines whether the object was recently hit (within the last second).
      * Useful for flashing effects or temporary invulnerability.
@@ -150,11 +310,21 @@ class MoveableObject extends DrawableObject {
      * @returns {boolean} True if the object was hit within the last second.
      */
     isHurt() {
-        let timepassed = new Date().getTime() - this.lastHit;
+        let timepassed = this.currentTime() - this.lastHit;
         timepassed = timepassed / 1000;
         return timepassed < 1;
     }
 
+    /**
+     * Returns the simulated time of the owning world in ms.
+     * Hurt timers use this clock so they freeze while the game is paused.
+     *
+     * @returns {number}
+     */
+    currentTime() {
+        return this.world ? this.world.time : 0;
+    }
+
     /**
      * Checks if the object is dead (i.e., its energy has reached zero).
      *
@@ -168,13 +338,16 @@ class MoveableObject extends DrawableObject {
      * Plays an animation by cycling through an array of image paths.
      * Updates the current frame index each call to simulate motion.
      *
-     * @param {string[]} images - Array of image paths used as animation frames.
+     * @param {string[]|string} images - Array of image paths used as animation frames,
+     *   or the name of a {@link SpriteAtlas} animation (e.g. `pepe/2_walk`).
      * @returns {void}
+     * @throws {RangeError} If no registered atlas has the named animation.
      */
     playAnimation(images) {
-        const i = this.currentImage % images.length;
-        const path = images[i];
-        this.img = this.imageCache[path];
+        const frames = typeof images === 'string' ? SpriteAtlas.getAnimation(images) : images;
+        const i = this.currentImage % frames.length;
+        const path = frames[i];
+        this.img = this.imageCache[path] || SpriteAtlas.findFrame(path);
         this.currentImage++;
     }
 
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Defines the {@link MusicDirector} class.
+ * Picks the music for the current game situation and cross-fades
+ * between tracks when the situation changes:
+ *
+ * | State         | Track                      | Sting (played by {@link SoundManager}) |
+ * |---------------|----------------------------|----------------------------------------|
+ * | `menu`        | el_pollo_loco.mp3 (loop)   | –                                      |
+ * | `exploration` | level music (loop)         | gamestart.mp3                          |
+ * | `boss`        | endboss_attack.mp3 (loop)  | –                                      |
+ * | `victory`     | cheer.mp3 (once)           | gamewin.mp3                            |
+ * | `defeat`      | – (fades out)              | gameover.mp3                           |
+ *
+ * Tracks are streamed HTMLAudioElements on the Music bus of the
+ * {@link AudioEngine}. Fades advance with {@link MusicDirector#update},
+ * which the {@link World} calls every simulation step, so they pause
+ * together with the game.
+ *
+ * @see SoundManager
+ * @see AudioEngine
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing the state-driven background music.
+ *
+ * @class MusicDirector
+ */
+class MusicDirector {
+    /**
+     * Music states with their track, looping flag and sting
+     * (a {@link SoundManager.SOUNDS} effect played on entering the state).
+     * @type {Object.<string, {track: ?string, loop: boolean, sting: ?string}>}
+     */
+    static STATES = {
+        menu: { track: 'audio/el_pollo_loco.mp3', loop: true, sting: null },
+        exploration: { track: 'audio/music.mp3', loop: true, sting: 'gameStart' },
+        boss: { track: 'audio/endboss_attack.mp3', loop: true, sting: null },
+        victory: { track: 'audio/cheer.mp3', loop: false, sting: 'gameWin' },
+        defeat: { track: null, loop: false, sting: 'gameOver' }
+    };
+
+    /**
+     * Duration of a cross-fade in milliseconds.
+     * @type {number}
+     */
+    static FADE_MS = 1500;
+
+    /**
+     * Base volume of the music tracks.
+     * @type {number}
+     */
+    static VOLUME = 0.2;
+
+    /**
+     * The director shared by all sound managers, created on first use.
+     * Keeps the menu music playing until the first world takes over.
+     * @type {?MusicDirector}
+     */
+    static shared = null;
+
+    /**
+     * The engine whose Music bus the tracks play on.
+     * @type {AudioEngine}
+     */
+    engine;
+
+    /**
+     * Current music state, or null for silence.
+     * @type {?string}
+     */
+    state = null;
+
+    /**
+     * Track per state; the exploration track follows the level.
+     * @type {Object.<string, ?string>}
+     */
+    tracks = {};
+
+    /**
+     * Playing and fading tracks, each with its fade level and target level (0 or 1).
+     * @type {{src: string, element: HTMLAudioElement, level: number, target: number}[]}
+     */
+    decks = [];
+
+    /**
+     * Flag indicating that playback is halted (game paused or music muted).
+     * @type {boolean}
+     */
+    paused = false;
+
+    /**
+     * Creates a new {@link MusicDirector} instance.
+     *
+     * @constructor
+     * @param {AudioEngine} engine - Engine to play on.
+     * @param {function(string): HTMLAudioElement} [createElement] - Creates a track element.
+     */
+    constructor(engine, createElement = (src) => new Audio(src)) {
+        this.engine = engine;
+        this.createElement = createElement;
+        Object.entries(MusicDirector.STATES).forEach(([state, { track }]) => {
+            this.tracks[state] = track;
+        });
+    }
+
+    /**
+     * Returns the shared director, creating it on first use.
+     *
+     * @returns {MusicDirector}
+     */
+    static getShared() {
+        if (!MusicDirector.shared) {
+            MusicDirector.shared = new MusicDirector(AudioEngine.getShared());
+        }
+        return MusicDirector.shared;
+    }
+
+    /**
+     * Switches to another music state and cross-fades to its track.
+     *
+     * @param {?string} state - One of {@link MusicDirector.STATES}, or null to fade out.
+     * @returns {boolean} True if the state changed.
+     * @throws {RangeError} If the state does not exist.
+     */
+    setState(state) {
+        if (state !== null && !MusicDirector.STATES[state]) {
+            throw new RangeError(`Unknown music state "${state}" (use ${Object.keys(MusicDirector.STATES).join(', ')})`);
+        }
+        if (state === this.state) return false;
+        this.state = state;
+        this.crossfadeTo(state ? this.tracks[state] : null);
+        return true;
+    }
+
+    /**
+     * Changes the track of a state, e.g. the exploration music of a level.
+     * Cross-fades right away if that state is playing.
+     *
+     * @param {string} state - One of {@link MusicDirector.STATES}.
+     * @param {?string} src - Path of the audio file; null keeps the default track.
+     * @returns {void}
+     */
+    setTrack(state, src) {
+        this.tracks[state] = src || MusicDirector.STATES[state].track;
+        if (state === this.state) this.crossfadeTo(this.tracks[state]);
+    }
+
+    /**
+     * Fades every track out and the given one in. Without anything
+     * audible the new track starts at full volume right away.
+     *
+     * @param {?string} src - Track to fade in, or null for silence.
+     * @returns {void}
+     */
+    crossfadeTo(src) {
+        const audible = this.decks.some((deck) => deck.level > 0);
+        this.decks.forEach((deck) => {
+            deck.target = deck.src === src ? 1 : 0;
+        });
+        if (!src || this.decks.some((deck) => deck.src === src)) return;
+        const element = this.createElement(src);
+        element.loop = MusicDirector.STATES[this.state].loop;
+        const deck = { src, element, level: audible ? 0 : 1, target: 1 };
+        this.decks.push(deck);
+        this.applyLevel(deck);
+        if (!this.paused) this.playDeck(deck);
+    }
+
+    /**
+     * Advances all fades.
+     *
+     * @param {number} dt - Elapsed time in milliseconds.
+     * @returns {void}
+     */
+    update(dt) {
+        const step = dt / MusicDirector.FADE_MS;
+        this.decks.forEach((deck) => {
+            if (deck.level === deck.target) return;
+            deck.level = deck.target > deck.level
+                ? Math.min(deck.target, deck.level + step)
+                : Math.max(deck.target, deck.level - step);
+            this.applyLevel(deck);
+        });
+        this.decks
+            .filter((deck) => deck.level === 0 && deck.target === 0)
+            .forEach((deck) => this.removeDeck(deck));
+    }
+
+    /**
+     * Halts all tracks (game paused or music muted).
+     *
+     * @returns {void}
+     */
+    pause() {
+        this.paused = true;
+        this.decks.forEach((deck) => deck.element.pause());
+    }
+
+    /**
+     * Continues all tracks halted by {@link MusicDirector#pause}.
+     *
+     * @returns {void}
+     */
+    resume() {
+        this.paused = false;
+        this.decks.forEach((deck) => this.playDeck(deck));
+    }
+
+    /**
+     * Stops all tracks and forgets the state, e.g. when a world is torn down.
+     *
+     * @returns {void}
+     */
+    stop() {
+        [...this.decks].forEach((deck) => this.removeDeck(deck));
+        this.state = null;
+        this.paused = false;
+    }
+
+    /**
+     * Starts a track element, ignoring autoplay rejections.
+     *
+     * @param {{element: HTMLAudioElement}} deck
+     * @returns {void}
+     */
+    playDeck(deck) {
+        const playPromise = deck.element.play();
+        if (playPromise && typeof playPromise.catch === 'function') {
+            playPromise.catch((error) => {
+                console.error('Error while starting background music playback:', error);
+            });
+        }
+    }
+
+    /**
+     * Sets the volume of a track from its fade level.
+     *
+     * @param {{element: HTMLAudioElement, level: number}} deck
+     * @returns {void}
+     */
+    applyLevel(deck) {
+        this.engine.attachElement(deck.element, 'music', MusicDirector.VOLUME * deck.level);
+    }
+
+    /**
+     * Stops a track and removes it.
+     *
+     * @param {{element: HTMLAudioElement}} deck
+     * @returns {void}
+     */
+    removeDeck(deck) {
+        deck.element.pause();
+        this.engine.detachElement(deck.element);
+        this.decks = this.decks.filter((other) => other !== deck);
+    }
+}
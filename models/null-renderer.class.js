@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Defines the {@link NullRenderer} class.
+ * A drawing context that accepts every canvas call the game makes
+ * and draws nothing. Lets headless worlds run the full draw path
+ * without a real canvas.
+ *
+ * @see World
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing a no-op 2D rendering context.
+ *
+ * @class NullRenderer
+ */
+class NullRenderer {
+    /**
+     * Names of the CanvasRenderingContext2D methods used by the game.
+     * @type {string[]}
+     */
+    static METHODS = [
+        'clearRect', 'drawImage', 'translate', 'scale', 'rotate', 'save', 'restore',
+        'beginPath', 'closePath', 'moveTo', 'lineTo', 'arc', 'rect',
+        'fill', 'stroke', 'fillRect', 'strokeRect', 'fillText'
+    ];
+
+    /**
+     * Creates a canvas stand-in that hands out a {@link NullRenderer}.
+     *
+     * @param {number} [width=720] - Canvas width in pixels.
+     * @param {number} [height=480] - Canvas height in pixels.
+     * @returns {{width: number, height: number, getContext: function(string): NullRenderer}}
+     */
+    static createCanvas(width = 720, height = 480) {
+        const context = new NullRenderer();
+        return { width, height, getContext: () => context };
+    }
+
+    /**
+     * Creates a new {@link NullRenderer} instance.
+     *
+     * @constructor
+     */
+    constructor() {
+        NullRenderer.METHODS.forEach((name) => {
+            this[name] = () => {};
+        });
+    }
+}
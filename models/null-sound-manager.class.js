@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Defines the {@link NullSoundManager} class.
+ * A silent stand-in for {@link SoundManager} used by headless worlds
+ * (e.g. automated gameplay tests under Node), where no `Audio` exists.
+ *
+ * @see SoundManager
+ * @see World
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class providing every {@link SoundManager} method as a no-op.
+ * Calls are recorded, so tests can assert which sounds would have played.
+ *
+ * @class NullSoundManager
+ */
+class NullSoundManager {
+    /**
+     * Names of all sound methods called so far, in call order.
+     * @type {string[]}
+     */
+    calls = [];
+
+    /**
+     * Creates a new {@link NullSoundManager} instance.
+     * Mirrors the methods of {@link SoundManager}, so both stay in sync.
+     *
+     * @constructor
+     */
+    constructor() {
+        Object.getOwnPropertyNames(SoundManager.prototype).forEach((name) => {
+            if (name === 'constructor') return;
+            this[name] = () => {
+                this.calls.push(name);
+            };
+        });
+    }
+
+    /**
+     * Counts how often a sound method was called.
+     *
+     * @param {string} name - Name of the {@link SoundManager} method.
+     * @returns {number}
+     */
+    count(name) {
+        return this.calls.filter((call) => call === name).length;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Defines the {@link PowerUp} class.
+ * Represents a collectible power-up. Every kind has an effect
+ * (see {@link PowerUp.KINDS}):
+ *
+ * | Kind       | Effect                                                  |
+ * |------------|---------------------------------------------------------|
+ * | `chili`    | `speed`: walks faster for a while                       |
+ * | `sombrero` | `shield`: absorbs the next hit (see {@link MoveableObject#hit}) |
+ * | `tequila`  | `multiShot`: every throw sends a fan of bottles         |
+ * | `taco`     | `heal`: restores energy at once                         |
+ *
+ * Timed effects run in the character's {@link ActiveEffects}; the
+ * {@link World} applies them on pickup and shows them in the HUD.
+ * Power-ups are placed by the level data (see {@link LevelLoader}) or
+ * dropped by defeated enemies (see {@link MoveableObject.COMBAT}); a
+ * dropped one pops up and falls to the ground.
+ *
+ * There are no sprites for power-ups, so they are drawn as emoji.
+ *
+ * @extends MoveableObject
+ * @see ActiveEffects
+ * @see World
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing a collectible power-up.
+ *
+ * @class PowerUp
+ * @extends MoveableObject
+ */
+class PowerUp extends MoveableObject {
+    /**
+     * Power-up kinds with their icon, effect and effect parameters.
+     * Timed effects have a `durationMs`; `heal` restores `amount` energy at once.
+     * @type {Object.<string, {icon: string, effect: string, durationMs?: number, factor?: number, spread?: number[], amount?: number}>}
+     */
+    static KINDS = {
+        chili: { icon: '🌶️', effect: 'speed', durationMs: 8000, factor: 1.5 },
+        sombrero: { icon: '🤠', effect: 'shield', durationMs: 20000 },
+        tequila: { icon: '🥃', effect: 'multiShot', durationMs: 10000, spread: [-12, 0, 12] },
+        taco: { icon: '🌮', effect: 'heal', amount: 40 }
+    };
+
+    /**
+     * Collision hitbox, slightly inside the icon.
+     * @type {Object}
+     */
+    static HITBOX = { x: 5, y: 5, width: 50, height: 50 };
+
+    /**
+     * Upward speed of a dropped power-up when it pops out of an enemy.
+     * @type {number}
+     */
+    static DROP_SPEED = 12;
+
+    /**
+     * Width of the power-up in pixels.
+     * @type {number}
+     */
+    width = 60;
+
+    /**
+     * Height of the power-up in pixels.
+     * @type {number}
+     */
+    height = 60;
+
+    /**
+     * Vertical position at which a dropped power-up lands.
+     * @type {number}
+     */
+    groundY = 370;
+
+    /**
+     * Kind of the power-up, a key of {@link PowerUp.KINDS}.
+     * @type {string}
+     */
+    kind;
+
+    /**
+     * Flag indicating that the power-up is falling after a drop.
+     * @type {boolean}
+     */
+    falling = false;
+
+    /**
+     * Creates a new {@link PowerUp} instance.
+     *
+     * @constructor
+     * @param {string} kind - A key of {@link PowerUp.KINDS}.
+     * @param {number} [x=400] - Horizontal position.
+     * @param {number} [y=150] - Vertical position.
+     * @throws {RangeError} If the kind is unknown.
+     */
+    constructor(kind, x = 400, y = 150) {
+        super();
+        if (!PowerUp.KINDS[kind]) {
+            throw new RangeError(`Unknown power-up "${kind}" (use ${Object.keys(PowerUp.KINDS).join(', ')})`);
+        }
+        this.kind = kind;
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Definition of the power-up's kind.
+     *
+     * @type {{icon: string, effect: string, durationMs?: number}}
+     */
+    get definition() {
+        return PowerUp.KINDS[this.kind];
+    }
+
+    /**
+     * Lets the power-up pop up and fall to the ground, as when an enemy drops it.
+     *
+     * @returns {PowerUp} This power-up, for chaining.
+     */
+    drop() {
+        this.falling = true;
+        this.speedY = PowerUp.DROP_SPEED;
+        return this;
+    }
+
+    /**
+     * Moves a dropped power-up until it lies on the ground.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    update(dt) {
+        if (!this.falling) return;
+        this.applyGravity(dt);
+        if (!this.isAboveGround()) this.falling = false;
+    }
+
+    /**
+     * Draws the power-up's icon.
+     *
+     * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+     * @returns {void}
+     */
+    draw(ctx) {
+        ctx.save();
+        ctx.font = `${Math.round(this.height * 0.8)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.definition.icon, this.x + this.width / 2, this.y + this.height / 2);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Defines the {@link SeededRandom} class.
+ * A small deterministic pseudo random number generator (mulberry32).
+ * The same seed always yields the same sequence, so level layouts and
+ * spawns can be reproduced from a bug report or asserted in tests.
+ *
+ * @see World
+ * @see LevelLoader
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing a seedable random number generator.
+ *
+ * @class SeededRandom
+ */
+class SeededRandom {
+    /**
+     * The normalized 32-bit seed the generator was created with.
+     * @type {number}
+     */
+    seed;
+
+    /**
+     * Internal generator state.
+     * @type {number}
+     */
+    state;
+
+    /**
+     * Creates a new {@link SeededRandom} instance.
+     *
+     * @constructor
+     * @param {number|string} seed - Numeric seed or any string (hashed to a number).
+     */
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Turns a number or string into an unsigned 32-bit seed.
+     * Numeric strings are treated as numbers, so "42" and 42 are the same seed.
+     *
+     * @param {number|string} seed
+     * @returns {number}
+     */
+    static normalizeSeed(seed) {
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Creates a fresh seed for runs without a configured seed.
+     * This is the only place that uses Math.random.
+     *
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+
+    /**
+     * Returns the next number in [0, 1).
+     *
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a number in [min, max).
+     *
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Returns true with the given probability.
+     *
+     * @param {number} probability - Value between 0 and 1.
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
@@ -9,10 +9,50 @@
  * @see World
  * 
  * @author KW
- * @version 1.0.0
+ * @version 1.4.1
  */
 
 class SmallChicken extends MoveableObject {
+    /**
+     * Animation clips and transitions (see {@link AnimationController}).
+     * @type {Object}
+     */
+    static ANIMATIONS = {
+        fps: 5,
+        clips: {
+            walk: { frames: 'IMAGES_WALKING' },
+            dead: { frames: 'IMAGES_DEAD', mode: 'once', priority: 1 }
+        },
+        transitions: [
+            { to: 'dead', when: (chicken) => chicken.chickenIsDead },
+            { to: 'walk' }
+        ]
+    };
+
+    /**
+     * Collision hitbox; the flattened dead chicken only keeps its lower half.
+     * @type {Object}
+     */
+    static HITBOX = { x: 5, y: 5, width: 50, height: 45, animations: { dead: { y: 25, height: 25 } } };
+
+    /**
+     * Combat rules: one bottle kills a small chicken, which is harder to hit and worth more
+     * and sometimes drops a tequila or a sombrero.
+     * @type {Object}
+     */
+    static COMBAT = {
+        health: 10,
+        score: 20,
+        onDeath: 'playAnimationChickenDead',
+        drop: { chance: 0.15, kinds: ['tequila', 'sombrero'] }
+    };
+
+    /**
+     * Side the small chicken fights on.
+     * @type {string}
+     */
+    faction = 'enemy';
+
     /**
      * Small chicken height in pixels.
      * @type {number}
@@ -31,12 +71,6 @@ class SmallChicken extends MoveableObject {
      */
     y = 370;
 
-    /**
-     * Sound effect when the small chicken dies.
-     * @type {HTMLAudioElement}
-     */
-    chickSound = new Audio('audio/small_chicken.mp3');
-
     /**
      * Walking animation frames for the small chicken.
      * @type {string[]}
@@ -57,17 +91,20 @@ class SmallChicken extends MoveableObject {
 
     /**
      * Creates a new {@link SmallChicken} instance.
+     * Levels pass explicit or seeded values (see {@link LevelLoader}).
+     *
+     * @param {number} [x] - Initial horizontal position.
+     * @param {number} [speed] - Walking speed in pixels per step.
      */
-    constructor() {
+    constructor(x = 400, speed = 0.2) {
         super().loadImage('img/3_enemies_chicken/chicken_small/1_walk/1_w.png');
 
         this.loadImages(this.IMAGES_WALKING);
         this.loadImages(this.IMAGES_DEAD);
+        this.animation = new AnimationController(this, SmallChicken.ANIMATIONS);
 
-        this.x = 400 + Math.random() * 1500;
-        this.speed = 0.2 + Math.random() * 0.3;
-
-        this.animate();
+        this.x = x;
+        this.speed = speed;
     }
 
     /**
@@ -79,35 +116,24 @@ class SmallChicken extends MoveableObject {
         if (this.chickenIsDead) return;
 
         this.chickenIsDead = true;
-        this.loadImage(this.IMAGES_DEAD[0]);
+        this.animation.play('dead');
 
-        if (!this.deathSoundPlayed && typeof world !== 'undefined' && world?.sound) {
+        if (!this.deathSoundPlayed && this.world?.sound) {
             this.deathSoundPlayed = true;
-            world.sound.playSmallChickenDead();
+            this.world.sound.playSmallChickenDead(this);
         }
-
-        setTimeout(() => {
-            this.IMAGES_DEAD = [];
-        }, 500);
     }
 
 
     /**
-     * Runs the continuous movement + animation loop.
+     * Moves the chicken to the left by one simulation step;
+     * a dead one stays where it fell.
      *
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    animate() {
-        setInterval(() => {
-            this.moveLeft();
-        }, 1000 / 60);
-
-        setInterval(() => {
-            if (!this.chickenIsDead) {
-                this.playAnimation(this.IMAGES_WALKING);
-            } else {
-                this.playAnimationChickenDead();
-            }
-        }, 200);
+    update(dt) {
+        if (this.chickenIsDead) return;
+        this.moveLeft();
     }
 }
\ No newline at end of file
@@ -2,17 +2,30 @@
  * @fileoverview Defines the {@link SoundManager} class.
  * Centralized manager for all in-game audio, including background music,
  * sound effects, and event-triggered sounds. Handles volume levels,
- * playback control, and mute-state checks via the global `isMuted` flag.
+ * playback control, and mute-state checks via the global `isMuted` flag
+ * and the mute flags of the Music and SFX buses.
  *
- * The {@link SoundManager} ensures all audio resources are preloaded,
- * normalized in volume, and reused efficiently across the game.
+ * Playback runs on the shared {@link AudioEngine}: effects are decoded
+ * once and every play starts its own voice, so overlapping coin pickups
+ * or chicken deaths no longer cut each other off. Effects play on the
+ * SFX bus, win/lose cues on the UI bus and the background music on the
+ * Music bus, where the {@link MusicDirector} cross-fades between the
+ * tracks of the current music state.
  *
+ * Enemy sounds are positional: they take the enemy as emitter and are
+ * panned and attenuated by {@link SpatialAudio}. Living chickens near
+ * the character also cluck in an ambient loop that fades in as they
+ * approach.
+ *
+ * @see AudioEngine
+ * @see MusicDirector
+ * @see SpatialAudio
  * @see World
  * @see Character
  * @see Endboss
  * @see SmallChicken
  *
- * @version 1.4.0
+ * @version 2.6.1
  */
 
 /**
@@ -24,130 +37,219 @@
  */
 class SoundManager {
     /**
-     * Collection of all audio elements for global mute handling.
-     * @type {HTMLAudioElement[]}
+     * All effects by name, with their file, base volume, bus and looping flag.
+     * @type {Object.<string, {src: string, volume: number, bus: string, loop?: boolean}>}
      */
-    allSounds = [];
-
-    /** @type {HTMLAudioElement} */
-    backgroundMusic = new Audio('audio/music.mp3');
-
-    /** @type {HTMLAudioElement} */
-    hurtSound = new Audio('audio/ouch.mp3');
-
-    /** @type {HTMLAudioElement} */
-    jumpSound = new Audio('audio/jump.mp3');
-
-    /** @type {HTMLAudioElement} */
-    throwSound = new Audio('audio/throw.mp3');
-
-    /** @type {HTMLAudioElement} */
-    walkingSound = new Audio('audio/running.mp3');
+    static SOUNDS = {
+        hurt: { src: 'audio/ouch.mp3', volume: 0.5, bus: 'sfx' },
+        jump: { src: 'audio/jump.mp3', volume: 0.07, bus: 'sfx' },
+        throw: { src: 'audio/throw.mp3', volume: 0.5, bus: 'sfx' },
+        walking: { src: 'audio/running.mp3', volume: 0.3, bus: 'sfx', loop: true },
+        endbossAlert: { src: 'audio/endboss_alert.mp3', volume: 0.6, bus: 'sfx' },
+        endbossAttack: { src: 'audio/endboss_attack.mp3', volume: 0.6, bus: 'sfx' },
+        gameOver: { src: 'audio/gameover.mp3', volume: 0.5, bus: 'ui' },
+        gameWin: { src: 'audio/gamewin.mp3', volume: 0.5, bus: 'ui' },
+        gameStart: { src: 'audio/gamestart.mp3', volume: 0.5, bus: 'ui' },
+        chickenDead: { src: 'audio/chicken.mp3', volume: 0.5, bus: 'sfx' },
+        smallChickenDead: { src: 'audio/small_chicken.mp3', volume: 0.5, bus: 'sfx' },
+        coin: { src: 'audio/coin.wav', volume: 0.5, bus: 'sfx' },
+        bottlePickup: { src: 'audio/bottle.mp3', volume: 0.5, bus: 'sfx' },
+        bottleSplash: { src: 'audio/glass.mp3', volume: 0.4, bus: 'sfx' },
+        powerUp: { src: 'audio/coin.wav', volume: 0.7, bus: 'sfx' },
+        shieldBlock: { src: 'audio/bottle.mp3', volume: 0.6, bus: 'sfx' },
+        checkpoint: { src: 'audio/gamestart.mp3', volume: 0.4, bus: 'sfx' },
+        snore: { src: 'audio/snore.mp3', volume: 0.5, bus: 'sfx', loop: true },
+        cluck: { src: 'audio/chicken.mp3', volume: 0.12, bus: 'sfx', loop: true }
+    };
 
-    /** @type {boolean} */
-    walkingSoundActive = false;
-
-    /** @type {HTMLAudioElement} */
-    endbossAlertSound = new Audio('audio/endboss_alert.mp3');
-
-    /** @type {HTMLAudioElement} */
-    endbossAttackSound = new Audio('audio/endboss_attack.mp3');
-
-    /** @type {HTMLAudioElement} */
-    gameOverSound = new Audio('audio/gameover.mp3');
-
-    /** @type {HTMLAudioElement} */
-    gameWinSound = new Audio('audio/gamewin.mp3');
+    /**
+     * Maximum number of enemies clucking at once (the nearest ones win).
+     * @type {number}
+     */
+    static AMBIENT_VOICES = 3;
 
-    /** @type {HTMLAudioElement} */
-    chickenDeadSound = new Audio('audio/chicken.mp3');
+    /**
+     * The audio engine all sounds play on.
+     * @type {AudioEngine}
+     */
+    engine;
 
-    /** @type {HTMLAudioElement} */
-    smallChickenDeadSound = new Audio('audio/small_chicken.mp3');
+    /**
+     * The director playing the background music.
+     * @type {MusicDirector}
+     */
+    music;
 
-    /** @type {HTMLAudioElement} */
-    coinSound = new Audio('audio/coin.wav');
+    /**
+     * Voices of sounds that must be stoppable (loops, Endboss cues), by name.
+     * @type {Object.<string, Object>}
+     */
+    activeVoices = {};
 
-    /** @type {HTMLAudioElement} */
-    bottlePickupSound = new Audio('audio/bottle.mp3');
+    /**
+     * Listener of positional enemy sounds.
+     * @type {SpatialAudio}
+     */
+    spatial = new SpatialAudio();
 
-    /** @type {HTMLAudioElement} */
-    snoreSound = new Audio('audio/snore.mp3');
+    /**
+     * Ambient clucking loops by emitting enemy.
+     * @type {Map<Object, AudioVoice>}
+     */
+    ambientVoices = new Map();
 
-    /** @type {boolean} */
-    snoreSoundActive = false;
+    /**
+     * Flag indicating that {@link SoundManager#pauseAll} paused the music.
+     * @type {boolean}
+     */
+    musicPaused = false;
 
     /**
-     * Initializes a new {@link SoundManager} instance.
-     * Configures volume levels and looping flags and registers
-     * all sounds for global mute handling.
+     * Initializes a new {@link SoundManager} instance and preloads all effects.
      *
      * @constructor
+     * @param {AudioEngine} [engine] - Engine to play on; defaults to the shared one.
+     * @param {MusicDirector} [music] - Background music; defaults to the shared director.
      */
-    constructor() {
-        this.backgroundMusic.loop = true;
-        this.backgroundMusic.volume = 0.2;
+    constructor(engine = AudioEngine.getShared(), music = MusicDirector.getShared()) {
+        this.engine = engine;
+        this.music = music;
+        Object.values(SoundManager.SOUNDS).forEach(({ src }) => this.engine.load(src));
+    }
 
-        this.walkingSound.volume = 0.3;
-        this.walkingSound.loop = true;
+    /**
+     * Plays an effect as a new voice unless muted.
+     * With an emitter the effect is panned and attenuated by its distance.
+     *
+     * @param {string} name - Key of {@link SoundManager.SOUNDS}.
+     * @param {{x: number, width?: number}} [emitter] - Object the sound comes from.
+     * @returns {?AudioVoice} The voice, or null if nothing plays.
+     */
+    playEffect(name, emitter) {
+        const { src, volume, bus, loop = false } = SoundManager.SOUNDS[name];
+        if (isMuted || this.engine.isBusMuted(bus)) return null;
+        if (!emitter) return this.engine.play(src, { bus, volume, loop });
+        const { gain, pan } = this.spatial.locate(emitter);
+        if (gain === 0) return null;
+        return this.engine.play(src, { bus, volume: volume * gain, loop, pan });
+    }
 
-        this.jumpSound.volume = 0.07;
-        this.hurtSound.volume = 0.5;
-        this.throwSound.volume = 0.5;
+    /**
+     * Plays an effect and remembers its voice, so it can be stopped by name.
+     * A loop that is still playing is not started twice; one the engine
+     * stopped (e.g. to stay within its voice limit) is started again.
+     *
+     * @param {string} name - Key of {@link SoundManager.SOUNDS}.
+     * @param {{x: number, width?: number}} [emitter] - Object the sound comes from.
+     * @returns {void}
+     */
+    startVoice(name, emitter) {
+        if (SoundManager.SOUNDS[name].loop && this.activeVoices[name]?.playing) return;
+        this.stopVoice(name);
+        const voice = this.playEffect(name, emitter);
+        if (voice) this.activeVoices[name] = voice;
+    }
 
-        this.endbossAlertSound.volume = 0.6;
-        this.endbossAttackSound.volume = 0.6;
+    /**
+     * Stops a voice started by {@link SoundManager#startVoice}.
+     *
+     * @param {string} name - Key of {@link SoundManager.SOUNDS}.
+     * @returns {void}
+     */
+    stopVoice(name) {
+        const voice = this.activeVoices[name];
+        if (!voice) return;
+        delete this.activeVoices[name];
+        voice.stop();
+    }
 
-        this.gameOverSound.volume = 0.5;
-        this.gameWinSound.volume = 0.5;
+    /**
+     * Moves the listener of positional sounds, once per simulation step.
+     *
+     * @param {number} x - Level x of the character's center.
+     * @param {number} cameraX - Camera offset of the world.
+     * @returns {void}
+     */
+    setListener(x, cameraX) {
+        this.spatial.setListener(x, cameraX);
+    }
 
-        this.coinSound.volume = 0.5;
-        this.chickenDeadSound.volume = 0.5;
-        this.smallChickenDeadSound.volume = 0.5;
-        this.bottlePickupSound.volume = 0.5;
+    /**
+     * Lets the nearest audible enemies cluck and follows their positions.
+     * Loops of enemies that left the range or died are stopped.
+     *
+     * @param {{x: number, width?: number}[]} emitters - Living enemies.
+     * @returns {void}
+     */
+    updateAmbience(emitters) {
+        const audible = isMuted || this.engine.isBusMuted('sfx') ? [] : emitters
+            .map((emitter) => ({ emitter, ...this.spatial.locate(emitter) }))
+            .filter(({ gain }) => gain > 0)
+            .sort((a, b) => b.gain - a.gain)
+            .slice(0, SoundManager.AMBIENT_VOICES);
+        const kept = new Set(audible.map(({ emitter }) => emitter));
+        this.ambientVoices.forEach((voice, emitter) => {
+            if (kept.has(emitter)) return;
+            voice.stop();
+            this.ambientVoices.delete(emitter);
+        });
+        audible.forEach(({ emitter, gain, pan }) => this.updateAmbientVoice(emitter, gain, pan));
+    }
 
-        this.snoreSound.loop = true;
-        this.snoreSound.volume = 0.5;
+    /**
+     * Starts or adjusts the clucking loop of one enemy.
+     *
+     * @param {Object} emitter
+     * @param {number} gain - Distance attenuation between 0 and 1.
+     * @param {number} pan - Stereo pan between -1 and 1.
+     * @returns {void}
+     */
+    updateAmbientVoice(emitter, gain, pan) {
+        const { src, volume, bus } = SoundManager.SOUNDS.cluck;
+        const voice = this.ambientVoices.get(emitter);
+        if (voice && voice.playing) {
+            voice.setVolume(volume * gain);
+            voice.setPan(pan);
+            return;
+        }
+        const started = this.engine.play(src, { bus, volume: volume * gain, loop: true, pan });
+        if (started) {
+            this.ambientVoices.set(emitter, started);
+        } else {
+            this.ambientVoices.delete(emitter);
+        }
+    }
 
-        this.allSounds = [
-            this.backgroundMusic,
-            this.hurtSound,
-            this.jumpSound,
-            this.throwSound,
-            this.walkingSound,
-            this.endbossAlertSound,
-            this.endbossAttackSound,
-            this.gameOverSound,
-            this.gameWinSound,
-            this.chickenDeadSound,
-            this.smallChickenDeadSound,
-            this.coinSound,
-            this.bottlePickupSound,
-            this.snoreSound
-        ];
+    /**
+     * Stops all ambient clucking loops.
+     *
+     * @returns {void}
+     */
+    stopAmbience() {
+        this.ambientVoices.forEach((voice) => voice.stop());
+        this.ambientVoices.clear();
     }
 
     /**
-     * Applies the global mute state to all registered sounds
+     * Applies the global mute state to the engine
      * and stops looping sounds when muted.
      *
      * @returns {void}
      */
     applyMuteStateToAll() {
-        this.allSounds.forEach((sound) => {
-            sound.muted = isMuted;
-        });
+        this.engine.setMuted(isMuted);
 
         if (isMuted) {
             this.stopWalking();
             this.stopSnore();
             this.stopBackground();
             this.stopEndbossSounds();
+            this.stopAmbience();
         }
     }
 
     /**
-     * Sets the global mute state and updates all managed audio elements.
+     * Sets the global mute state and updates all managed audio.
      * Also starts or stops the background music accordingly.
      *
      * @param {boolean} muted - New mute state to apply.
@@ -159,33 +261,145 @@ class SoundManager {
 
         if (muted) {
             this.stopBackground();
+        } else {
+            this.startMusic();
+        }
+    }
+
+    /**
+     * Mutes or unmutes only the background music.
+     *
+     * @param {boolean} muted
+     * @returns {void}
+     */
+    setMusicMuted(muted) {
+        this.engine.setBusMuted('music', muted);
+        if (muted) {
+            this.musicPaused = false;
+            this.stopBackground();
+        } else {
+            this.startMusic();
+        }
+    }
+
+    /**
+     * Mutes or unmutes only the sound effects and stops running loops when muted.
+     *
+     * @param {boolean} muted
+     * @returns {void}
+     */
+    setEffectsMuted(muted) {
+        this.engine.setBusMuted('sfx', muted);
+        if (muted) {
+            this.stopWalking();
+            this.stopSnore();
+            this.stopEndbossSounds();
+            this.stopAmbience();
+        }
+    }
+
+    /**
+     * Starts the background music, or lets {@link SoundManager#resumeAll}
+     * start it if the game is paused.
+     *
+     * @returns {void}
+     */
+    startMusic() {
+        if (this.engine.suspended) {
+            this.musicPaused = true;
         } else {
             this.playBackground();
         }
     }
 
     /**
-     * Starts background music playback if not muted.
+     * Freezes all sounds, so {@link SoundManager#resumeAll}
+     * can continue where they stopped.
+     *
+     * @returns {void}
+     */
+    pauseAll() {
+        this.engine.suspend();
+        this.musicPaused = !this.music.paused;
+        this.music.pause();
+    }
+
+    /**
+     * Resumes all sounds frozen by {@link SoundManager#pauseAll}.
+     *
+     * @returns {void}
+     */
+    resumeAll() {
+        this.engine.resume();
+        const resumeMusic = this.musicPaused;
+        this.musicPaused = false;
+        if (resumeMusic) this.playBackground();
+    }
+
+    /**
+     * Stops every managed sound and resets the loop flags.
+     * Used when a {@link World} is torn down.
+     *
+     * @returns {void}
+     */
+    stopAll() {
+        this.musicPaused = false;
+        this.activeVoices = {};
+        this.ambientVoices.clear();
+        this.engine.stopAll();
+        this.music.stop();
+    }
+
+    /**
+     * Starts background music playback if neither all sound nor the music is muted.
      * @returns {void}
      */
     playBackground() {
-        if (!isMuted) {
-            const playPromise = this.backgroundMusic.play();
-            if (playPromise && typeof playPromise.catch === 'function') {
-                playPromise.catch((error) => {
-                    console.error('Error while starting background music playback:', error);
-                });
-            }
+        if (!isMuted && !this.engine.isBusMuted('music')) {
+            this.music.resume();
         }
     }
 
 
+    /**
+     * Sets the exploration track, e.g. the music of a new level.
+     * Cross-fades to it if the exploration music is playing.
+     *
+     * @param {?string} src - Path of the audio file; empty for the default track.
+     * @returns {void}
+     */
+    setBackgroundTrack(src) {
+        this.music.setTrack('exploration', src);
+    }
+
     /**
      * Pauses the background music playback.
      * @returns {void}
      */
     stopBackground() {
-        this.backgroundMusic.pause();
+        this.music.pause();
+    }
+
+    /**
+     * Switches the music state and plays the sting of the new state.
+     *
+     * @param {?string} state - One of {@link MusicDirector.STATES}, or null to fade out.
+     * @returns {void}
+     */
+    setMusicState(state) {
+        if (!this.music.setState(state) || !state) return;
+        const { sting } = MusicDirector.STATES[state];
+        if (sting) this.playEffect(sting);
+    }
+
+    /**
+     * Advances the music cross-fades by one simulation step.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    updateMusic(dt) {
+        this.music.update(dt);
     }
 
     /**
@@ -193,10 +407,7 @@ class SoundManager {
      * @returns {void}
      */
     playHurt() {
-        if (!isMuted) {
-            this.hurtSound.currentTime = 0;
-            this.hurtSound.play();
-        }
+        this.playEffect('hurt');
     }
 
     /**
@@ -204,10 +415,7 @@ class SoundManager {
      * @returns {void}
      */
     playJump() {
-        if (!isMuted) {
-            this.jumpSound.currentTime = 0;
-            this.jumpSound.play();
-        }
+        this.playEffect('jump');
     }
 
     /**
@@ -215,10 +423,7 @@ class SoundManager {
      * @returns {void}
      */
     playThrow() {
-        if (!isMuted) {
-            this.throwSound.currentTime = 0;
-            this.throwSound.play();
-        }
+        this.playEffect('throw');
     }
 
     /**
@@ -230,24 +435,15 @@ class SoundManager {
             this.stopWalking();
             return;
         }
-        if (!this.walkingSoundActive) {
-            this.walkingSoundActive = true;
-            const playPromise = this.walkingSound.play();
-            if (playPromise && typeof playPromise.catch === 'function') {
-                playPromise.catch(() => {});
-            }
-        }
+        this.startVoice('walking');
     }
 
     /**
-     * Stops the walking loop and resets playback.
+     * Stops the walking loop.
      * @returns {void}
      */
     stopWalking() {
-        if (!this.walkingSoundActive) return;
-        this.walkingSound.pause();
-        this.walkingSound.currentTime = 0;
-        this.walkingSoundActive = false;
+        this.stopVoice('walking');
     }
 
     /**
@@ -255,10 +451,7 @@ class SoundManager {
      * @returns {void}
      */
     playGameOver() {
-        if (!isMuted) {
-            this.gameOverSound.currentTime = 0;
-            this.gameOverSound.play();
-        }
+        this.playEffect('gameOver');
     }
 
     /**
@@ -266,35 +459,25 @@ class SoundManager {
      * @returns {void}
      */
     playGameWin() {
-        if (isMuted) return;
-
-        this.gameWinSound.currentTime = 0;
-        const playPromise = this.gameWinSound.play();
-        if (playPromise && typeof playPromise.catch === 'function') {
-            playPromise.catch(() => {});
-        }
+        this.playEffect('gameWin');
     }
 
     /**
      * Plays the Endboss alert sound.
+     * @param {Endboss} [emitter] - The Endboss, for positional playback.
      * @returns {void}
      */
-    playEndbossAlert() {
-        if (!isMuted) {
-            this.endbossAlertSound.currentTime = 0;
-            this.endbossAlertSound.play();
-        }
+    playEndbossAlert(emitter) {
+        this.startVoice('endbossAlert', emitter);
     }
 
     /**
      * Plays the Endboss attack sound.
+     * @param {Endboss} [emitter] - The Endboss, for positional playback.
      * @returns {void}
      */
-    playEndbossAttack() {
-        if (!isMuted) {
-            this.endbossAttackSound.currentTime = 0;
-            this.endbossAttackSound.play();
-        }
+    playEndbossAttack(emitter) {
+        this.startVoice('endbossAttack', emitter);
     }
 
     /**
@@ -302,10 +485,7 @@ class SoundManager {
      * @returns {void}
      */
     playCoinSound() {
-        if (!isMuted) {
-            this.coinSound.currentTime = 0;
-            this.coinSound.play();
-        }
+        this.playEffect('coin');
     }
 
     /**
@@ -313,32 +493,58 @@ class SoundManager {
      * @returns {void}
      */
     playBottlePickup() {
-        if (!isMuted) {
-            this.bottlePickupSound.currentTime = 0;
-            this.bottlePickupSound.play();
-        }
+        this.playEffect('bottlePickup');
+    }
+
+    /**
+     * Plays the breaking glass of a shattering bottle.
+     * @param {ThrowableObject} [emitter] - The bottle, for positional playback.
+     * @returns {void}
+     */
+    playBottleSplash(emitter) {
+        this.playEffect('bottleSplash', emitter);
+    }
+
+    /**
+     * Plays the power-up pickup sound.
+     * @returns {void}
+     */
+    playPowerUp() {
+        this.playEffect('powerUp');
+    }
+
+    /**
+     * Plays the sound of a shield absorbing a hit.
+     * @returns {void}
+     */
+    playShieldBlock() {
+        this.playEffect('shieldBlock');
+    }
+
+    /**
+     * Plays the sound of a checkpoint being reached.
+     * @returns {void}
+     */
+    playCheckpoint() {
+        this.playEffect('checkpoint');
     }
 
     /**
      * Plays the chicken death sound effect.
+     * @param {Chicken} [emitter] - The dying chicken, for positional playback.
      * @returns {void}
      */
-    playChickenDead() {
-        if (!isMuted) {
-            this.chickenDeadSound.currentTime = 0;
-            this.chickenDeadSound.play();
-        }
+    playChickenDead(emitter) {
+        this.playEffect('chickenDead', emitter);
     }
 
     /**
      * Plays the small chicken death sound effect.
+     * @param {SmallChicken} [emitter] - The dying chicken, for positional playback.
      * @returns {void}
      */
-    playSmallChickenDead() {
-        if (!isMuted) {
-            this.smallChickenDeadSound.currentTime = 0;
-            this.smallChickenDeadSound.play();
-        }
+    playSmallChickenDead(emitter) {
+        this.playEffect('smallChickenDead', emitter);
     }
 
 
@@ -347,11 +553,8 @@ class SoundManager {
      * @returns {void}
      */
     stopEndbossSounds() {
-        this.endbossAlertSound.pause();
-        this.endbossAlertSound.currentTime = 0;
-
-        this.endbossAttackSound.pause();
-        this.endbossAttackSound.currentTime = 0;
+        this.stopVoice('endbossAlert');
+        this.stopVoice('endbossAttack');
     }
 
     /**
@@ -365,28 +568,15 @@ class SoundManager {
             this.stopSnore();
             return;
         }
-
-        if (!this.snoreSoundActive) {
-            this.snoreSoundActive = true;
-            this.snoreSound.currentTime = 0;
-
-            const playPromise = this.snoreSound.play();
-            if (playPromise && typeof playPromise.catch === 'function') {
-                playPromise.catch(() => {});
-            }
-        }
+        this.startVoice('snore');
     }
 
     /**
-     * Stops the snore sound loop and resets playback position.
+     * Stops the snore sound loop.
      *
      * @returns {void}
      */
     stopSnore() {
-        if (!this.snoreSoundActive) return;
-
-        this.snoreSound.pause();
-        this.snoreSound.currentTime = 0;
-        this.snoreSoundActive = false;
+        this.stopVoice('snore');
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Defines the {@link SpatialAudio} class.
+ * Turns the position of a sound emitter (an enemy) into a volume and
+ * a stereo pan, so sounds fade with the distance to the {@link Character}
+ * and come from the side of the screen the emitter is on.
+ *
+ * - Volume: full within `near` pixels of the character, silent beyond
+ *   `far`, linear in between.
+ * - Pan: from the emitter's on-screen position (level x + `camera_x`),
+ *   -1 at the left edge of the canvas, +1 at the right edge and
+ *   clamped for emitters off-screen.
+ *
+ * @see SoundManager
+ * @see World
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing the listener of positional sounds.
+ *
+ * @class SpatialAudio
+ */
+class SpatialAudio {
+    /**
+     * Distance in pixels up to which sounds play at full volume.
+     * @type {number}
+     */
+    near = 150;
+
+    /**
+     * Distance in pixels from which sounds are inaudible.
+     * @type {number}
+     */
+    far = 1000;
+
+    /**
+     * Width of the visible canvas in pixels.
+     * @type {number}
+     */
+    viewWidth = 720;
+
+    /**
+     * Level x of the listener (the character's center).
+     * @type {number}
+     */
+    listenerX = 0;
+
+    /**
+     * Current camera offset of the {@link World}.
+     * @type {number}
+     */
+    cameraX = 0;
+
+    /**
+     * Moves the listener.
+     *
+     * @param {number} x - Level x of the listener.
+     * @param {number} cameraX - Camera offset (`World.camera_x`).
+     * @returns {void}
+     */
+    setListener(x, cameraX) {
+        this.listenerX = x;
+        this.cameraX = cameraX;
+    }
+
+    /**
+     * Returns the volume factor and stereo pan for an emitter.
+     *
+     * @param {{x: number, width?: number}} emitter - Object with a level position.
+     * @returns {{gain: number, pan: number}} Gain between 0 and 1, pan between -1 and 1.
+     */
+    locate(emitter) {
+        const x = emitter.x + (emitter.width || 0) / 2;
+        const distance = Math.abs(x - this.listenerX);
+        const fade = (distance - this.near) / (this.far - this.near);
+        const gain = 1 - Math.min(1, Math.max(0, fade));
+        const half = this.viewWidth / 2;
+        const pan = Math.min(1, Math.max(-1, (x + this.cameraX - half) / half));
+        return { gain, pan };
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Defines the {@link SpatialGrid} class.
+ * Broad phase of the collision checks: the level is cut into vertical
+ * strips of {@link SpatialGrid#cellSize} pixels (the game scrolls
+ * horizontally, so only x matters) and every object is filed under the
+ * strip of its hitbox's left edge. A query looks through the strips from
+ * the widest hitbox left of the box to its right edge, so it only returns
+ * the objects near the box instead of the whole level; the exact hitbox test
+ * ({@link MoveableObject#isColliding}) runs on those candidates only.
+ *
+ * The {@link World} rebuilds its grids once per simulation step, after
+ * the entities have moved. A grid with an infinite cell size puts
+ * everything into one strip, which is the same as scanning the full list.
+ *
+ * @see World
+ * @see DrawableObject#getHitbox
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing a uniform grid over the x axis.
+ *
+ * @class SpatialGrid
+ */
+class SpatialGrid {
+    /**
+     * Default strip width in pixels, about the width of the boss.
+     * @type {number}
+     */
+    static CELL_SIZE = 256;
+
+    /**
+     * Strip width in pixels.
+     * @type {number}
+     */
+    cellSize;
+
+    /**
+     * Filed objects in insertion order.
+     * @type {DrawableObject[]}
+     */
+    objects = [];
+
+    /**
+     * Positions in {@link SpatialGrid#objects} by strip index.
+     * @type {Map<number, number[]>}
+     */
+    cells = new Map();
+
+    /**
+     * Width of the widest filed hitbox; queries reach this far to the left.
+     * @type {number}
+     */
+    reach = 0;
+
+    /**
+     * Creates a new, empty {@link SpatialGrid}.
+     *
+     * @constructor
+     * @param {number} [cellSize=SpatialGrid.CELL_SIZE] - Strip width in pixels.
+     * @throws {RangeError} If the cell size is not positive.
+     */
+    constructor(cellSize = SpatialGrid.CELL_SIZE) {
+        if (!(cellSize > 0)) throw new RangeError(`Cell size must be positive, got ${cellSize}`);
+        this.cellSize = cellSize;
+    }
+
+    /**
+     * Number of filed objects.
+     *
+     * @type {number}
+     */
+    get size() {
+        return this.objects.length;
+    }
+
+    /**
+     * Removes all objects.
+     *
+     * @returns {void}
+     */
+    clear() {
+        this.objects = [];
+        this.cells.clear();
+        this.reach = 0;
+    }
+
+    /**
+     * Replaces the contents with the given objects.
+     *
+     * @param {DrawableObject[]} objects
+     * @returns {SpatialGrid} This grid, for chaining.
+     */
+    rebuild(objects) {
+        this.clear();
+        objects.forEach((object) => this.insert(object));
+        return this;
+    }
+
+    /**
+     * Files an object under the strip of its hitbox's left edge.
+     *
+     * @param {DrawableObject} object
+     * @returns {void}
+     */
+    insert(object) {
+        const box = object.getHitbox();
+        const position = this.objects.push(object) - 1;
+        const index = this.getCellIndex(box.left);
+        const cell = this.cells.get(index);
+        if (cell) {
+            cell.push(position);
+        } else {
+            this.cells.set(index, [position]);
+        }
+        this.reach = Math.max(this.reach, box.right - box.left);
+    }
+
+    /**
+     * Returns the objects whose hitbox may overlap a box, in insertion order.
+     * Candidates may still miss the box; test them with {@link MoveableObject#isColliding}.
+     *
+     * @param {{left: number, right: number}} box - A hitbox (see {@link DrawableObject#getHitbox}).
+     * @returns {DrawableObject[]}
+     */
+    query(box) {
+        const first = this.getCellIndex(box.left - this.reach);
+        const last = this.getCellIndex(box.right);
+        let positions = [];
+        for (let index = first; index <= last; index++) {
+            const cell = this.cells.get(index);
+            if (cell) positions = positions.concat(cell);
+        }
+        if (first < last) positions.sort((a, b) => a - b);
+        return positions.map((position) => this.objects[position]);
+    }
+
+    /**
+     * Returns the strip index of an x coordinate.
+     * Truncated to a 32-bit integer, which keeps the map keys fast.
+     *
+     * @param {number} x
+     * @returns {number}
+     */
+    getCellIndex(x) {
+        return Math.floor(x / this.cellSize) | 0;
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Defines the {@link SpriteAtlas} class and {@link AtlasFormatError}.
+ * An atlas is one packed image holding many animation frames plus a JSON
+ * frame map, built by `npm run pack-atlases` (scripts/pack-atlases.js):
+ * ```json
+ * {
+ *   "image": "pepe.png",
+ *   "frames": {
+ *     "img/2_character_pepe/2_walk/W-21.png": { "x": 0, "y": 0, "w": 153, "h": 300 }
+ *   },
+ *   "animations": {
+ *     "pepe/2_walk": ["img/2_character_pepe/2_walk/W-21.png", "..."]
+ *   }
+ * }
+ * ```
+ * Frames are named after the single images they replace, so the `IMAGES_*`
+ * path lists of the entities keep working: once an atlas is registered,
+ * {@link DrawableObject#loadImages} takes those frames from the atlas
+ * instead of requesting every PNG. Animations are the frames of one image
+ * folder, named `<atlas>/<folder>`, and can be passed to
+ * {@link MoveableObject#playAnimation} by name.
+ *
+ * The packer lists the atlases in an index at {@link SpriteAtlas.INDEX}.
+ * The packed files are not committed, so the game only requests them when
+ * {@link AssetManifest.ATLAS_INDEX} names a shipped index; otherwise (and
+ * when the index can't be loaded, e.g. from the file system) it uses the
+ * single images.
+ *
+ * @see DrawableObject
+ * @see AssetManifest
+ *
+ * @author KW
+ * @version 1.0.1
+ */
+
+/**
+ * A frame inside an atlas image, in atlas pixels.
+ * @typedef {Object} AtlasFrame
+ * @property {SpriteAtlas} atlas - The atlas holding the frame.
+ * @property {string} name - Path of the single image the frame replaces.
+ * @property {number} x
+ * @property {number} y
+ * @property {number} w
+ * @property {number} h
+ */
+
+/**
+ * Error thrown when an atlas frame map does not match the atlas format.
+ * Collects every violation instead of stopping at the first one.
+ *
+ * @class AtlasFormatError
+ * @extends Error
+ */
+class AtlasFormatError extends Error {
+    /**
+     * Creates a new {@link AtlasFormatError}.
+     *
+     * @constructor
+     * @param {string} src - Path of the frame map for the message.
+     * @param {string[]} errors - One message per format violation.
+     */
+    constructor(src, errors) {
+        super(`Invalid sprite atlas "${src}":\n - ${errors.join('\n - ')}`);
+        this.name = 'AtlasFormatError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Class representing a packed sprite sheet.
+ *
+ * @class SpriteAtlas
+ */
+class SpriteAtlas {
+    /**
+     * Path of the index listing all atlas frame maps, written by the pack script.
+     * @type {string}
+     */
+    static INDEX = 'img/atlas/atlases.json';
+
+    /**
+     * Registered atlases, searched by {@link SpriteAtlas.findFrame}.
+     * @type {SpriteAtlas[]}
+     */
+    static registered = [];
+
+    /**
+     * Path of the atlas image.
+     * @type {string}
+     */
+    src;
+
+    /**
+     * The atlas image.
+     * @type {HTMLImageElement}
+     */
+    image;
+
+    /**
+     * Frames by the path of the single image they replace.
+     * @type {Object.<string, AtlasFrame>}
+     */
+    frames = {};
+
+    /**
+     * Frame names of every named animation.
+     * @type {Object.<string, string[]>}
+     */
+    animations = {};
+
+    /**
+     * Creates a new {@link SpriteAtlas} instance.
+     *
+     * @constructor
+     * @param {string} src - Path of the atlas image.
+     * @param {Object.<string, {x: number, y: number, w: number, h: number}>} frames
+     * @param {Object.<string, string[]>} [animations]
+     */
+    constructor(src, frames, animations = {}) {
+        this.src = src;
+        this.image = DrawableObject.createImage();
+        this.image.src = src;
+        Object.entries(frames).forEach(([name, { x, y, w, h }]) => {
+            this.frames[name] = { atlas: this, name, x, y, w, h };
+        });
+        this.animations = animations;
+    }
+
+    /**
+     * Builds an atlas from its frame map.
+     *
+     * @param {Object} data - The parsed frame map.
+     * @param {string} src - Path of the frame map; the image path is relative to it.
+     * @returns {SpriteAtlas}
+     * @throws {AtlasFormatError} If the data violates the atlas format.
+     */
+    static fromJSON(data, src) {
+        const errors = SpriteAtlas.validate(data);
+        if (errors.length > 0) throw new AtlasFormatError(src, errors);
+        const folder = src.slice(0, src.lastIndexOf('/') + 1);
+        return new SpriteAtlas(folder + data.image, data.frames, data.animations || {});
+    }
+
+    /**
+     * Validates a frame map against the atlas format.
+     *
+     * @param {Object} data - The frame map to check.
+     * @returns {string[]} One message per violation; empty if the data is valid.
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object') return ['frame map must be an object'];
+        const errors = [];
+        if (typeof data.image !== 'string' || !data.image) errors.push('"image" must be a file name');
+        if (!data.frames || typeof data.frames !== 'object') {
+            errors.push('"frames" must be an object');
+        } else {
+            Object.entries(data.frames).forEach(([name, frame]) => {
+                const valid = frame && ['x', 'y', 'w', 'h'].every((key) => Number.isFinite(frame[key]) && frame[key] >= 0);
+                if (!valid) errors.push(`frame "${name}" needs non-negative x, y, w and h`);
+            });
+        }
+        Object.entries(data.animations || {}).forEach(([name, frames]) => {
+            if (!Array.isArray(frames) || frames.length === 0) {
+                errors.push(`animation "${name}" must list at least one frame`);
+            } else if (data.frames) {
+                frames.filter((frame) => !data.frames[frame])
+                    .forEach((frame) => errors.push(`animation "${name}" uses unknown frame "${frame}"`));
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Loads the atlases listed in the index and registers them.
+     * Never rejects: without an index nothing is requested, if it can't be
+     * loaded no atlas is registered (the single images are used) and a
+     * broken atlas is skipped.
+     *
+     * @param {?string} index - Path of the atlas index, or null if none is shipped.
+     * @returns {Promise<SpriteAtlas[]>} The registered atlases.
+     */
+    static loadAll(index) {
+        if (!index || typeof fetch !== 'function') return Promise.resolve([]);
+        const folder = index.slice(0, index.lastIndexOf('/') + 1);
+        return SpriteAtlas.fetchJSON(index)
+            .then(({ atlases }) => Promise.all(atlases.map((name) => SpriteAtlas.load(folder + name))))
+            .then((atlases) => atlases.filter(Boolean))
+            .catch(() => []);
+    }
+
+    /**
+     * Loads one atlas frame map and registers the atlas.
+     *
+     * @param {string} src - Path of the frame map.
+     * @returns {Promise<?SpriteAtlas>} The atlas, or null if it could not be loaded.
+     */
+    static load(src) {
+        return SpriteAtlas.fetchJSON(src)
+            .then((data) => SpriteAtlas.register(SpriteAtlas.fromJSON(data, src)))
+            .catch((error) => {
+                console.warn(`Failed to load sprite atlas "${src}":`, error);
+                return null;
+            });
+    }
+
+    /**
+     * Fetches and parses a JSON file.
+     *
+     * @param {string} src
+     * @returns {Promise<Object>}
+     */
+    static fetchJSON(src) {
+        return fetch(src).then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        });
+    }
+
+    /**
+     * Makes an atlas available to all drawable objects.
+     *
+     * @param {SpriteAtlas} atlas
+     * @returns {SpriteAtlas}
+     */
+    static register(atlas) {
+        SpriteAtlas.registered.push(atlas);
+        return atlas;
+    }
+
+    /**
+     * Forgets all registered atlases.
+     *
+     * @returns {void}
+     */
+    static clear() {
+        SpriteAtlas.registered = [];
+    }
+
+    /**
+     * Finds the atlas frame replacing a single image.
+     *
+     * @param {string} path - Path of the single image.
+     * @returns {?AtlasFrame} The frame, or null if no atlas holds it.
+     */
+    static findFrame(path) {
+        for (const atlas of SpriteAtlas.registered) {
+            if (atlas.frames[path]) return atlas.frames[path];
+        }
+        return null;
+    }
+
+    /**
+     * Returns the file to download for an image: the atlas holding it, or the image itself.
+     *
+     * @param {string} path - Path of the single image.
+     * @returns {string}
+     */
+    static resolveSource(path) {
+        const frame = SpriteAtlas.findFrame(path);
+        return frame ? frame.atlas.src : path;
+    }
+
+    /**
+     * Returns the frame names of a named animation of any registered atlas.
+     *
+     * @param {string} name - Animation name, e.g. `pepe/2_walk`.
+     * @returns {string[]}
+     * @throws {RangeError} If no registered atlas has the animation.
+     */
+    static getAnimation(name) {
+        const atlas = SpriteAtlas.registered.find((candidate) => candidate.animations[name]);
+        if (!atlas) throw new RangeError(`Unknown animation "${name}"`);
+        return atlas.animations[name];
+    }
+}
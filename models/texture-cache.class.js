@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Defines the {@link TextureCache} class.
+ * One image per path for the whole game: every {@link DrawableObject}
+ * acquires its images here instead of creating its own, so a dozen
+ * chickens share one set of frames and a reset or level switch reuses
+ * the images already decoded.
+ *
+ * Entries are reference counted. Releasing the last reference marks an
+ * entry unused but keeps it, because the next world usually needs the same
+ * images right away; {@link TextureCache#prune} drops the unused entries
+ * once a level has been built.
+ *
+ * Hits, misses and the estimated decoded size are shown in the
+ * {@link DebugOverlay}.
+ *
+ * @see DrawableObject
+ * @see SpriteAtlas
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing the shared image cache.
+ *
+ * @class TextureCache
+ */
+class TextureCache {
+    /**
+     * The cache shared by all drawable objects, created on first use.
+     * @type {?TextureCache}
+     */
+    static shared = null;
+
+    /**
+     * Cached images (or atlas frames) with their reference count, by path.
+     * @type {Map<string, {image: (HTMLImageElement|AtlasFrame), refs: number}>}
+     */
+    entries = new Map();
+
+    /**
+     * Number of acquisitions served from the cache.
+     * @type {number}
+     */
+    hits = 0;
+
+    /**
+     * Number of acquisitions that had to create an image.
+     * @type {number}
+     */
+    misses = 0;
+
+    /**
+     * Returns the shared cache, creating it on first use.
+     *
+     * @returns {TextureCache}
+     */
+    static getShared() {
+        if (!TextureCache.shared) {
+            TextureCache.shared = new TextureCache();
+        }
+        return TextureCache.shared;
+    }
+
+    /**
+     * Returns the image for a path and counts a reference to it.
+     * Creates the image (or takes its {@link SpriteAtlas} frame) on a miss.
+     *
+     * @param {string} path - The path to the image file.
+     * @returns {HTMLImageElement|AtlasFrame}
+     */
+    acquire(path) {
+        let entry = this.entries.get(path);
+        if (entry) {
+            this.hits++;
+        } else {
+            this.misses++;
+            entry = { image: DrawableObject.createSprite(path), refs: 0 };
+            this.entries.set(path, entry);
+        }
+        entry.refs++;
+        return entry.image;
+    }
+
+    /**
+     * Drops a reference taken by {@link TextureCache#acquire}.
+     * The image stays cached until the next {@link TextureCache#prune}.
+     *
+     * @param {string} path - The path to the image file.
+     * @returns {void}
+     */
+    release(path) {
+        const entry = this.entries.get(path);
+        if (entry && entry.refs > 0) entry.refs--;
+    }
+
+    /**
+     * Removes all images without references.
+     *
+     * @returns {number} Number of removed images.
+     */
+    prune() {
+        let removed = 0;
+        this.entries.forEach((entry, path) => {
+            if (entry.refs > 0) return;
+            this.entries.delete(path);
+            removed++;
+        });
+        return removed;
+    }
+
+    /**
+     * Returns the number of references to a path.
+     *
+     * @param {string} path
+     * @returns {number}
+     */
+    getRefs(path) {
+        return this.entries.get(path)?.refs ?? 0;
+    }
+
+    /**
+     * Estimates the decoded size of all cached images (4 bytes per pixel).
+     * Atlas frames count their atlas image once; images that have not
+     * finished loading count as zero.
+     *
+     * @returns {number} Size in bytes.
+     */
+    estimateBytes() {
+        const images = new Set();
+        this.entries.forEach(({ image }) => images.add(image.atlas ? image.atlas.image : image));
+        let bytes = 0;
+        images.forEach((image) => {
+            bytes += (image.naturalWidth || 0) * (image.naturalHeight || 0) * 4;
+        });
+        return bytes;
+    }
+
+    /**
+     * Returns the cache statistics.
+     *
+     * @returns {{textures: number, references: number, hits: number, misses: number, bytes: number}}
+     */
+    getStats() {
+        let references = 0;
+        this.entries.forEach((entry) => {
+            references += entry.refs;
+        });
+        return {
+            textures: this.entries.size,
+            references,
+            hits: this.hits,
+            misses: this.misses,
+            bytes: this.estimateBytes()
+        };
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Defines the {@link ThrowAim} class.
+ * State of a charged bottle throw: holding THROW charges the throw over
+ * {@link ThrowAim.FULL_CHARGE_MS}, UP and DOWN turn the launch angle
+ * while charging, and releasing THROW launches the bottle with a speed
+ * between {@link ThrowAim.MIN_SPEED} and {@link ThrowAim.MAX_SPEED}.
+ * A tap without charging or aiming throws the classic arc.
+ *
+ * The {@link World} drives the aim from its simulation step, so charged
+ * throws stay deterministic and replay like any other input, and draws
+ * the charge meter and the trajectory preview while charging.
+ *
+ * @see World#handleThrowInput
+ * @see ThrowableObject#throw
+ *
+ * @author KW
+ * @version 1.0.0
+ */
+
+/**
+ * Class representing the charge and angle of the next throw.
+ *
+ * @class ThrowAim
+ */
+class ThrowAim {
+    /**
+     * Hold time in ms for a fully charged throw.
+     * @type {number}
+     */
+    static FULL_CHARGE_MS = 1000;
+
+    /**
+     * Launch speed in pixels per gravity step of an uncharged throw
+     * (the classic arc, see {@link ThrowableObject.LAUNCH_SPEED}).
+     * @type {number}
+     */
+    static MIN_SPEED = 34;
+
+    /**
+     * Launch speed in pixels per gravity step of a fully charged throw.
+     * @type {number}
+     */
+    static MAX_SPEED = 44;
+
+    /**
+     * Launch angle in degrees of an unaimed throw (see {@link ThrowableObject.LAUNCH_ANGLE}).
+     * @type {number}
+     */
+    static DEFAULT_ANGLE = 62;
+
+    /**
+     * Flattest launch angle in degrees.
+     * @type {number}
+     */
+    static MIN_ANGLE = 20;
+
+    /**
+     * Steepest launch angle in degrees.
+     * @type {number}
+     */
+    static MAX_ANGLE = 80;
+
+    /**
+     * Angle change in degrees per second while UP or DOWN is held.
+     * @type {number}
+     */
+    static AIM_RATE = 60;
+
+    /**
+     * Flag indicating that THROW is held and the throw is charging.
+     * @type {boolean}
+     */
+    charging = false;
+
+    /**
+     * Time in ms the throw has been charged, up to {@link ThrowAim.FULL_CHARGE_MS}.
+     * @type {number}
+     */
+    chargeMs = 0;
+
+    /**
+     * Launch angle in degrees above the horizontal. Kept between throws.
+     * @type {number}
+     */
+    angle = ThrowAim.DEFAULT_ANGLE;
+
+    /**
+     * Charge from 0 (tap) to 1 (fully charged).
+     *
+     * @type {number}
+     */
+    get power() {
+        return this.chargeMs / ThrowAim.FULL_CHARGE_MS;
+    }
+
+    /**
+     * Launch speed for the current charge.
+     *
+     * @type {number}
+     */
+    get speed() {
+        return ThrowAim.MIN_SPEED + (ThrowAim.MAX_SPEED - ThrowAim.MIN_SPEED) * this.power;
+    }
+
+    /**
+     * Starts charging a new throw.
+     *
+     * @returns {void}
+     */
+    start() {
+        this.charging = true;
+        this.chargeMs = 0;
+    }
+
+    /**
+     * Charges the throw and turns the angle for one simulation step.
+     * Does nothing while not charging.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @param {boolean} up - Whether UP is held (steeper).
+     * @param {boolean} down - Whether DOWN is held (flatter).
+     * @returns {void}
+     */
+    update(dt, up, down) {
+        if (!this.charging) return;
+        this.chargeMs = Math.min(ThrowAim.FULL_CHARGE_MS, this.chargeMs + dt);
+        const turn = (up ? 1 : 0) - (down ? 1 : 0);
+        this.angle = Math.min(ThrowAim.MAX_ANGLE,
+            Math.max(ThrowAim.MIN_ANGLE, this.angle + turn * ThrowAim.AIM_RATE * dt / 1000));
+    }
+
+    /**
+     * Ends charging and returns the launch of the throw.
+     *
+     * @returns {{speed: number, angle: number}}
+     */
+    release() {
+        const launch = { speed: this.speed, angle: this.angle };
+        this.charging = false;
+        this.chargeMs = 0;
+        return launch;
+    }
+
+    /**
+     * Drops a charging throw and restores the default angle.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.charging = false;
+        this.chargeMs = 0;
+        this.angle = ThrowAim.DEFAULT_ANGLE;
+    }
+}
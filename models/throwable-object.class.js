@@ -1,8 +1,13 @@
 /**
  * @fileoverview Defines the {@link ThrowableObject} class.
- * Represents a throwable in-game object such as a bottle.
- * Handles throwing mechanics including gravity, forward motion,
- * and animation during flight.
+ * Represents a thrown salsa bottle. It spins along a parabolic flight
+ * and shatters with a splash when it hits the ground, an enemy or the
+ * boss (see {@link ThrowableObject#shatter}). Once the splash has played,
+ * or the bottle has left the screen, the {@link World} removes it.
+ *
+ * A throw is launched with a speed and an angle (see {@link ThrowAim});
+ * {@link ThrowableObject.predictPath} returns the points the bottle will
+ * pass, for the aiming preview.
  *
  * Extends {@link MoveableObject} to inherit gravity, movement,
  * and rendering functionality.
@@ -13,7 +18,7 @@
  * @see SoundManager
  * 
  * @author KW
- * @version 1.0.0
+ * @version 2.2.1
  */
 
 /**
@@ -24,6 +29,120 @@
  * @extends MoveableObject
  */
 class ThrowableObject extends MoveableObject {
+    /**
+     * Collision hitbox around the spinning bottle.
+     * @type {Object}
+     */
+    static HITBOX = { x: 15, y: 10, width: 40, height: 50 };
+
+    /**
+     * Animation clips and transitions (see {@link AnimationController}).
+     * The bottle spins while flying; the splash plays once.
+     * @type {Object}
+     */
+    static ANIMATIONS = {
+        clips: {
+            fly: { frames: 'IMAGES_ROTATION', fps: 16 },
+            splash: { frames: 'IMAGES_SPLASH', fps: 15, mode: 'once', priority: 1 }
+        },
+        transitions: [
+            { to: 'splash', when: (bottle) => bottle.shattered },
+            { to: 'fly' }
+        ]
+    };
+
+    /**
+     * Width to height ratio of the splash frames; the sprite widens to it when shattering.
+     * @type {number}
+     */
+    static SPLASH_ASPECT = 524 / 400;
+
+    /**
+     * Width and height of the flying bottle in pixels.
+     * @type {number}
+     */
+    static SIZE = 70;
+
+    /**
+     * Vertical position at which a bottle touches the ground.
+     * @type {number}
+     */
+    static GROUND_Y = 365;
+
+    /**
+     * Launch speed in pixels per gravity step of an uncharged throw.
+     * @type {number}
+     */
+    static LAUNCH_SPEED = 34;
+
+    /**
+     * Launch angle in degrees above the horizontal of an unaimed throw.
+     * Together with {@link ThrowableObject.LAUNCH_SPEED} this is the classic arc.
+     * @type {number}
+     */
+    static LAUNCH_ANGLE = 62;
+
+    /**
+     * Flight frames of the spinning bottle.
+     * @type {string[]}
+     */
+    IMAGES_ROTATION = [
+        'img/6_salsa_bottle/bottle_rotation/1_bottle_rotation.png',
+        'img/6_salsa_bottle/bottle_rotation/2_bottle_rotation.png',
+        'img/6_salsa_bottle/bottle_rotation/3_bottle_rotation.png',
+        'img/6_salsa_bottle/bottle_rotation/4_bottle_rotation.png'
+    ];
+
+    /**
+     * Frames of the shattering bottle.
+     * @type {string[]}
+     */
+    IMAGES_SPLASH = [
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/1_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/2_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/3_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/4_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/5_bottle_splash.png',
+        'img/6_salsa_bottle/bottle_rotation/bottle_splash/6_bottle_splash.png'
+    ];
+
+    /**
+     * Hit points a bottle takes from the object it hits.
+     * @type {number}
+     */
+    damage = 10;
+
+    /**
+     * The object that threw the bottle; it can't be hit by the bottle
+     * until the bottle has left it.
+     * @type {?MoveableObject}
+     */
+    owner = null;
+
+    /**
+     * Flag indicating that the bottle no longer touches its {@link ThrowableObject#owner}.
+     * @type {boolean}
+     */
+    leftOwner = false;
+
+    /**
+     * Vertical position at which the bottle touches the ground.
+     * @type {number}
+     */
+    groundY = ThrowableObject.GROUND_Y;
+
+    /**
+     * Flag indicating that the bottle has hit something and is splashing.
+     * @type {boolean}
+     */
+    shattered = false;
+
+    /**
+     * Flag indicating that the splash has finished and the bottle can be removed.
+     * @type {boolean}
+     */
+    spent = false;
+
     /**
      * Creates a new {@link ThrowableObject} instance.
      * Initializes position, dimensions, and applies throwing physics.
@@ -33,26 +152,127 @@ class ThrowableObject extends MoveableObject {
      * @param {number} y - The initial vertical position on the canvas.
      */
     constructor(x, y) {
-        super().loadImage('img/7_statusbars/3_icons/icon_salsa_bottle.png');
+        super().loadImage('img/6_salsa_bottle/bottle_rotation/1_bottle_rotation.png');
         this.x = x;
         this.y = y;
-        this.height = 60;
-        this.width = 50;
+        this.height = ThrowableObject.SIZE;
+        this.width = ThrowableObject.SIZE;
+        this.animation = new AnimationController(this, ThrowableObject.ANIMATIONS);
+        this.animation.on('complete', (clip) => {
+            if (clip === 'splash') this.spent = true;
+        });
+        this.animation.play('fly');
         this.throw();
     }
+
+    /**
+     * Horizontal speed in pixels per gravity step, away from the thrower.
+     * @type {number}
+     */
+    speedX = 0;
+
+    /**
+     * Launches the bottle. Forward motion and gravity are applied in
+     * {@link ThrowableObject#update}.
+     *
+     * @param {number} [speed=ThrowableObject.LAUNCH_SPEED] - Launch speed in pixels per gravity step.
+     * @param {number} [angle=ThrowableObject.LAUNCH_ANGLE] - Launch angle in degrees above the horizontal.
+     * @returns {void}
+     */
+    throw(speed = ThrowableObject.LAUNCH_SPEED, angle = ThrowableObject.LAUNCH_ANGLE) {
+        Object.assign(this, ThrowableObject.getLaunchVelocity(speed, angle));
+    }
+
+    /**
+     * Advances the bottle along its parabolic flight by one simulation step
+     * and shatters it when it reaches the ground.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    update(dt) {
+        if (this.shattered) return;
+        ThrowableObject.fly(this, dt);
+        if (!this.isAboveGround()) {
+            this.y = this.groundY;
+            this.shatter();
+        }
+    }
+
+    /**
+     * Splits a launch into its horizontal and vertical speed.
+     *
+     * @param {number} speed - Pixels per gravity step.
+     * @param {number} angle - Degrees above the horizontal.
+     * @returns {{speedX: number, speedY: number}}
+     */
+    static getLaunchVelocity(speed, angle) {
+        const radians = angle * Math.PI / 180;
+        return { speedX: speed * Math.cos(radians), speedY: speed * Math.sin(radians) };
+    }
+
     /**
-     * Applies upward velocity and initiates forward motion to simulate a throw.
-     * Uses {@link MoveableObject#applyGravity} for parabolic movement.
+     * Moves a flying body by one simulation step: gravity as in
+     * {@link MoveableObject#applyGravity}, plus its horizontal speed.
      *
+     * @param {{x: number, y: number, speedX: number, speedY: number, otherDirection: boolean,
+     *   acceleration: number, gravityStepMs: number}} body
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    throw() {
-        this.speedY = 30;
-        this.applyGravity();
+    static fly(body, dt) {
+        MoveableObject.fall(body, dt);
+        const speedX = body.otherDirection ? -body.speedX : body.speedX;
+        body.x += speedX * (dt / body.gravityStepMs);
+    }
 
-        setInterval(() => {
-            const stepX = this.otherDirection ? -10 : 10;
-            this.x += stepX;
-        }, 25);
+    /**
+     * Predicts the flight of a bottle thrown from a position, up to the ground.
+     * The flight is integrated in steps of `stepMs`; pass the simulation step
+     * so the points lie exactly on the path the bottle will fly.
+     *
+     * @param {number} x - Left edge of the bottle at launch.
+     * @param {number} y - Top edge of the bottle at launch.
+     * @param {number} speed - Launch speed in pixels per gravity step.
+     * @param {number} angle - Launch angle in degrees above the horizontal.
+     * @param {boolean} facingLeft - Whether the bottle flies to the left.
+     * @param {number} stepMs - Duration of one integration step in ms.
+     * @param {number} count - Maximum number of points.
+     * @param {number} [every=1] - Steps between two returned points.
+     * @returns {{x: number, y: number}[]} Centres of the bottle after every `every` steps.
+     */
+    static predictPath(x, y, speed, angle, facingLeft, stepMs, count, every = 1) {
+        const body = {
+            x,
+            y,
+            otherDirection: facingLeft,
+            acceleration: MoveableObject.GRAVITY,
+            gravityStepMs: MoveableObject.GRAVITY_STEP_MS,
+            ...ThrowableObject.getLaunchVelocity(speed, angle)
+        };
+        const half = ThrowableObject.SIZE / 2;
+        const points = [];
+        for (let step = 1; points.length < count; step++) {
+            ThrowableObject.fly(body, stepMs);
+            if (body.y >= ThrowableObject.GROUND_Y) break;
+            if (step % every === 0) points.push({ x: body.x + half, y: body.y + half });
+        }
+        return points;
+    }
+
+    /**
+     * Stops the bottle, starts the splash and plays the breaking glass.
+     * Calling it again has no effect.
+     *
+     * @returns {void}
+     */
+    shatter() {
+        if (this.shattered) return;
+        this.shattered = true;
+        this.speedY = 0;
+        const growth = this.height * ThrowableObject.SPLASH_ASPECT - this.width;
+        this.x -= growth / 2;
+        this.width += growth;
+        this.world?.sound.playBottleSplash(this);
     }
-}
\ No newline at end of file
+}
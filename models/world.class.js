@@ -5,15 +5,24 @@
  * and HUD elements. Handles collision detection, camera movement, object updates,
  * and win/lose conditions.
  *
+ * The player has {@link World.LIVES} lives per game. Losing one respawns the
+ * character at the last activated {@link Checkpoint} of the level (or the
+ * level start) with the rest of the level unchanged; the game is lost once
+ * no lives are left.
+ *
  * @see Character
  * @see Level
  * @see StatusBar
  * @see SoundManager
  * @see Endboss
  * @see ThrowableObject
+ * @see ThrowAim
+ * @see PowerUp
+ * @see Checkpoint
+ * @see GameLoop
  * 
  * @author KW
- * @version 1.1.0
+ * @version 1.9.8
  */
 
 /**
@@ -24,6 +33,88 @@
  * @class World
  */
 class World {
+    /**
+     * Playback speeds offered for replays.
+     * @type {number[]}
+     */
+    static REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+    /**
+     * Which factions the projectiles of a faction may hit.
+     * Friendly fire (the `friendlyFire` option) adds the own faction.
+     * @type {Object.<string, string[]>}
+     */
+    static DAMAGE_RULES = { player: ['enemy'] };
+
+    /**
+     * Look of the aiming aids drawn while a throw charges: the dotted
+     * trajectory preview (predicted in simulation steps, one dot every
+     * `dotEvery` steps of flight) and the charge meter above the character.
+     * @type {{dotEvery: number, dots: number, dotRadius: number, dotColor: string,
+     *   meterWidth: number, meterHeight: number, meterGap: number, meterColor: string, meterBackground: string}}
+     */
+    static AIM_STYLE = {
+        dotEvery: 4,
+        dots: 14,
+        dotRadius: 3,
+        dotColor: 'rgba(255, 255, 255, 0.85)',
+        meterWidth: 60,
+        meterHeight: 8,
+        meterGap: 12,
+        meterColor: '#f5a623',
+        meterBackground: 'rgba(0, 0, 0, 0.5)'
+    };
+
+    /**
+     * Position and look of the active power-up effects in the HUD:
+     * one icon with its countdown per effect, left to right below the status bars.
+     * @type {{x: number, y: number, spacing: number, iconFont: string, textFont: string, textColor: string}}
+     */
+    static EFFECT_HUD = {
+        x: 50,
+        y: 135,
+        spacing: 70,
+        iconFont: '30px sans-serif',
+        textFont: 'bold 16px sans-serif',
+        textColor: '#ffffff'
+    };
+
+    /**
+     * Time in ms a killed chicken stays on the ground before it is removed.
+     * @type {number}
+     */
+    static CORPSE_DELAY_MS = 300;
+
+    /**
+     * Lives the player starts a game with.
+     * @type {number}
+     */
+    static LIVES = 3;
+
+    /**
+     * Horizontal position at which the character starts every level.
+     * @type {number}
+     */
+    static START_X = 100;
+
+    /**
+     * Delay in ms between losing a life and the respawn, so the death animation can play.
+     * @type {number}
+     */
+    static RESPAWN_DELAY_MS = 1500;
+
+    /**
+     * Position and look of the lives counter in the HUD, between the status bars.
+     * @type {{x: number, y: number, icon: string, font: string, textColor: string}}
+     */
+    static LIVES_HUD = {
+        x: 270,
+        y: 35,
+        icon: '❤️',
+        font: 'bold 24px sans-serif',
+        textColor: '#ffffff'
+    };
+
     /**
      * The main player character instance.
      * @type {Character}
@@ -36,6 +127,12 @@ class World {
      */
     level = null;
 
+    /**
+     * The campaign the world plays through.
+     * @type {LevelRegistry}
+     */
+    levels = CAMPAIGN;
+
     /**
      * Tracks the current active level number.
      * 1 = Level 1, 2 = Level 2, ...
@@ -43,6 +140,37 @@ class World {
      */
     currentLevel = 1;
 
+    /**
+     * Simulated time at which the current level started, in ms.
+     * @type {number}
+     */
+    levelStartedAt = 0;
+
+    /**
+     * Results of every level completed in this campaign run.
+     * @type {{level: number, name: string, coins: number, coinsTotal: number, bottles: number, bottlesTotal: number, timeMs: number}[]}
+     */
+    campaignStats = [];
+
+    /**
+     * Lives left in this game, including the current one.
+     * @type {number}
+     */
+    lives = World.LIVES;
+
+    /**
+     * Horizontal position the character respawns at: the last activated
+     * checkpoint of the current level, or {@link World.START_X}.
+     * @type {number}
+     */
+    respawnX = World.START_X;
+
+    /**
+     * Flag indicating that the character lost a life and waits for the respawn.
+     * @type {boolean}
+     */
+    respawning = false;
+
     /**
      * The canvas element used for rendering.
      * @type {HTMLCanvasElement}
@@ -73,6 +201,43 @@ class World {
      */
     gameOver = false;
 
+    /**
+     * Flag indicating if the simulation is paused.
+     * @type {boolean}
+     */
+    paused = false;
+
+    /**
+     * The pause overlay element while the game is paused.
+     * @type {HTMLDivElement | null}
+     */
+    pauseOverlay = null;
+
+    /**
+     * Optional callback invoked whenever the world is paused or resumed.
+     * @type {?function(boolean): void}
+     */
+    onPauseChange = null;
+
+    /**
+     * Simulated time in milliseconds. Only advances while the simulation runs,
+     * so cooldowns and timers freeze during pause.
+     * @type {number}
+     */
+    time = 0;
+
+    /**
+     * Pending callbacks scheduled on the simulated clock.
+     * @type {{at: number, callback: function(): void}[]}
+     */
+    timers = [];
+
+    /**
+     * Flag indicating that {@link World#destroy} has torn this world down.
+     * @type {boolean}
+     */
+    destroyed = false;
+
     /**
      * Player’s health status bar.
      * @type {StatusBar}
@@ -117,11 +282,11 @@ class World {
     bottlesAmmo = 0;
 
     /**
-     * Timestamp of the last bottle throw in milliseconds.
+     * Simulated time of the last bottle throw in milliseconds.
      * Used to enforce a throw cooldown.
      * @type {number}
      */
-    lastThrowAt = 0;
+    lastThrowAt = -Infinity;
 
     /**
      * Minimum delay between two throws in milliseconds.
@@ -136,6 +301,20 @@ class World {
      */
     throwPressedPrev = false;
 
+    /**
+     * Set by a THROW press that has not started a charge yet, e.g. one
+     * during the cooldown; the charge starts once the cooldown ends if
+     * THROW is still held.
+     * @type {boolean}
+     */
+    throwPending = false;
+
+    /**
+     * Charge and angle of the throw while THROW is held.
+     * @type {ThrowAim}
+     */
+    throwAim = new ThrowAim();
+
     /**
      * Maximum number of bottles that can be collected in the current level.
      * Used to map bottle ammo to the HUD percentage dynamically.
@@ -151,29 +330,196 @@ class World {
 
     /**
      * Handles all in-game audio playback.
-     * @type {SoundManager}
+     * @type {SoundManager|NullSoundManager}
+     */
+    sound;
+
+    /**
+     * Flag indicating a world without canvas, audio and DOM.
+     * Headless worlds are advanced manually with {@link World#tick}.
+     * @type {boolean}
+     */
+    headless = false;
+
+    /**
+     * The fixed-timestep loop driving simulation and rendering.
+     * @type {GameLoop}
+     */
+    loop;
+
+    /**
+     * Seed chosen by the player (URL or settings), or null to use the
+     * level's own seed or a fresh random one.
+     * @type {?(number|string)}
+     */
+    seedOverride = null;
+
+    /**
+     * Random seed drawn once per world, used for levels without a seed.
+     * @type {number}
+     */
+    sessionSeed = SeededRandom.randomSeed();
+
+    /**
+     * Seed of the current level run. Reproduces the exact layout.
+     * @type {number|string}
+     */
+    seed = 0;
+
+    /**
+     * Seeded random number generator for all spawns of the current level.
+     * @type {SeededRandom}
+     */
+    random;
+
+    /**
+     * Panel showing seed, level and entity counts (toggled with `).
+     * @type {DebugOverlay}
+     */
+    debugOverlay;
+
+    /**
+     * Number of simulation steps run so far (paused and game-over steps excluded).
+     * @type {number}
+     */
+    ticks = 0;
+
+    /**
+     * Records seed, input and UI events of this session, or null while replaying.
+     * @type {?InputRecording}
+     */
+    recording = null;
+
+    /**
+     * Recording played back instead of live input, or null for a normal game.
+     * @type {?InputRecording}
+     */
+    replay = null;
+
+    /**
+     * Index of the next replay event to apply.
+     * @type {number}
      */
-    sound = new SoundManager();
+    replayEventIndex = 0;
+
+    /**
+     * Flag indicating that the replay has run out of recorded input.
+     * @type {boolean}
+     */
+    replayEnded = false;
+
+    /**
+     * Optional callback invoked once the replay has run out of recorded input.
+     * @type {?function(): void}
+     */
+    onReplayEnd = null;
+
+    /**
+     * Input devices polled once per frame (e.g. {@link GamepadInput}).
+     * @type {{poll: function(): void}[]}
+     */
+    inputSources = [];
+
+    /**
+     * Projectile damage rules of this world (see {@link World.DAMAGE_RULES}).
+     * @type {Object.<string, string[]>}
+     */
+    damageRules = World.DAMAGE_RULES;
+
+    /**
+     * Broad phase of the collision checks: level enemies, coins, bottles and
+     * power-ups filed by x, rebuilt every step by {@link World#updateBroadPhase}.
+     * @type {{enemies: SpatialGrid, coins: SpatialGrid, bottles: SpatialGrid, powerUps: SpatialGrid}}
+     */
+    grids = null;
+
+    /**
+     * The win or lose overlay of the current level, if shown.
+     * @type {HTMLDivElement | null}
+     */
+    resultOverlay = null;
 
     /**
      * Creates a new {@link World} instance.
      *
      * @constructor
-     * @param {HTMLCanvasElement} canvas - The canvas used for rendering.
+     * @param {?HTMLCanvasElement} canvas - The canvas used for rendering (ignored when headless).
      * @param {Keyboard} keyboard - The keyboard input controller.
      * @param {SoundManager} [soundManager] - Optional custom sound manager.
-     */
-    constructor(canvas, keyboard, soundManager) {
-        this.ctx = canvas.getContext('2d');
-        this.canvas = canvas;
+     * @param {Object} [options] - Optional world settings.
+     * @param {?(number|string)} [options.seed] - Fixed random seed for all levels.
+     * @param {boolean} [options.headless=false] - Run without canvas, audio, DOM and game loop.
+     * @param {InputRecording} [options.replay] - Recording to play back instead of live input.
+     * @param {boolean} [options.friendlyFire=false] - Let projectiles hit their own faction
+     *   (e.g. Pepe's bottles hit Pepe when he runs into them).
+     */
+    constructor(canvas, keyboard, soundManager, options = {}) {
+        this.headless = options.headless === true;
+        this.canvas = this.headless ? NullRenderer.createCanvas() : canvas;
+        this.ctx = this.canvas.getContext('2d');
         this.keyboard = keyboard;
-        this.soundManager = soundManager || this.sound;
+        this.sound = soundManager || (this.headless ? new NullSoundManager() : new SoundManager());
+        this.soundManager = this.sound;
+        this.seedOverride = options.seed ?? null;
+        this.debugOverlay = new DebugOverlay();
+        this.initGrids();
+        if (options.friendlyFire) this.damageRules = World.withFriendlyFire(World.DAMAGE_RULES);
+        this.initRecording(options.replay);
         this.selectLevel(this.currentLevel);
         this.updateLevelLimits();
         this.initLevelLabel();
-        this.draw();
         this.setWorld();
-        this.run();
+        this.loop = new GameLoop((dt) => this.update(dt), () => this.draw());
+        this.loop.poll = () => this.pollInput();
+        if (!this.headless) this.run();
+    }
+
+    /**
+     * Returns damage rules in which every faction may also hit itself.
+     *
+     * @param {Object.<string, string[]>} rules
+     * @returns {Object.<string, string[]>}
+     */
+    static withFriendlyFire(rules) {
+        return Object.fromEntries(Object.entries(rules).map(([faction, targets]) =>
+            [faction, targets.includes(faction) ? targets : [...targets, faction]]));
+    }
+
+    /**
+     * Creates the collision grids.
+     *
+     * @param {number} [cellSize] - Strip width in pixels.
+     * @returns {void}
+     */
+    initGrids(cellSize) {
+        this.grids = {
+            enemies: new SpatialGrid(cellSize),
+            coins: new SpatialGrid(cellSize),
+            bottles: new SpatialGrid(cellSize),
+            powerUps: new SpatialGrid(cellSize)
+        };
+    }
+
+    /**
+     * Starts recording this session, or takes seeds and start level
+     * from the recording to replay.
+     *
+     * @param {InputRecording} [replay] - Recording to play back.
+     * @returns {void}
+     */
+    initRecording(replay) {
+        if (replay) {
+            this.replay = replay;
+            this.seedOverride = replay.seed;
+            this.sessionSeed = replay.sessionSeed;
+            this.currentLevel = replay.level;
+            return;
+        }
+        this.recording = new InputRecording({
+            seed: this.seedOverride,
+            sessionSeed: this.sessionSeed,
+            level: this.currentLevel
+        });
     }
 
     /**
@@ -188,12 +534,89 @@ class World {
     }
 
     /**
-     * Links the character instance to the current world context.
+     * Links the character and every level entity to this world.
      *
      * @returns {void}
      */
     setWorld() {
         this.character.world = this;
+        this.getLevelEntities().forEach((entity) => {
+            entity.world = this;
+        });
+    }
+
+    /**
+     * Returns every entity owned by the current level, including scenery.
+     *
+     * @returns {MoveableObject[]}
+     */
+    getLevelEntities() {
+        if (!this.level) return [];
+        return [
+            ...this.level.backgroundObjects,
+            ...this.level.enemies,
+            ...this.level.clouds,
+            ...this.level.coins,
+            ...this.level.bottles,
+            ...this.level.powerUps,
+            ...this.level.checkpoints
+        ];
+    }
+
+    /**
+     * Destroys all entities of the current level and all thrown bottles.
+     *
+     * @returns {void}
+     */
+    destroyLevel() {
+        this.getLevelEntities().forEach((entity) => entity.destroy());
+        this.throwableObjects.forEach((bottle) => bottle.destroy());
+        this.throwableObjects = [];
+    }
+
+    /**
+     * Tears the world down: stops the loop, drops scheduled timers,
+     * silences all sounds and lets every entity release its resources.
+     * A destroyed world can't be restarted.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.gameOver = true;
+        this.stop();
+        this.timers = [];
+        this.pauseOverlay?.remove();
+        this.pauseOverlay = null;
+        this.onPauseChange = null;
+        this.inputSources = [];
+        this.soundManager?.stopAll?.();
+        this.destroyLevel();
+        this.character.destroy();
+        this.getStatusBars().forEach((bar) => bar.releaseImages());
+    }
+
+    /**
+     * Test hook reporting how many timers of the game are still alive:
+     * running game loops of any world plus callbacks pending on this
+     * world's clock. Stays constant across any number of resets if
+     * nothing leaks, and drops to 0 once the last world is destroyed.
+     *
+     * @returns {number}
+     */
+    getLiveTimerCount() {
+        const pendingTimers = this.destroyed ? 0 : this.timers.length;
+        return GameLoop.activeCount + pendingTimers;
+    }
+
+    /**
+     * Returns the HUD status bars.
+     *
+     * @returns {DrawableObject[]}
+     */
+    getStatusBars() {
+        return [this.statusBar, this.statusBarBoss, this.statusBarBottle, this.statusBarCoin];
     }
 
     /**
@@ -202,6 +625,7 @@ class World {
      * @returns {void}
      */
     initLevelLabel() {
+        if (this.headless) return;
         const stage = document.getElementById('stage');
         if (!stage) return;
         let label = stage.querySelector('.level-indicator');
@@ -210,74 +634,334 @@ class World {
             label.classList.add('level-indicator');
             stage.appendChild(label);
         }
-        this.levelLabelEl = label;
-        this.updateLevelLabel();
+        this.levelLabelEl = label;
+        this.updateLevelLabel();
+    }
+
+    /**
+     * Updates the level label text to match currentLevel
+     * and the level name from the campaign.
+     *
+     * @returns {void}
+     */
+    updateLevelLabel() {
+        if (!this.levelLabelEl) return;
+        const name = this.levels.getName(this.currentLevel);
+        this.levelLabelEl.textContent = name
+            ? `LVL ${this.currentLevel} · ${name}`
+            : `LVL ${this.currentLevel}`;
+    }
+
+    /**
+     * Starts the main game loop.
+     *
+     * @returns {void}
+     */
+    run() {
+        this.loop.start();
+    }
+
+    /**
+     * Stops the main game loop. The world neither updates nor renders afterwards.
+     *
+     * @returns {void}
+     */
+    stop() {
+        this.loop.stop();
+    }
+
+    /**
+     * Adds an input device that is polled once per frame.
+     *
+     * @param {{poll: function(): void}} source - e.g. a {@link GamepadInput}.
+     * @returns {void}
+     */
+    addInputSource(source) {
+        this.inputSources.push(source);
+    }
+
+    /**
+     * Polls all input devices, so their state is current for the next steps.
+     *
+     * @returns {void}
+     */
+    pollInput() {
+        this.inputSources.forEach((source) => source.poll());
+    }
+
+    /**
+     * Advances the world by whole simulation steps and renders once.
+     * Replaces the {@link GameLoop} for headless worlds, so tests can
+     * drive the game tick by tick.
+     *
+     * @param {number} [steps=1] - Number of fixed simulation steps.
+     * @returns {void}
+     */
+    tick(steps = 1) {
+        this.pollInput();
+        for (let i = 0; i < steps; i++) {
+            this.update(this.loop.stepMs);
+        }
+        this.draw();
+    }
+
+    /**
+     * Advances the whole game by one fixed simulation step:
+     * entities first, then collisions and win/lose conditions.
+     *
+     * @param {number} dt - Duration of the step in milliseconds.
+     * @returns {void}
+     */
+    update(dt) {
+        if (this.paused) return;
+        this.sound.updateMusic(dt);
+        if (this.replay) this.applyReplayInput();
+        if (this.gameOver) {
+            this.character.handleGameOver();
+            return;
+        }
+        this.recording?.capture(this.keyboard);
+        this.ticks++;
+        this.time += dt;
+        this.runDueTimers();
+        this.updateEntities(dt);
+        this.updateBroadPhase();
+        this.checkChickenKills();
+        this.checkCollisions();
+        this.handleThrowInput(dt);
+        this.checkCollisionCharacterCoin();
+        this.checkCollisionCharacterBottle();
+        this.checkCollisionCharacterPowerUp();
+        this.checkCheckpoints();
+        this.checkEndbossActivation();
+        this.checkBottleHits();
+        this.removeSpentBottles();
+        this.checkEndbossDead();
+        this.checkCharacterDead();
+        this.updateSoundPositions();
+    }
+
+    /**
+     * Moves the sound listener to the character and updates
+     * the ambient clucking of the living chickens.
+     *
+     * @returns {void}
+     */
+    updateSoundPositions() {
+        if (!this.sound) return;
+        this.sound.setListener(this.character.x + this.character.width / 2, this.camera_x);
+        if (this.gameOver) {
+            this.sound.stopAmbience();
+            return;
+        }
+        this.sound.updateAmbience(this.level.enemies.filter(
+            (enemy) => (enemy instanceof Chicken || enemy instanceof SmallChicken) && !enemy.chickenIsDead
+        ));
+    }
+
+    /**
+     * Applies the replay events and keyboard flags recorded for the current tick.
+     *
+     * @returns {void}
+     */
+    applyReplayInput() {
+        const events = this.replay.events;
+        while (this.replayEventIndex < events.length && events[this.replayEventIndex].tick <= this.ticks) {
+            const event = events[this.replayEventIndex++];
+            if (event.type === 'nextLevel') this.continueToNextLevel();
+        }
+        this.replay.applyTo(this.keyboard, this.ticks);
+        if (!this.replayEnded && this.ticks >= this.replay.length) {
+            this.replayEnded = true;
+            this.onReplayEnd?.();
+        }
+    }
+
+    /**
+     * Sets the playback speed of a replay.
+     *
+     * @param {number} speed - One of {@link World.REPLAY_SPEEDS}.
+     * @returns {void}
+     * @throws {RangeError} If the speed is not supported.
+     */
+    setReplaySpeed(speed) {
+        if (!World.REPLAY_SPEEDS.includes(speed)) {
+            throw new RangeError(`Replay speed ${speed} is not supported (use ${World.REPLAY_SPEEDS.join(', ')})`);
+        }
+        this.loop.timeScale = speed;
+    }
+
+    /**
+     * Schedules a callback on the simulated clock.
+     * Unlike setTimeout, the delay does not elapse while the game is paused.
+     *
+     * @param {number} delayMs - Delay in simulated milliseconds.
+     * @param {function(): void} callback - Function to call once the delay has passed.
+     * @returns {void}
+     */
+    schedule(delayMs, callback) {
+        this.timers.push({ at: this.time + delayMs, callback });
+    }
+
+    /**
+     * Runs and removes all scheduled callbacks that are due.
+     *
+     * @returns {void}
+     */
+    runDueTimers() {
+        const due = this.timers.filter((timer) => timer.at <= this.time);
+        if (due.length === 0) return;
+        this.timers = this.timers.filter((timer) => timer.at > this.time);
+        due.forEach((timer) => timer.callback());
+    }
+
+    /**
+     * Pauses the simulation, freezes all sounds and shows the pause overlay.
+     *
+     * @returns {void}
+     */
+    pause() {
+        if (this.paused || this.gameOver) return;
+        this.paused = true;
+        this.soundManager?.pauseAll?.();
+        this.pauseOverlay = this.createPauseOverlay();
+        this.onPauseChange?.(true);
+    }
+
+    /**
+     * Resumes the simulation and the sounds frozen by {@link World#pause}.
+     *
+     * @returns {void}
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.pauseOverlay?.remove();
+        this.pauseOverlay = null;
+        this.soundManager?.resumeAll?.();
+        this.onPauseChange?.(false);
+    }
+
+    /**
+     * Toggles between paused and running.
+     *
+     * @returns {void}
+     */
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
     }
 
     /**
-     * Updates the level label text to match currentLevel.
+     * Returns every entity that takes part in the simulation.
      *
-     * @returns {void}
-     */
-    updateLevelLabel() {
-        if (!this.levelLabelEl) return;
-        this.levelLabelEl.textContent = `LVL ${this.currentLevel}`;
+     * @returns {MoveableObject[]}
+     */
+    getUpdatableEntities() {
+        return [
+            this.character,
+            ...this.level.enemies,
+            ...this.level.clouds,
+            ...this.level.coins,
+            ...this.level.bottles,
+            ...this.level.powerUps,
+            ...this.throwableObjects
+        ];
     }
 
     /**
-     * Starts the main game loop.
+     * Calls `update(dt)` and `animate(dt)` on every entity,
+     * so physics, AI and animation advance in lockstep.
      *
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    run() {
-        setInterval(() => {
-            if (this.gameOver) return;
-            this.checkChickenKills();
-            this.checkCollisions();
-            this.handleThrowInput();
-            this.checkCollisionCharacterCoin();
-            this.checkCollisionCharacterBottle();
-            this.checkEndbossActivation();
-            this.checkBottleHitsEndboss();
-            this.checkEndbossDead();
-            this.checkCharacterDead();
-        }, 1000 / 60);
+    updateEntities(dt) {
+        this.getUpdatableEntities().forEach((entity) => {
+            entity.update(dt);
+            entity.animate(dt);
+        });
     }
 
     /**
-     * Handles throw input and enforces cooldown.
+     * Handles throw input and enforces cooldown: pressing THROW starts
+     * charging, holding it charges and aims (see {@link ThrowAim}) and
+     * releasing it throws the bottle. A press during the cooldown starts
+     * charging as soon as the cooldown ends.
      *
+     * @param {number} dt - Duration of the step in milliseconds.
      * @returns {void}
      */
-    handleThrowInput() {
-        const now = Date.now();
-        const rising = this.keyboard.THROW && !this.throwPressedPrev;
+    handleThrowInput(dt) {
+        const now = this.time;
+        const held = this.keyboard.THROW;
+        if (!held || this.character.isDead()) {
+            this.throwPending = false;
+        } else if (!this.throwPressedPrev) {
+            this.throwPending = true;
+        }
         const cooled = now - this.lastThrowAt >= this.throwCooldownMs;
-        if (rising && cooled && this.bottlesAmmo > 0) {
+        if (this.throwPending && cooled && this.bottlesAmmo > 0) {
+            this.throwPending = false;
             this.character.isSleeping = false;
             this.character.stopSnoreIfNecessary?.();
             this.character.resetStandingTime?.();
-            this.spawnBottle();
+            this.throwAim.start();
+        } else if (held) {
+            this.throwAim.update(dt, this.keyboard.UP, this.keyboard.DOWN);
+        } else if (this.throwAim.charging) {
+            this.spawnBottles(this.throwAim.release());
             this.bottlesAmmo--;
             this.updateBottleBar();
             this.lastThrowAt = now;
         }
-        this.throwPressedPrev = this.keyboard.THROW;
+        this.throwPressedPrev = held;
     }
 
     /**
-     * Spawns a new throwable bottle at Pepe's hand position.
+     * Returns where a thrown bottle starts: at Pepe's hand position.
      *
-     * @returns {void}
+     * @returns {{x: number, y: number, facingLeft: boolean}}
      */
-    spawnBottle() {
+    getThrowOrigin() {
         const facingLeft = this.character.otherDirection === true;
-        const handY = this.character.y + this.character.height * 0.45;
-        const handX = facingLeft
+        const y = this.character.y + this.character.height * 0.45;
+        const x = facingLeft
             ? this.character.x + this.character.width * 0.2
             : this.character.x + this.character.width * 0.8;
-        const bottle = new ThrowableObject(handX, handY);
-        bottle.otherDirection = facingLeft;
+        return { x, y, facingLeft };
+    }
+
+    /**
+     * Throws one bottle, or a fan of bottles while a `multiShot` effect runs
+     * (the extra bottles are free).
+     *
+     * @param {{speed: number, angle: number}} launch - Launch of the throw.
+     * @returns {void}
+     */
+    spawnBottles(launch) {
+        const spread = this.character.effects.get('multiShot')?.spread || [0];
+        spread.forEach((offset) => this.spawnBottle({ speed: launch.speed, angle: launch.angle + offset }));
+    }
+
+    /**
+     * Spawns a new throwable bottle at Pepe's hand position.
+     *
+     * @param {{speed: number, angle: number}} [launch] - Launch of the throw
+     *   (see {@link ThrowAim#release}); the classic arc if omitted.
+     * @returns {void}
+     */
+    spawnBottle(launch) {
+        const origin = this.getThrowOrigin();
+        const bottle = new ThrowableObject(origin.x, origin.y);
+        if (launch) bottle.throw(launch.speed, launch.angle);
+        bottle.otherDirection = origin.facingLeft;
+        bottle.owner = this.character;
+        bottle.faction = this.character.faction;
+        bottle.world = this;
         this.throwableObjects.push(bottle);
         if (this.sound && typeof this.sound.playThrow === 'function') {
             this.sound.playThrow();
@@ -326,13 +1010,35 @@ class World {
         this.statusBarBottle.setPercentage(percentage);
     }
 
+    /**
+     * Refiles the level's enemies, coins, bottles and power-ups in the collision grids
+     * at their positions after this step's movement.
+     *
+     * @returns {void}
+     */
+    updateBroadPhase() {
+        this.grids.enemies.rebuild(this.level.enemies);
+        this.grids.coins.rebuild(this.level.coins);
+        this.grids.bottles.rebuild(this.level.bottles);
+        this.grids.powerUps.rebuild(this.level.powerUps);
+    }
+
+    /**
+     * Returns the enemies near the character (collision candidates).
+     *
+     * @returns {MoveableObject[]}
+     */
+    getEnemiesNearCharacter() {
+        return this.grids.enemies.query(this.character.getHitbox());
+    }
+
     /**
      * Checks for collisions between the player and enemies.
      *
      * @returns {void}
      */
     checkCollisions() {
-        this.level.enemies.forEach((enemy) => {
+        this.getEnemiesNearCharacter().forEach((enemy) => {
             if (this.shouldSkipEnemyCollision(enemy)) return;
             if (!this.character.isColliding(enemy)) return;
             this.handleEnemyCollision(enemy);
@@ -378,7 +1084,7 @@ class World {
      * @returns {void}
      */
     applyEndbossCollision() {
-        if (this.character.isHurt()) return;
+        if (this.character.isDead() || this.character.isHurt()) return;
         this.character.hitByEndboss();
         this.statusBar.setPercentage(this.character.energy);
     }
@@ -392,11 +1098,19 @@ class World {
     applyChickenCollision(enemy) {
         const stompHit =
             this.character.speedY < 0 &&
-            (this.character.y + this.character.height - 20) < (enemy.y + 20);
-        if (!stompHit && !this.character.isHurt()) {
-            this.character.hit();
-            this.statusBar.setPercentage(this.character.energy);
-        }
+            (this.character.getHitbox().bottom - 20) < (enemy.getHitbox().top + 20);
+        if (!stompHit) this.hurtCharacter();
+    }
+
+    /**
+     * Hits the character unless he is dead or still recovering from the last hit.
+     *
+     * @returns {void}
+     */
+    hurtCharacter() {
+        if (this.character.isDead() || this.character.isHurt()) return;
+        this.character.hit();
+        this.statusBar.setPercentage(this.character.energy);
     }
 
     /**
@@ -405,9 +1119,10 @@ class World {
      * @returns {void}
      */
     checkCollisionCharacterCoin() {
-        this.level.coins.forEach((coin, index) => {
+        this.grids.coins.query(this.character.getHitbox()).forEach((coin) => {
             if (!this.character.isColliding(coin)) return;
-            this.level.coins.splice(index, 1);
+            this.level.coins.splice(this.level.coins.indexOf(coin), 1);
+            coin.destroy();
             this.character.coinsCollected++;
             this.updateCoinBar();
             if (this.soundManager?.playCoinSound) {
@@ -422,59 +1137,43 @@ class World {
      * @returns {void}
      */
     checkCollisionCharacterBottle() {
-        this.level.bottles = this.level.bottles.filter((bottle) => {
-            if (!this.isBottlePickupCollision(bottle)) return true;
+        this.grids.bottles.query(this.character.getHitbox()).forEach((bottle) => {
+            if (!this.character.isColliding(bottle)) return;
+            this.level.bottles = this.level.bottles.filter((b) => b !== bottle);
+            bottle.destroy();
             this.handleBottlePickup();
-            return false;
         });
     }
 
     /**
-     * Returns the character's effective collision hitbox.
-     *
-     * @returns {{left:number,right:number,top:number,bottom:number}}
-     */
-    getCharacterHitbox() {
-        const left = this.character.x + 60;
-        const right = this.character.x + 60 + this.character.width - 105;
-        const top = this.character.y + 130;
-        const bottom = this.character.y + this.character.height;
-        return { left, right, top, bottom };
-    }
-
-    /**
-     * Returns the bottle's effective collision hitbox.
+     * Checks for collisions between the player and power-ups.
      *
-     * @param {Bottle} bottle
-     * @returns {{left:number,right:number,top:number,bottom:number}}
+     * @returns {void}
      */
-    getBottleHitbox(bottle) {
-        const offsetX = bottle.collisionOffsetX || 0;
-        const offsetY = bottle.collisionOffsetY || 0;
-        const width = bottle.collisionWidth || bottle.width;
-        const height = bottle.collisionHeight || bottle.height;
-        const left = bottle.x + offsetX;
-        const top = bottle.y + offsetY;
-        const right = left + width;
-        const bottom = top + height;
-        return { left, right, top, bottom };
+    checkCollisionCharacterPowerUp() {
+        this.grids.powerUps.query(this.character.getHitbox()).forEach((powerUp) => {
+            if (!this.character.isColliding(powerUp)) return;
+            this.level.powerUps = this.level.powerUps.filter((p) => p !== powerUp);
+            this.applyPowerUp(powerUp.definition);
+            powerUp.destroy();
+            this.sound.playPowerUp();
+        });
     }
 
     /**
-     * Determines whether the character collides with the given bottle.
+     * Applies the effect of a collected power-up: `heal` restores energy
+     * at once, every other effect starts in the character's {@link ActiveEffects}.
      *
-     * @param {Bottle} bottle
-     * @returns {boolean}
+     * @param {{effect: string, durationMs?: number, amount?: number}} definition - See {@link PowerUp.KINDS}.
+     * @returns {void}
      */
-    isBottlePickupCollision(bottle) {
-        const c = this.getCharacterHitbox();
-        const b = this.getBottleHitbox(bottle);
-        return (
-            c.right > b.left &&
-            c.bottom > b.top &&
-            c.left < b.right &&
-            c.top < b.bottom
-        );
+    applyPowerUp(definition) {
+        if (definition.effect === 'heal') {
+            this.character.energy = Math.min(100, this.character.energy + definition.amount);
+            this.statusBar.setPercentage(this.character.energy);
+            return;
+        }
+        this.character.effects.add(definition);
     }
 
     /**
@@ -502,7 +1201,7 @@ class World {
      * @returns {void}
      */
     checkChickenKills() {
-        this.level.enemies.forEach((enemy) => {
+        this.getEnemiesNearCharacter().forEach((enemy) => {
             if (!this.isChickenAlive(enemy)) return;
             if (!this.isStompKill(enemy)) return;
             this.resolveChickenKill(enemy);
@@ -548,10 +1247,22 @@ class World {
         } else {
             this.character.speedY = 10;
         }
-        enemy.playAnimationChickenDead();
-        setTimeout(() => {
+        this.damageEnemy(enemy, enemy.health);
+    }
+
+    /**
+     * Removes a defeated enemy from the level after a delay
+     * and releases its textures.
+     *
+     * @param {MoveableObject} enemy
+     * @param {number} delayMs
+     * @returns {void}
+     */
+    removeEnemyAfterDelay(enemy, delayMs) {
+        this.schedule(delayMs, () => {
             this.level.enemies = this.level.enemies.filter(e => e !== enemy);
-        }, 300);
+            enemy.destroy();
+        });
     }
 
     /**
@@ -562,24 +1273,19 @@ class World {
      * @returns {void}
      */
     removeEndbossAfterDelay(endboss, delayMs) {
-        setTimeout(() => {
-            this.level.enemies = this.level.enemies.filter(e => e !== endboss);
-        }, delayMs);
+        this.removeEnemyAfterDelay(endboss, delayMs);
     }
 
     /**
-     * Stops all ongoing game sounds after a win
-     * and plays the win jingle once.
+     * Stops all ongoing game sounds after a win and fades the music out
+     * until the win screen plays the victory music.
      *
      * @returns {void}
      */
     stopAllSoundsOnWin() {
         if (!this.soundManager) return;
         this.soundManager.stopEndbossSounds?.();
-        if (this.soundManager.backgroundMusic) {
-            this.soundManager.backgroundMusic.pause();
-        }
-        this.soundManager.playGameWin?.();
+        this.soundManager.setMusicState?.(null);
     }
 
     /**
@@ -594,32 +1300,133 @@ class World {
             if (distance >= 600 || enemy.hadFirstContact) return;
             enemy.hadFirstContact = true;
             if (this.soundManager && !enemy._alertPlayedOnce) {
-                this.soundManager.playEndbossAlert();
+                this.soundManager.playEndbossAlert(enemy);
                 enemy._alertPlayedOnce = true;
             }
             enemy.i = 5;
             enemy.endBossAnimation();
-            this.soundManager?.playEndbossAttack?.();
+            this.soundManager?.setMusicState?.('boss');
         });
     }
 
     /**
-     * Checks if thrown bottles hit any endboss.
+     * Shatters every flying bottle on the first target it touches and
+     * damages that target, so each bottle hits once.
      *
      * @returns {void}
      */
-    checkBottleHitsEndboss() {
+    checkBottleHits() {
         this.throwableObjects.forEach((bottle) => {
-            this.level.enemies.forEach((enemy) => {
-                if (!(enemy instanceof Endboss)) return;
-                if (enemy.isDeadEndBoss() || !bottle.isColliding(enemy)) return;
-                enemy.hitEndBoss();
-                this.statusBarBoss.setPercentage(enemy.energyEndBoss);
-                this.throwableObjects.splice(this.throwableObjects.indexOf(bottle), 1);
-            });
+            if (bottle.shattered) return;
+            this.updateBottleOwner(bottle);
+            const target = this.getBottleTargets(bottle).find((candidate) => bottle.isColliding(candidate));
+            if (!target) return;
+            bottle.shatter();
+            this.applyBottleHit(bottle, target);
+        });
+    }
+
+    /**
+     * Notes when a bottle has left the object that threw it.
+     *
+     * @param {ThrowableObject} bottle
+     * @returns {void}
+     */
+    updateBottleOwner(bottle) {
+        if (bottle.leftOwner) return;
+        bottle.leftOwner = !bottle.owner || !bottle.isColliding(bottle.owner);
+    }
+
+    /**
+     * Returns the living objects near a bottle that its {@link World#damageRules} let it hit.
+     *
+     * @param {ThrowableObject} bottle
+     * @returns {MoveableObject[]}
+     */
+    getBottleTargets(bottle) {
+        const factions = this.damageRules[bottle.faction] || [];
+        const candidates = this.grids.enemies.query(bottle.getHitbox())
+            .filter((enemy) => !this.shouldSkipEnemyCollision(enemy));
+        if (bottle.leftOwner) candidates.push(this.character);
+        return candidates.filter((candidate) => factions.includes(candidate.faction));
+    }
+
+    /**
+     * Applies the damage of a bottle to the object it hit.
+     *
+     * @param {ThrowableObject} bottle
+     * @param {MoveableObject} target
+     * @returns {void}
+     */
+    applyBottleHit(bottle, target) {
+        if (target === this.character) {
+            this.hurtCharacter();
+            return;
+        }
+        this.damageEnemy(target, bottle.damage);
+        if (target instanceof Endboss) this.statusBarBoss.setPercentage(target.energyEndBoss);
+    }
+
+    /**
+     * Damages an enemy and awards its score when the hit kills it.
+     * A killed chicken is removed from the level after {@link World.CORPSE_DELAY_MS},
+     * whatever killed it; dead endbosses are removed by {@link World#handleDeadEndbosses}.
+     *
+     * @param {MoveableObject} enemy
+     * @param {number} amount - Hit points to take.
+     * @returns {void}
+     */
+    damageEnemy(enemy, amount) {
+        if (!enemy.takeDamage(amount)) return;
+        this.character.score += enemy.constructor.COMBAT.score;
+        this.dropPowerUp(enemy);
+        if (!(enemy instanceof Endboss)) this.removeEnemyAfterDelay(enemy, World.CORPSE_DELAY_MS);
+    }
+
+    /**
+     * Lets a defeated enemy drop a power-up, by the chance and kinds of its
+     * {@link MoveableObject.COMBAT} `drop` rule. Rolled with the level's
+     * {@link SeededRandom}, so drops replay like everything else.
+     *
+     * @param {MoveableObject} enemy
+     * @returns {?PowerUp} The dropped power-up, if any.
+     */
+    dropPowerUp(enemy) {
+        const drop = enemy.constructor.COMBAT.drop;
+        if (!drop || !this.random.chance(drop.chance)) return null;
+        const kind = drop.kinds[Math.floor(this.random.next() * drop.kinds.length)];
+        const powerUp = new PowerUp(kind);
+        powerUp.x = enemy.x + (enemy.width - powerUp.width) / 2;
+        powerUp.y = Math.min(enemy.y, powerUp.groundY);
+        powerUp.world = this;
+        this.level.powerUps.push(powerUp.drop());
+        return powerUp;
+    }
+
+    /**
+     * Removes bottles whose splash has finished or that have left the screen.
+     *
+     * @returns {void}
+     */
+    removeSpentBottles() {
+        this.throwableObjects = this.throwableObjects.filter((bottle) => {
+            if (!bottle.spent && this.isOnScreen(bottle)) return true;
+            bottle.destroy();
+            return false;
         });
     }
 
+    /**
+     * Checks whether an object overlaps the visible part of the level.
+     *
+     * @param {DrawableObject} object
+     * @returns {boolean}
+     */
+    isOnScreen(object) {
+        const left = -this.camera_x;
+        return object.x + object.width > left && object.x < left + this.canvas.width;
+    }
+
     /**
      * Returns all endboss enemies in the current level.
      *
@@ -641,7 +1448,7 @@ class World {
         if (!anyNewlyDead) return;
         if (!this.areAllEndbossesDead(endbosses)) return;
         this.stopAllSoundsOnWin();
-        setTimeout(() => this.showWinScreen(), 800);
+        this.schedule(800, () => this.showWinScreen());
     }
 
     /**
@@ -657,7 +1464,6 @@ class World {
             const isDead = typeof isDeadFn === 'function' ? isDeadFn() : false;
             if (!isDead || endboss.deathHandled) return;
             endboss.deathHandled = true;
-            endboss.currentImage = 0;
             endboss.deathAnimationStarted = true;
             this.removeEndbossAfterDelay(endboss, 1000);
             anyNewlyDead = true;
@@ -680,14 +1486,53 @@ class World {
     }
 
     /**
-     * Checks if the player has died and triggers lose screen.
+     * Activates every checkpoint the character has walked past and moves
+     * the respawn position to the farthest one.
+     *
+     * @returns {void}
+     */
+    checkCheckpoints() {
+        if (this.character.isDead()) return;
+        this.level.checkpoints.forEach((checkpoint) => {
+            if (this.character.x < checkpoint.x || !checkpoint.activate()) return;
+            this.respawnX = Math.max(this.respawnX, checkpoint.x);
+            this.sound.playCheckpoint();
+        });
+    }
+
+    /**
+     * Checks if the player has died: takes a life and schedules the respawn,
+     * or triggers the lose screen when it was the last one.
      *
      * @returns {void}
      */
     checkCharacterDead() {
-        if (this.character?.energy <= 0 && !this.gameOver) {
+        if (!(this.character?.energy <= 0) || this.gameOver || this.respawning) return;
+        this.lives--;
+        if (this.lives <= 0) {
             this.showLoseScreen();
+            return;
         }
+        this.respawning = true;
+        this.throwAim.reset();
+        this.schedule(World.RESPAWN_DELAY_MS, () => this.respawnCharacter());
+    }
+
+    /**
+     * Brings the character back at the respawn position with full energy.
+     * Enemies, collectibles, ammo and score stay as they were; running
+     * power-up effects are lost. The respawn counts as a hit, so the
+     * character gets the usual moment of invulnerability (see
+     * {@link MoveableObject#isHurt}) instead of being hit again at once
+     * by an enemy waiting at the checkpoint.
+     *
+     * @returns {void}
+     */
+    respawnCharacter() {
+        if (!this.respawning) return;
+        this.placeCharacter();
+        this.character.lastHit = this.character.currentTime();
+        this.statusBar.setPercentage(this.character.energy);
     }
 
     /**
@@ -697,9 +1542,10 @@ class World {
      * @param {string} subtitle
      * @param {string} color
      * @param {string} [icon=""]
-     * @returns {HTMLDivElement}
+     * @returns {HTMLDivElement | null} The overlay, or null for headless worlds.
      */
     createGameOverlay(title, subtitle, color, icon = "") {
+        if (this.headless) return null;
         const overlay = document.createElement("div");
         overlay.classList.add("overlay");
         overlay.innerHTML = `
@@ -713,6 +1559,45 @@ class World {
         return overlay;
     }
 
+    /**
+     * Creates the pause overlay with Resume, Restart and Settings buttons.
+     *
+     * @returns {HTMLDivElement | null}
+     */
+    createPauseOverlay() {
+        const overlay = this.createGameOverlay(
+            "PAUSED",
+            "Press Esc or P to continue",
+            "rgba(0,0,0,0.8)",
+            "⏸️"
+        );
+        if (!overlay) return null;
+        overlay.classList.add("pause-overlay");
+        this.addOverlayButton(overlay, "Resume", () => this.resume());
+        this.addOverlayButton(overlay, "Restart", () => resetGame());
+        this.addOverlayButton(overlay, "Settings", () => toggleSettings());
+        return overlay;
+    }
+
+    /**
+     * Appends a button to the box of an overlay.
+     *
+     * @param {HTMLDivElement | null} overlay
+     * @param {string} label
+     * @param {function(): void} onClick
+     * @returns {HTMLButtonElement | null}
+     */
+    addOverlayButton(overlay, label, onClick) {
+        const box = overlay?.querySelector(".box");
+        if (!box) return null;
+        const btn = document.createElement("button");
+        btn.textContent = label;
+        btn.classList.add("overlay-button");
+        btn.addEventListener("click", onClick);
+        box.appendChild(btn);
+        return btn;
+    }
+
     /**
      * Builds the subtitle for the win screen.
      *
@@ -723,16 +1608,23 @@ class World {
         const bottlesTotal = this.maxBottlesInLevel || 0;
         const coinsCollected = this.character.coinsCollected || 0;
         const bottlesCollected = this.character.bottlesCollected || 0;
-        return `Coins: ${coinsCollected} / ${coinsTotal} · Bottles: ${bottlesCollected} / ${bottlesTotal}`;
+        return `Score: ${this.character.score}<br>Coins: ${coinsCollected} / ${coinsTotal} · Bottles: ${bottlesCollected} / ${bottlesTotal}<br>Seed: ${this.seed}`;
     }
 
     /**
-     * Displays the "YOU WIN" screen.
+     * Displays the "YOU WIN" screen with a "Next Level" button,
+     * or the campaign-complete screen after the last level.
      *
      * @returns {void}
      */
     showWinScreen() {
         this.gameOver = true;
+        this.soundManager?.setMusicState?.('victory');
+        this.recordLevelStats();
+        if (this.levels.isLast(this.currentLevel)) {
+            this.showCampaignCompleteScreen();
+            return;
+        }
         const subtitle = this.getWinSubtitle();
         const overlay = this.createGameOverlay(
             "YOU WIN!",
@@ -740,9 +1632,9 @@ class World {
             "rgba(0,0,0,0.8)",
             "🏆"
         );
-        if (this.currentLevel === 1) {
-            this.addNextLevelButton(overlay);
-        }
+        this.resultOverlay = overlay;
+        if (!this.replay) this.addNextLevelButton(overlay);
+        this.addSaveReplayButton(overlay);
     }
 
     /**
@@ -752,18 +1644,115 @@ class World {
      * @returns {void}
      */
     addNextLevelButton(overlay) {
-        const box = overlay.querySelector(".box");
-        if (!box) return;
-        const btn = document.createElement("button");
-        btn.textContent = "Next Level";
-        btn.classList.add("overlay-button");
-        btn.addEventListener("click", () => {
-            overlay.remove();
-            this.switchToLevel(2);
-            this.gameOver = false;
-            this.draw();
+        this.addOverlayButton(overlay, "Next Level", () => this.continueToNextLevel());
+    }
+
+    /**
+     * Adds the "Save Replay" button to a result overlay of a recorded game.
+     *
+     * @param {HTMLDivElement | null} overlay
+     * @returns {void}
+     */
+    addSaveReplayButton(overlay) {
+        if (!this.recording) return;
+        this.addOverlayButton(overlay, "Save Replay", () => exportReplay());
+    }
+
+    /**
+     * Closes the win overlay and starts the next campaign level.
+     * Recorded as a replay event, since it changes the simulation.
+     *
+     * @returns {void}
+     */
+    continueToNextLevel() {
+        this.recording?.addEvent('nextLevel');
+        this.resultOverlay?.remove();
+        this.resultOverlay = null;
+        this.switchToLevel(this.currentLevel + 1);
+        this.gameOver = false;
+    }
+
+    /**
+     * Stores the results of the level that was just completed.
+     *
+     * @returns {void}
+     */
+    recordLevelStats() {
+        this.campaignStats.push({
+            level: this.currentLevel,
+            name: this.levels.getName(this.currentLevel),
+            score: this.character.score,
+            coins: this.character.coinsCollected || 0,
+            coinsTotal: this.maxCoinsInLevel || 0,
+            bottles: this.character.bottlesCollected || 0,
+            bottlesTotal: this.maxBottlesInLevel || 0,
+            timeMs: this.time - this.levelStartedAt
         });
-        box.appendChild(btn);
+    }
+
+    /**
+     * Sums up the recorded results of all completed levels.
+     *
+     * @returns {{score: number, coins: number, coinsTotal: number, bottles: number, bottlesTotal: number, timeMs: number}}
+     */
+    getCampaignTotals() {
+        return this.campaignStats.reduce((totals, stats) => ({
+            score: totals.score + stats.score,
+            coins: totals.coins + stats.coins,
+            coinsTotal: totals.coinsTotal + stats.coinsTotal,
+            bottles: totals.bottles + stats.bottles,
+            bottlesTotal: totals.bottlesTotal + stats.bottlesTotal,
+            timeMs: totals.timeMs + stats.timeMs
+        }), { score: 0, coins: 0, coinsTotal: 0, bottles: 0, bottlesTotal: 0, timeMs: 0 });
+    }
+
+    /**
+     * Formats a duration in ms as "m:ss".
+     *
+     * @param {number} ms
+     * @returns {string}
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, "0");
+        return `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Builds the subtitle for the campaign-complete screen.
+     *
+     * @returns {string}
+     */
+    getCampaignSubtitle() {
+        const totals = this.getCampaignTotals();
+        const levelLines = this.campaignStats.map((stats) =>
+            `LVL ${stats.level} ${stats.name} · ${this.formatDuration(stats.timeMs)} · ${stats.score} pts`
+        );
+        return [
+            `Levels: ${this.campaignStats.length} / ${this.levels.count()} · Time: ${this.formatDuration(totals.timeMs)}`,
+            `Score: ${totals.score}`,
+            `Coins: ${totals.coins} / ${totals.coinsTotal} · Bottles: ${totals.bottles} / ${totals.bottlesTotal}`,
+            ...levelLines,
+            `Seed: ${this.seed}`
+        ].join("<br>");
+    }
+
+    /**
+     * Displays the final screen after the last level of the campaign.
+     *
+     * @returns {void}
+     */
+    showCampaignCompleteScreen() {
+        const overlay = this.createGameOverlay(
+            "CAMPAIGN COMPLETE!",
+            this.getCampaignSubtitle(),
+            "rgba(0,0,0,0.8)",
+            "🎉"
+        );
+        this.resultOverlay = overlay;
+        this.addOverlayButton(overlay, "Play Again", () => resetGame());
+        this.addSaveReplayButton(overlay);
     }
 
     /**
@@ -776,11 +1765,12 @@ class World {
         const bottlesTotal = this.maxBottlesInLevel || 0;
         const coinsCollected = this.character.coinsCollected || 0;
         const bottlesCollected = this.character.bottlesCollected || 0;
-        return `Try again<br>Coins: ${coinsCollected} / ${coinsTotal} · Bottles: ${bottlesCollected} / ${bottlesTotal}`;
+        return `Try again<br>Score: ${this.character.score}<br>Coins: ${coinsCollected} / ${coinsTotal} · Bottles: ${bottlesCollected} / ${bottlesTotal}<br>Seed: ${this.seed}`;
     }
 
     /**
-     * Displays the "YOU LOSE" screen and plays game-over sound.
+     * Displays the "YOU LOSE" screen and switches to the defeat music,
+     * which plays the game-over sting.
      *
      * @returns {void}
      */
@@ -789,19 +1779,20 @@ class World {
         const subtitle = this.getLoseSubtitle();
         if (this.soundManager) {
             this.soundManager.stopEndbossSounds?.();
-            this.soundManager.backgroundMusic?.pause();
-            this.soundManager.playGameOver?.();
+            this.soundManager.setMusicState?.('defeat');
         }
-        this.createGameOverlay(
+        this.resultOverlay = this.createGameOverlay(
             "YOU LOSE",
             subtitle,
             "rgba(0,0,0,0.8)",
             "❌"
         );
+        this.addSaveReplayButton(this.resultOverlay);
     }
 
     /**
      * Draws all visible game objects on the canvas.
+     * Called once per animation frame by the {@link GameLoop}.
      *
      * @returns {void}
      */
@@ -809,9 +1800,42 @@ class World {
         this.clearCanvas();
         this.drawWorldLayer();
         this.drawHudLayer();
-        if (!this.gameOver) {
-            requestAnimationFrame(() => this.draw());
-        }
+        this.debugOverlay.render(() => this.getDebugInfo());
+    }
+
+    /**
+     * Collects the values shown in the {@link DebugOverlay}.
+     *
+     * @returns {Object.<string, (string|number)>}
+     */
+    getDebugInfo() {
+        return {
+            Seed: this.seed,
+            Level: `${this.currentLevel} / ${this.levels.count()}`,
+            Time: this.formatDuration(this.time),
+            Tick: this.replay ? `${this.ticks} / ${this.replay.length} (replay)` : this.ticks,
+            Enemies: this.level.enemies.length,
+            Projectiles: this.throwableObjects.length,
+            Score: this.character.score,
+            Lives: this.lives,
+            ...this.getTextureInfo()
+        };
+    }
+
+    /**
+     * Formats the {@link TextureCache} statistics for the {@link DebugOverlay}.
+     *
+     * @returns {Object.<string, string>}
+     */
+    getTextureInfo() {
+        const stats = TextureCache.getShared().getStats();
+        const lookups = stats.hits + stats.misses;
+        const hitRate = lookups ? Math.round((stats.hits / lookups) * 100) : 0;
+        return {
+            Textures: `${stats.textures} (${stats.references} refs)`,
+            'Texture memory': `${(stats.bytes / (1024 * 1024)).toFixed(1)} MB`,
+            'Texture cache': `${stats.hits} hits / ${stats.misses} misses (${hitRate}%)`
+        };
     }
 
     /**
@@ -832,24 +1856,114 @@ class World {
         this.ctx.translate(this.camera_x, 0);
         this.addObjectsToMap(this.level.backgroundObjects);
         this.addObjectsToMap(this.level.clouds);
+        this.addObjectsToMap(this.level.checkpoints);
         this.addObjectsToMap(this.level.coins);
         this.addObjectsToMap(this.level.bottles);
+        this.addObjectsToMap(this.level.powerUps);
         this.addObjectsToMap(this.level.enemies);
         this.addToMap(this.character);
         this.addObjectsToMap(this.throwableObjects);
+        if (this.throwAim.charging && !this.gameOver) this.drawThrowAim();
+        if (DebugOverlay.visible) this.drawHitboxes();
         this.ctx.translate(-this.camera_x, 0);
     }
 
+    /**
+     * Draws the trajectory preview of the charging throw and the charge
+     * meter above the character.
+     *
+     * @returns {void}
+     */
+    drawThrowAim() {
+        const style = World.AIM_STYLE;
+        const origin = this.getThrowOrigin();
+        const path = ThrowableObject.predictPath(origin.x, origin.y, this.throwAim.speed, this.throwAim.angle,
+            origin.facingLeft, this.loop.stepMs, style.dots, style.dotEvery);
+        this.ctx.fillStyle = style.dotColor;
+        path.forEach((point) => {
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, style.dotRadius, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+        const x = this.character.x + (this.character.width - style.meterWidth) / 2;
+        const y = this.character.getHitbox().top - style.meterGap - style.meterHeight;
+        this.ctx.fillStyle = style.meterBackground;
+        this.ctx.fillRect(x, y, style.meterWidth, style.meterHeight);
+        this.ctx.fillStyle = style.meterColor;
+        this.ctx.fillRect(x, y, style.meterWidth * this.throwAim.power, style.meterHeight);
+    }
+
+    /**
+     * Draws the sprite bounds and hitboxes of everything that collides,
+     * while the {@link DebugOverlay} is shown.
+     *
+     * @returns {void}
+     */
+    drawHitboxes() {
+        this.getCollidables().forEach((object) => object.drawFrame(this.ctx));
+    }
+
+    /**
+     * Returns all objects that take part in collisions.
+     *
+     * @returns {MoveableObject[]}
+     */
+    getCollidables() {
+        return [
+            ...this.level.coins,
+            ...this.level.bottles,
+            ...this.level.powerUps,
+            ...this.level.enemies,
+            this.character,
+            ...this.throwableObjects
+        ];
+    }
+
     /**
      * Draws all HUD elements on top.
      *
      * @returns {void}
      */
     drawHudLayer() {
-        this.addToMap(this.statusBar);
-        this.addToMap(this.statusBarBoss);
-        this.addToMap(this.statusBarBottle);
-        this.addToMap(this.statusBarCoin);
+        this.addObjectsToMap(this.getStatusBars());
+        this.drawLives();
+        this.drawActiveEffects();
+    }
+
+    /**
+     * Draws the lives counter.
+     *
+     * @returns {void}
+     */
+    drawLives() {
+        const hud = World.LIVES_HUD;
+        this.ctx.save();
+        this.ctx.textBaseline = 'middle';
+        this.ctx.font = hud.font;
+        this.ctx.fillStyle = hud.textColor;
+        this.ctx.fillText(`${hud.icon} × ${this.lives}`, hud.x, hud.y);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draws an icon with the remaining seconds for every running power-up effect.
+     *
+     * @returns {void}
+     */
+    drawActiveEffects() {
+        const hud = World.EFFECT_HUD;
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.character.effects.list().forEach((effect, i) => {
+            const x = hud.x + i * hud.spacing;
+            this.ctx.font = hud.iconFont;
+            this.ctx.fillText(effect.icon, x, hud.y);
+            this.ctx.font = hud.textFont;
+            this.ctx.fillStyle = hud.textColor;
+            this.ctx.fillText(`${Math.ceil(effect.remainingMs / 1000)}s`, x + 32, hud.y);
+        });
+        this.ctx.restore();
     }
 
     /**
@@ -909,21 +2023,23 @@ class World {
     }
 
     /**
-     * Selects the new level instance and updates currentLevel.
+     * Builds a fresh instance of the given campaign level and updates currentLevel.
+     * The level is spawned from a {@link SeededRandom} seeded with the player's
+     * seed, the level's own seed or the session seed (in that order).
+     * Images no longer used by any world are then dropped from the {@link TextureCache}.
      *
-     * @param {number} levelNumber
+     * @param {number} levelNumber - 1-based level number from {@link World#levels}.
      * @returns {void}
      */
     selectLevel(levelNumber) {
-        if (levelNumber === 2) {
-            level2 = createLevel2();
-            this.level = level2;
-            this.currentLevel = 2;
-        } else {
-            level1 = createLevel1();
-            this.level = level1;
-            this.currentLevel = 1;
-        }
+        this.seed = this.seedOverride ?? this.levels.getData(levelNumber).seed ?? this.sessionSeed;
+        this.random = new SeededRandom(this.seed);
+        this.level = this.levels.create(levelNumber, this.random);
+        this.currentLevel = levelNumber;
+        this.respawnX = World.START_X;
+        this.levelStartedAt = this.time;
+        TextureCache.getShared().prune();
+        this.restartBackgroundMusic();
     }
 
     /**
@@ -935,22 +2051,38 @@ class World {
         this.camera_x = 0;
         this.throwableObjects = [];
         this.bottlesAmmo = 0;
-        this.lastThrowAt = 0;
+        this.lastThrowAt = -Infinity;
+        this.throwAim.reset();
     }
 
     /**
-     * Resets the character’s runtime state.
+     * Resets the character’s runtime state and places him at the respawn position.
      *
      * @returns {void}
      */
     resetCharacterState() {
-        this.character.x = 100;
+        this.placeCharacter();
+        this.character.coinsCollected = 0;
+        this.character.bottlesCollected = 0;
+        this.character.score = 0;
+    }
+
+    /**
+     * Drops the character in at the respawn position ({@link World#respawnX})
+     * with full energy and without power-up effects.
+     *
+     * @returns {void}
+     */
+    placeCharacter() {
+        this.respawning = false;
+        this.character.x = this.respawnX;
         this.character.y = 100;
+        this.character.speedY = 0;
         this.character.energy = 100;
         this.character.isSleeping = false;
         this.character.isDeadFlag = false;
-        this.character.coinsCollected = 0;
-        this.character.bottlesCollected = 0;
+        this.character.effects.clear();
+        this.character.speed = Character.WALK_SPEED;
     }
 
     /**
@@ -966,35 +2098,36 @@ class World {
     }
 
     /**
-     * Restarts background music for the current level.
+     * Starts the exploration music of the current level
+     * (cross-fading from whatever played before).
      *
      * @returns {void}
      */
     restartBackgroundMusic() {
-        if (!this.soundManager || !this.soundManager.backgroundMusic) return;
-
-        try {
-            this.soundManager.backgroundMusic.currentTime = 0;
-            this.soundManager.backgroundMusic.play();
-        } catch (error) {
-            console.error('Error while restarting background music:', error);
-        }
+        this.soundManager?.setBackgroundTrack?.(this.level.music);
+        this.soundManager?.setMusicState?.('exploration');
     }
 
 
     /**
      * Switches to the given level number and resets state.
+     * Works for any level registered in {@link World#levels}.
      *
-     * @param {number} levelNumber
+     * @param {number} levelNumber - 1-based level number.
      * @returns {void}
+     * @throws {RangeError} If the campaign has no such level; the current level stays intact.
      */
     switchToLevel(levelNumber) {
+        if (!this.levels.has(levelNumber)) {
+            throw new RangeError(`Level ${levelNumber} does not exist (campaign has ${this.levels.count()} levels)`);
+        }
+        this.timers = [];
+        this.destroyLevel();
         this.selectLevel(levelNumber);
         this.updateLevelLimits();
         this.resetCameraAndProjectiles();
         this.resetCharacterState();
         this.resetStatusBars();
-        this.restartBackgroundMusic();
         this.updateLevelLabel();
         this.setWorld();
     }
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Measures the collision checks of a headless {@link World}
+ * with and without the {@link SpatialGrid} broad phase
+ * (`npm run benchmark-collisions`).
+ *
+ * Every scenario fills a long level with chickens, coins, bottles and
+ * thrown bottles, then times the collision phase of {@link World#update}
+ * (broad phase, stomps, enemy contact, pickups and bottle hits) over a
+ * number of steps. The baseline swaps the grids for {@link FullScan},
+ * which returns every object like the checks did before the broad phase.
+ * Entities don't move between steps, so both runs see the same scene.
+ *
+ * The game scripts are run in Node's own global scope, as the browser runs
+ * them. (The isolated VM context of the tests looks up globals such as
+ * `Math` much more slowly, which would distort the timings.)
+ *
+ * Usage: `node scripts/benchmark-collisions.js [steps]` (default 300).
+ *
+ * @author KW
+ * @version 1.1.0
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { getGameScripts } = require('../tests/helpers/headless-game');
+
+/**
+ * Repository root directory.
+ * @type {string}
+ */
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Number of enemies per scenario.
+ * @type {number[]}
+ */
+const ENEMY_COUNTS = [100, 300, 1000];
+
+/**
+ * Level width in pixels per enemy, so larger scenarios are longer levels.
+ * @type {number}
+ */
+const SPACING = 60;
+
+/**
+ * Number of thrown bottles in flight.
+ * @type {number}
+ */
+const PROJECTILES = 20;
+
+/**
+ * Untimed steps before each run, so both runs are measured with optimised code.
+ * @type {number}
+ */
+const WARM_UP_STEPS = 1000;
+
+/**
+ * Stand-in for a {@link SpatialGrid} that returns every object.
+ */
+class FullScan {
+    /**
+     * All objects.
+     * @type {DrawableObject[]}
+     */
+    objects = [];
+
+    /**
+     * Takes the objects as they are.
+     *
+     * @param {DrawableObject[]} objects
+     * @returns {FullScan}
+     */
+    rebuild(objects) {
+        this.objects = objects;
+        return this;
+    }
+
+    /**
+     * Returns every object, wherever the box is.
+     *
+     * @returns {DrawableObject[]}
+     */
+    query() {
+        return this.objects;
+    }
+}
+
+/**
+ * Runs all game scripts in the global scope.
+ *
+ * @returns {function(string): *} Evaluates an expression in the game scope.
+ */
+function loadGlobalGame() {
+    getGameScripts().forEach((src) => {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), { filename: src });
+    });
+    return (expression) => vm.runInThisContext(expression);
+}
+
+/**
+ * Builds a headless world with a crowded level of the given size.
+ *
+ * @param {function(string): *} game - Evaluates an expression in the game scope.
+ * @param {number} enemyCount
+ * @returns {World}
+ */
+function createScene(game, enemyCount) {
+    const world = new (game('World'))(null, new (game('Keyboard'))(), undefined, { seed: 1, headless: true });
+    const random = new (game('SeededRandom'))(enemyCount);
+    const width = enemyCount * SPACING;
+    const at = () => Math.round(random.range(0, width));
+    world.destroyLevel();
+    world.level.enemies = Array.from({ length: enemyCount }, () => new (game('Chicken'))(at()));
+    world.level.coins = Array.from({ length: enemyCount / 2 }, () => new (game('Coin'))(at(), 150));
+    world.level.bottles = Array.from({ length: enemyCount / 4 }, () => new (game('Bottle'))(at()));
+    world.throwableObjects = Array.from({ length: PROJECTILES }, () =>
+        Object.assign(new (game('ThrowableObject'))(at(), 250), { faction: 'player' }));
+    world.character.x = width / 2;
+    world.setWorld();
+    return world;
+}
+
+/**
+ * Times the collision phase of a world after a warm-up and returns the mean time per step.
+ *
+ * @param {World} world
+ * @param {number} steps
+ * @returns {number} Milliseconds per step.
+ */
+function timeCollisions(world, steps) {
+    runCollisions(world, WARM_UP_STEPS);
+    const start = process.hrtime.bigint();
+    runCollisions(world, steps);
+    return Number(process.hrtime.bigint() - start) / 1e6 / steps;
+}
+
+/**
+ * Runs the collision phase of a world.
+ *
+ * @param {World} world
+ * @param {number} steps
+ * @returns {void}
+ */
+function runCollisions(world, steps) {
+    for (let i = 0; i < steps; i++) {
+        world.updateBroadPhase();
+        world.checkChickenKills();
+        world.checkCollisions();
+        world.checkCollisionCharacterCoin();
+        world.checkCollisionCharacterBottle();
+        world.checkCollisionCharacterPowerUp();
+        world.checkBottleHits();
+    }
+}
+
+/**
+ * Times every scenario with and without the broad phase and prints a table.
+ *
+ * @param {number} steps - Steps per run.
+ * @returns {void}
+ */
+function main(steps) {
+    const game = loadGlobalGame();
+    const rows = ENEMY_COUNTS.map((enemies) => {
+        const scan = createScene(game, enemies);
+        scan.grids = { enemies: new FullScan(), coins: new FullScan(), bottles: new FullScan(), powerUps: new FullScan() };
+        const fullScanMs = timeCollisions(scan, steps);
+        const gridMs = timeCollisions(createScene(game, enemies), steps);
+        return {
+            enemies,
+            'full scan (ms/step)': fullScanMs.toFixed(3),
+            'grid (ms/step)': gridMs.toFixed(3),
+            'speed-up': `${(fullScanMs / gridMs).toFixed(1)}×`
+        };
+    });
+    console.table(rows);
+}
+
+if (require.main === module) {
+    main(Number(process.argv[2]) || 300);
+}
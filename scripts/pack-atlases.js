@@ -0,0 +1,489 @@
+/**
+ * @fileoverview Packs the sprite images into atlases (`npm run pack-atlases`).
+ * Every sprite listed in {@link AssetManifest.SPRITES} whose folder is
+ * configured in {@link ATLASES} is scaled down to the size the game draws
+ * it at (with headroom for high-DPI screens) and packed into one PNG per
+ * folder, together with the JSON frame map read by {@link SpriteAtlas}.
+ * The index of all atlases is written last, so the game only picks up a
+ * complete set. The game loads them once `AssetManifest.ATLAS_INDEX`
+ * points to that index.
+ *
+ * Runs on plain Node without dependencies: PNGs are decoded and encoded
+ * with the built-in zlib (8-bit images, interlaced or not).
+ *
+ * Usage: `node scripts/pack-atlases.js [output folder]` (default img/atlas).
+ *
+ * @author KW
+ * @version 1.0.1
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const zlib = require('node:zlib');
+
+/**
+ * Repository root directory.
+ * @type {string}
+ */
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Atlases to build: name, image folder and the scale applied to its frames.
+ * @type {{name: string, folder: string, scale: number}[]}
+ */
+const ATLASES = [
+    { name: 'pepe', folder: 'img/2_character_pepe', scale: 0.4 },
+    { name: 'chicken', folder: 'img/3_enemies_chicken', scale: 0.5 },
+    { name: 'endboss', folder: 'img/4_enemie_boss_chicken', scale: 0.4 },
+    { name: 'bottle', folder: 'img/6_salsa_bottle', scale: 0.4 },
+    { name: 'statusbars', folder: 'img/7_statusbars', scale: 0.7 },
+    { name: 'coin', folder: 'img/8_coin', scale: 0.5 }
+];
+
+/**
+ * Largest atlas width and height in pixels (safe on mobile GPUs).
+ * @type {number}
+ */
+const MAX_SIZE = 4096;
+
+/**
+ * Transparent gap between frames, so filtering never bleeds into a neighbour.
+ * @type {number}
+ */
+const PADDING = 2;
+
+/**
+ * PNG file signature.
+ * @type {Buffer}
+ */
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/**
+ * Channels per pixel of each PNG color type.
+ * @type {Object.<number, number>}
+ */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Adam7 interlacing passes as [xStart, yStart, xStep, yStep].
+ * @type {number[][]}
+ */
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+/**
+ * An RGBA image in memory.
+ * @typedef {Object} RawImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} data - 4 bytes per pixel, row by row.
+ */
+
+/**
+ * Reads the sprite list from the game's asset manifest.
+ *
+ * @returns {string[]}
+ */
+function readSprites() {
+    const code = fs.readFileSync(path.join(ROOT, 'models/asset-manifest.class.js'), 'utf8');
+    return vm.runInNewContext(`${code}\nAssetManifest.SPRITES;`, {});
+}
+
+/**
+ * Decodes an 8-bit PNG file into RGBA pixels.
+ *
+ * @param {string} file
+ * @returns {RawImage}
+ * @throws {Error} If the file is no PNG or uses an unsupported format.
+ */
+function readPng(file) {
+    const buffer = fs.readFileSync(file);
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error(`${file} is not a PNG file`);
+    const png = { palette: null, transparency: null, idat: [] };
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            Object.assign(png, {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            });
+        } else if (type === 'PLTE') {
+            png.palette = body;
+        } else if (type === 'tRNS') {
+            png.transparency = body;
+        } else if (type === 'IDAT') {
+            png.idat.push(body);
+        }
+        offset += length + 12;
+    }
+    if (png.bitDepth !== 8 || !CHANNELS[png.colorType]) {
+        throw new Error(`${file}: only 8-bit PNGs are supported (bit depth ${png.bitDepth}, color type ${png.colorType})`);
+    }
+    return decodePixels(png, zlib.inflateSync(Buffer.concat(png.idat)));
+}
+
+/**
+ * Unfilters the inflated scanlines and converts them to RGBA.
+ *
+ * @param {Object} png - Header fields, palette and transparency of the file.
+ * @param {Buffer} raw - Inflated image data.
+ * @returns {RawImage}
+ */
+function decodePixels(png, raw) {
+    const { width, height } = png;
+    const channels = CHANNELS[png.colorType];
+    const data = new Uint8Array(width * height * 4);
+    const passes = png.interlace ? ADAM7 : [[0, 0, 1, 1]];
+    let offset = 0;
+    passes.forEach(([xStart, yStart, xStep, yStep]) => {
+        const passWidth = Math.ceil((width - xStart) / xStep);
+        const passHeight = Math.ceil((height - yStart) / yStep);
+        if (passWidth <= 0 || passHeight <= 0) return;
+        const stride = passWidth * channels;
+        let previous = new Uint8Array(stride);
+        for (let row = 0; row < passHeight; row++) {
+            const line = unfilter(raw[offset], raw.subarray(offset + 1, offset + 1 + stride), previous, channels);
+            offset += stride + 1;
+            for (let column = 0; column < passWidth; column++) {
+                const target = ((yStart + row * yStep) * width + xStart + column * xStep) * 4;
+                writePixel(png, line, column * channels, data, target);
+            }
+            previous = line;
+        }
+    });
+    return { width, height, data };
+}
+
+/**
+ * Reverses the PNG filter of one scanline.
+ *
+ * @param {number} filter - Filter type 0–4.
+ * @param {Uint8Array} line - Filtered bytes.
+ * @param {Uint8Array} previous - Unfiltered bytes of the line above.
+ * @param {number} bpp - Bytes per pixel.
+ * @returns {Uint8Array} Unfiltered bytes.
+ */
+function unfilter(filter, line, previous, bpp) {
+    const out = new Uint8Array(line.length);
+    for (let i = 0; i < line.length; i++) {
+        const left = i >= bpp ? out[i - bpp] : 0;
+        const up = previous[i];
+        const upLeft = i >= bpp ? previous[i - bpp] : 0;
+        const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+        out[i] = (line[i] + predictors[filter]) & 0xff;
+    }
+    return out;
+}
+
+/**
+ * The Paeth predictor of the PNG specification.
+ *
+ * @param {number} left
+ * @param {number} up
+ * @param {number} upLeft
+ * @returns {number}
+ */
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const dLeft = Math.abs(estimate - left);
+    const dUp = Math.abs(estimate - up);
+    const dUpLeft = Math.abs(estimate - upLeft);
+    if (dLeft <= dUp && dLeft <= dUpLeft) return left;
+    return dUp <= dUpLeft ? up : upLeft;
+}
+
+/**
+ * Converts one pixel of any supported color type to RGBA.
+ *
+ * @param {Object} png
+ * @param {Uint8Array} line
+ * @param {number} source - Byte offset of the pixel in the line.
+ * @param {Uint8Array} data
+ * @param {number} target - Byte offset of the pixel in the RGBA data.
+ * @returns {void}
+ */
+function writePixel(png, line, source, data, target) {
+    const { colorType, palette, transparency } = png;
+    let rgba;
+    if (colorType === 6) {
+        rgba = [line[source], line[source + 1], line[source + 2], line[source + 3]];
+    } else if (colorType === 2) {
+        rgba = [line[source], line[source + 1], line[source + 2], 255];
+    } else if (colorType === 3) {
+        const index = line[source];
+        const alpha = transparency && index < transparency.length ? transparency[index] : 255;
+        rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], alpha];
+    } else if (colorType === 4) {
+        rgba = [line[source], line[source], line[source], line[source + 1]];
+    } else {
+        rgba = [line[source], line[source], line[source], 255];
+    }
+    data.set(rgba, target);
+}
+
+/**
+ * Scales an image with an area-averaging box filter on premultiplied alpha.
+ *
+ * @param {RawImage} image
+ * @param {number} scale - Factor between 0 and 1.
+ * @returns {RawImage}
+ */
+function scaleImage(image, scale) {
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor((y * image.height) / height);
+        const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / height));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor((x * image.width) / width);
+            const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / width));
+            const sum = [0, 0, 0, 0];
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    const alpha = image.data[i + 3];
+                    sum[0] += image.data[i] * alpha;
+                    sum[1] += image.data[i + 1] * alpha;
+                    sum[2] += image.data[i + 2] * alpha;
+                    sum[3] += alpha;
+                }
+            }
+            const target = (y * width + x) * 4;
+            const count = (x1 - x0) * (y1 - y0);
+            if (sum[3] > 0) {
+                data[target] = Math.round(sum[0] / sum[3]);
+                data[target + 1] = Math.round(sum[1] / sum[3]);
+                data[target + 2] = Math.round(sum[2] / sum[3]);
+            }
+            data[target + 3] = Math.round(sum[3] / count);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Places frames on shelves, tallest first.
+ *
+ * @param {{name: string, image: RawImage}[]} frames
+ * @returns {{width: number, height: number, placements: Object.<string, {x: number, y: number, w: number, h: number}>}}
+ * @throws {Error} If the frames do not fit into {@link MAX_SIZE}.
+ */
+function packFrames(frames) {
+    const area = frames.reduce((sum, { image }) => sum + (image.width + PADDING) * (image.height + PADDING), 0);
+    const widest = Math.max(...frames.map(({ image }) => image.width + PADDING));
+    const width = Math.min(MAX_SIZE, Math.max(widest, 2 ** Math.ceil(Math.log2(Math.sqrt(area)))));
+    const placements = {};
+    let x = 0;
+    let y = 0;
+    let shelfHeight = 0;
+    [...frames].sort((a, b) => b.image.height - a.image.height).forEach(({ name, image }) => {
+        if (x + image.width > width) {
+            x = 0;
+            y += shelfHeight + PADDING;
+            shelfHeight = 0;
+        }
+        placements[name] = { x, y, w: image.width, h: image.height };
+        x += image.width + PADDING;
+        shelfHeight = Math.max(shelfHeight, image.height);
+    });
+    const height = y + shelfHeight;
+    if (width > MAX_SIZE || height > MAX_SIZE) {
+        throw new Error(`Frames need ${width}x${height} px, more than ${MAX_SIZE} px; lower the atlas scale`);
+    }
+    return { width, height, placements };
+}
+
+/**
+ * Copies a frame into the atlas pixels.
+ *
+ * @param {RawImage} atlas
+ * @param {RawImage} image
+ * @param {number} x
+ * @param {number} y
+ * @returns {void}
+ */
+function blit(atlas, image, x, y) {
+    for (let row = 0; row < image.height; row++) {
+        const start = row * image.width * 4;
+        atlas.data.set(image.data.subarray(start, start + image.width * 4), ((y + row) * atlas.width + x) * 4);
+    }
+}
+
+/**
+ * Encodes RGBA pixels as PNG, choosing the filter with the smallest
+ * sum of absolute differences per scanline.
+ *
+ * @param {RawImage} image
+ * @returns {Buffer}
+ */
+function encodePng({ width, height, data }) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    let previous = new Uint8Array(stride);
+    for (let y = 0; y < height; y++) {
+        const line = data.subarray(y * stride, (y + 1) * stride);
+        const best = [0, 1, 2, 3, 4]
+            .map((filter) => ({ filter, bytes: filterLine(filter, line, previous) }))
+            .reduce((a, b) => (cost(b.bytes) < cost(a.bytes) ? b : a));
+        raw[y * (stride + 1)] = best.filter;
+        raw.set(best.bytes, y * (stride + 1) + 1);
+        previous = line;
+    }
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Applies a PNG filter to one RGBA scanline.
+ *
+ * @param {number} filter - Filter type 0–4.
+ * @param {Uint8Array} line
+ * @param {Uint8Array} previous
+ * @returns {Uint8Array}
+ */
+function filterLine(filter, line, previous) {
+    const out = new Uint8Array(line.length);
+    for (let i = 0; i < line.length; i++) {
+        const left = i >= 4 ? line[i - 4] : 0;
+        const up = previous[i];
+        const upLeft = i >= 4 ? previous[i - 4] : 0;
+        const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+        out[i] = (line[i] - predictors[filter]) & 0xff;
+    }
+    return out;
+}
+
+/**
+ * Estimates how well a filtered scanline compresses (lower is better).
+ *
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function cost(bytes) {
+    return bytes.reduce((sum, byte) => sum + (byte < 128 ? byte : 256 - byte), 0);
+}
+
+/**
+ * Builds a PNG chunk with its CRC.
+ *
+ * @param {string} type
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+function chunk(type, body) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const typeAndBody = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndBody));
+    return Buffer.concat([length, typeAndBody, crc]);
+}
+
+/**
+ * CRC-32 lookup table.
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 of a buffer.
+ *
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Groups frame names by their folder into named animations.
+ *
+ * @param {string} name - Atlas name used as prefix.
+ * @param {string} folder - Image folder of the atlas.
+ * @param {string[]} paths - Frame paths in play order.
+ * @returns {Object.<string, string[]>}
+ */
+function groupAnimations(name, folder, paths) {
+    const animations = {};
+    paths.forEach((framePath) => {
+        const subfolder = path.posix.dirname(path.posix.relative(folder, framePath));
+        const animation = subfolder === '.' ? name : `${name}/${subfolder}`;
+        (animations[animation] = animations[animation] || []).push(framePath);
+    });
+    return animations;
+}
+
+/**
+ * Packs one atlas and writes its image and frame map.
+ *
+ * @param {{name: string, folder: string, scale: number}} config
+ * @param {string[]} sprites - All sprite paths of the manifest.
+ * @param {string} outDir
+ * @returns {{file: string, frames: number, width: number, height: number}}
+ */
+function buildAtlas({ name, folder, scale }, sprites, outDir) {
+    const paths = sprites.filter((sprite) => sprite.startsWith(`${folder}/`));
+    const frames = paths.map((framePath) => ({
+        name: framePath,
+        image: scaleImage(readPng(path.join(ROOT, framePath)), scale)
+    }));
+    const { width, height, placements } = packFrames(frames);
+    const atlas = { width, height, data: new Uint8Array(width * height * 4) };
+    frames.forEach(({ name: frameName, image }) => blit(atlas, image, placements[frameName].x, placements[frameName].y));
+    fs.writeFileSync(path.join(outDir, `${name}.png`), encodePng(atlas));
+    const map = {
+        image: `${name}.png`,
+        size: { w: width, h: height },
+        scale,
+        frames: placements,
+        animations: groupAnimations(name, folder, paths)
+    };
+    fs.writeFileSync(path.join(outDir, `${name}.json`), `${JSON.stringify(map, null, 2)}\n`);
+    return { file: `${name}.json`, frames: frames.length, width, height };
+}
+
+/**
+ * Builds all atlases and the index.
+ *
+ * @param {string} outDir
+ * @returns {void}
+ */
+function main(outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const sprites = readSprites();
+    const built = ATLASES.map((config) => {
+        const result = buildAtlas(config, sprites, outDir);
+        console.log(`${result.file}: ${result.frames} frames, ${result.width}x${result.height}`);
+        return result;
+    });
+    fs.writeFileSync(path.join(outDir, 'atlases.json'), `${JSON.stringify({ atlases: built.map((result) => result.file) }, null, 2)}\n`);
+    const packed = built.reduce((sum, result) => sum + result.frames, 0);
+    console.log(`Packed ${packed} sprites into ${built.length} atlases in ${path.relative(ROOT, outDir) || '.'}`);
+    console.log(`Set AssetManifest.ATLAS_INDEX to '${path.relative(ROOT, path.join(outDir, 'atlases.json')).split(path.sep).join('/')}' to use them.`);
+}
+
+if (require.main === module) {
+    main(path.resolve(ROOT, process.argv[2] || 'img/atlas'));
+}
+
+module.exports = { readPng, encodePng, scaleImage, packFrames, groupAnimations };
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Creates a drawable owner with three single-frame image lists.
+ *
+ * @param {function(string): *} game
+ * @returns {DrawableObject}
+ */
+function createOwner(game) {
+    const owner = new (game('DrawableObject'))();
+    owner.IMAGES_RUN = ['run-1.png', 'run-2.png', 'run-3.png'];
+    owner.IMAGES_LAND = ['land-1.png', 'land-2.png'];
+    owner.IMAGES_DIE = ['die-1.png', 'die-2.png'];
+    return owner;
+}
+
+test('clips advance at their own frame rate and one-shot clips fire complete and continue', () => {
+    const game = loadGame();
+    const owner = createOwner(game);
+    const animation = new (game('AnimationController'))(owner, {
+        fps: 10,
+        clips: {
+            run: { frames: 'IMAGES_RUN' },
+            land: { frames: 'IMAGES_LAND', fps: 20, mode: 'once', next: 'run' }
+        }
+    });
+    const completed = [];
+    animation.on('complete', (clip) => completed.push(clip));
+
+    animation.play('run');
+    animation.update(250);
+    assert.equal(owner.img.src, 'run-3.png');
+    animation.update(100);
+    assert.equal(owner.img.src, 'run-1.png');
+
+    animation.play('land');
+    animation.update(50);
+    assert.equal(owner.img.src, 'land-2.png');
+    animation.update(50);
+    assert.deepEqual(completed, ['land']);
+    assert.equal(animation.current, 'run');
+    assert.equal(owner.img.src, 'run-1.png');
+});
+
+test('transitions pick the highest priority and only a higher one interrupts a one-shot clip', () => {
+    const game = loadGame();
+    const owner = createOwner(game);
+    const state = { landing: false, dead: false };
+    const animation = new (game('AnimationController'))(owner, {
+        clips: {
+            run: { frames: 'IMAGES_RUN' },
+            land: { frames: 'IMAGES_LAND', mode: 'once', priority: 1 },
+            die: { frames: 'IMAGES_DIE', mode: 'once', priority: 2 }
+        },
+        transitions: [
+            { to: 'run' },
+            { to: 'land', from: 'run', when: () => state.landing },
+            { to: 'die', when: () => state.dead }
+        ]
+    });
+
+    animation.update(0);
+    assert.equal(animation.current, 'run');
+    state.landing = true;
+    animation.update(0);
+    assert.equal(animation.current, 'land');
+    state.landing = false;
+    animation.update(50);
+    assert.equal(animation.current, 'land');
+    state.dead = true;
+    animation.update(0);
+    assert.equal(animation.current, 'die');
+    animation.update(1000);
+    assert.equal(animation.finished, true);
+    assert.equal(owner.img.src, 'die-2.png');
+
+    assert.throws(() => animation.play('fly'), { name: 'RangeError' });
+});
+
+test('the character falls asleep after standing still and wakes up when walking', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    world.level.enemies = [];
+    const sleepAfterTicks = Math.ceil(game('Character').SLEEP_AFTER_MS / (1000 / 60)) + 2;
+
+    world.tick(sleepAfterTicks);
+    assert.equal(world.character.animation.current, 'sleep');
+    assert.equal(world.character.isSleeping, true);
+    assert.ok(world.sound.count('playSnore') > 0);
+
+    keyboard.RIGHT = true;
+    world.tick(2);
+    assert.equal(world.character.animation.current, 'walk');
+    assert.equal(world.character.isSleeping, false);
+    assert.equal(world.character.standingTime, 0);
+});
+
+test('the boss death animation plays once and holds its last frame', () => {
+    const { game, world } = createHeadlessWorld();
+    const endboss = new (game('Endboss'))(world.character.x + 2000);
+    world.level.enemies = [endboss];
+    world.setWorld();
+
+    endboss.energyEndBoss = 0;
+    world.tick(60);
+
+    assert.equal(endboss.animation.current, 'dead');
+    assert.equal(endboss.animation.finished, true);
+    assert.equal(endboss.img, endboss.imageCache[endboss.IMAGES_DEAD[endboss.IMAGES_DEAD.length - 1]]);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/headless-game');
+
+test('the manifest lists every image the entities load and all level and audio files', () => {
+    const game = loadGame();
+    const requested = new Set();
+    game('globalThis').Image = class {
+        set src(path) {
+            requested.add(path);
+        }
+    };
+    ['Character', 'Chicken', 'SmallChicken', 'Endboss', 'Bottle', 'Coin', 'Cloud',
+        'StatusBar', 'StatusBarBoss', 'StatusBarBottle', 'StatusBarCoin']
+        .forEach((name) => new (game(name))());
+    new (game('ThrowableObject'))(100, 100);
+
+    const campaign = game('CAMPAIGN');
+    const assets = game('AssetManifest').build(campaign);
+    const listed = (type) => new Set(assets.filter((asset) => asset.type === type).map((asset) => asset.src));
+
+    requested.forEach((path) => assert.ok(listed('image').has(path), `${path} is missing from the manifest`));
+    campaign.levels.forEach((data) => {
+        data.background.flatMap((segment) => segment.layers)
+            .forEach((path) => assert.ok(listed('image').has(path), `${path} is missing from the manifest`));
+        assert.ok(listed('music').has(data.music));
+    });
+    Object.values(game('SoundManager').SOUNDS)
+        .forEach(({ src }) => assert.ok(listed('sound').has(src), `${src} is missing from the manifest`));
+});
+
+test('progress counts loaded and failed assets and failures are reported', async () => {
+    const game = loadGame();
+    const assets = [
+        { type: 'image', src: 'a.png' },
+        { type: 'image', src: 'missing.png' },
+        { type: 'sound', src: 'b.mp3' },
+        { type: 'music', src: 'c.mp3' }
+    ];
+    const loaders = {
+        image: (src) => (src === 'missing.png' ? Promise.reject(new Error('404')) : Promise.resolve()),
+        sound: () => Promise.resolve()
+    };
+    const preloader = new (game('AssetPreloader'))(assets, loaders, 1000);
+    const progress = [];
+    preloader.onProgress = (value) => progress.push(value);
+
+    const { failed } = await preloader.load();
+
+    assert.deepEqual([...progress], [0.25, 0.5, 0.75, 1]);
+    assert.deepEqual([...failed.map((asset) => asset.src)].sort(), ['c.mp3', 'missing.png']);
+    assert.equal(failed.find((asset) => asset.src === 'missing.png').reason, '404');
+});
+
+test('an asset that never finishes counts as failed after the time limit', async () => {
+    const game = loadGame();
+    const assets = [{ type: 'image', src: 'slow.png' }, { type: 'image', src: 'fast.png' }];
+    const loaders = { image: (src) => (src === 'slow.png' ? new Promise(() => {}) : Promise.resolve()) };
+    const preloader = new (game('AssetPreloader'))(assets, loaders, 20);
+
+    const { failed } = await preloader.load();
+
+    assert.equal(preloader.progress, 1);
+    assert.equal(failed.length, 1);
+    assert.equal(failed[0].src, 'slow.png');
+    assert.match(failed[0].reason, /Timed out/);
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/headless-game');
+
+/**
+ * Creates a fake AudioContext class recording started and stopped sources.
+ *
+ * @returns {{FakeAudioContext: Function, sources: Object[]}}
+ */
+function createFakeAudioContext() {
+    const sources = [];
+    const createNode = () => ({ gain: { value: 1 }, connect(target) { this.target = target; } });
+    class FakeAudioContext {
+        state = 'running';
+        destination = {};
+        createGain() {
+            return createNode();
+        }
+        createBufferSource() {
+            const source = {
+                ...createNode(),
+                playing: false,
+                start() { this.playing = true; },
+                stop() { this.playing = false; }
+            };
+            sources.push(source);
+            return source;
+        }
+        decodeAudioData() {
+            return Promise.resolve({ duration: 1 });
+        }
+        suspend() {
+            this.state = 'suspended';
+            return Promise.resolve();
+        }
+        resume() {
+            this.state = 'running';
+            return Promise.resolve();
+        }
+    }
+    return { FakeAudioContext, sources };
+}
+
+/**
+ * Creates an engine on a fake AudioContext with a fake fetch.
+ *
+ * @returns {{game: function(string): *, engine: AudioEngine, sources: Object[]}}
+ */
+function createEngine() {
+    const game = loadGame();
+    game('globalThis').fetch = () => Promise.resolve({ ok: true, arrayBuffer: () => Promise.resolve({}) });
+    const { FakeAudioContext, sources } = createFakeAudioContext();
+    const engine = new (game('AudioEngine'))(FakeAudioContext);
+    return { game, engine, sources };
+}
+
+test('overlapping plays of one sound run as separate voices', async () => {
+    const { engine, sources } = createEngine();
+    await engine.load('audio/coin.wav');
+
+    engine.play('audio/coin.wav');
+    engine.play('audio/coin.wav');
+
+    assert.equal(engine.voices.length, 2);
+    assert.deepEqual(sources.map((source) => source.playing), [true, true]);
+});
+
+test('the voice limit stops the oldest voice of a sound', async () => {
+    const { engine, sources } = createEngine();
+    await engine.load('audio/coin.wav');
+
+    for (let i = 0; i <= engine.maxVoicesPerSound; i++) engine.play('audio/coin.wav');
+
+    assert.equal(engine.voices.length, engine.maxVoicesPerSound);
+    assert.equal(sources[0].playing, false);
+    assert.equal(sources[sources.length - 1].playing, true);
+});
+
+test('voices play through their bus and buses have their own gain', async () => {
+    const { engine, sources } = createEngine();
+    await engine.load('audio/gamewin.mp3');
+
+    engine.play('audio/gamewin.mp3', { bus: 'ui', volume: 0.5 });
+    engine.setBusVolume('ui', 0.25);
+
+    const voiceGain = sources[0].target;
+    assert.equal(voiceGain.gain.value, 0.5);
+    assert.equal(voiceGain.target, engine.buses.ui);
+    assert.equal(engine.buses.ui.gain.value, 0.25);
+    assert.equal(engine.buses.sfx.gain.value, 1);
+    assert.throws(() => engine.setBusVolume('voice', 1), { name: 'RangeError' });
+});
+
+test('muting silences the master and attached music elements', () => {
+    const { engine } = createEngine();
+    const music = { volume: 1 };
+    engine.attachElement(music, 'music', 0.2);
+    engine.setBusVolume('music', 0.5);
+    assert.equal(music.volume, 0.1);
+
+    engine.setMuted(true);
+
+    assert.equal(engine.master.gain.value, 0);
+    assert.equal(music.volume, 0);
+});
+
+test('a sound requested while it is still decoding plays through HTML audio', async () => {
+    const { game, engine, sources } = createEngine();
+    const elements = [];
+    game('globalThis').Audio = class {
+        constructor(src) {
+            this.src = src;
+            elements.push(this);
+        }
+        addEventListener() {}
+        pause() {}
+        play() {
+            return Promise.resolve();
+        }
+    };
+
+    const loading = engine.play('audio/coin.wav');
+    assert.equal(loading.element, elements[0]);
+    assert.equal(engine.voices.length, 1);
+
+    await engine.load('audio/coin.wav');
+    const decoded = engine.play('audio/coin.wav');
+    assert.equal(decoded.element, null);
+    assert.equal(sources.length, 1);
+    assert.equal(elements.length, 1);
+});
+
+test('a loop evicted by the voice limit is started again', async () => {
+    const { game, engine, sources } = createEngine();
+    game('globalThis').isMuted = false;
+    const SoundManager = game('SoundManager');
+    const sound = new SoundManager(engine, {});
+    await Promise.all(Object.values(SoundManager.SOUNDS).map(({ src }) => engine.load(src)));
+
+    sound.startVoice('walking');
+    sound.startVoice('walking');
+    assert.equal(sources.length, 1);
+
+    engine.maxVoices = 1;
+    sound.playEffect('coin');
+    assert.equal(sound.activeVoices.walking.playing, false);
+    sound.startVoice('walking');
+    assert.equal(sound.activeVoices.walking.playing, true);
+    assert.equal(sources.length, 3);
+});
+
+test('without any audio support playing does nothing', async () => {
+    const game = loadGame();
+    const engine = new (game('AudioEngine'))(null);
+    await engine.load('audio/jump.mp3');
+
+    assert.equal(engine.available, false);
+    assert.equal(engine.play('audio/jump.mp3'), null);
+    assert.doesNotThrow(() => {
+        engine.suspend();
+        engine.resume();
+        engine.stopAll();
+    });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/headless-game');
+
+test('settings apply volumes and mute flags to the engine buses', () => {
+    const game = loadGame();
+    const engine = new (game('AudioEngine'))(null);
+    const music = { volume: 1 };
+    engine.attachElement(music, 'music', 0.2);
+    const settings = new (game('AudioSettings'))();
+
+    settings.setVolume('master', 0.5);
+    settings.setVolume('music', 0.5);
+    settings.applyTo(engine);
+    assert.equal(music.volume, 0.05);
+
+    settings.setMuted('music', true);
+    settings.applyTo(engine);
+    assert.equal(music.volume, 0);
+    assert.equal(engine.isBusMuted('music'), true);
+    assert.equal(engine.isBusMuted('sfx'), false);
+});
+
+test('muting the music does not mute sound effects', () => {
+    const game = loadGame();
+    game('globalThis').isMuted = false;
+    const engine = new (game('AudioEngine'))(null);
+    const played = [];
+    engine.play = (src) => {
+        played.push(src);
+        return { stop() {} };
+    };
+    game('globalThis').Audio = class {
+        paused = true;
+        pause() {}
+        play() {}
+    };
+    const sound = new (game('SoundManager'))(engine);
+
+    sound.setMusicMuted(true);
+    sound.playCoinSound();
+    sound.setEffectsMuted(true);
+    sound.playJump();
+
+    assert.deepEqual(played, ['audio/coin.wav']);
+});
+
+test('stored settings survive a JSON round trip and ignore malformed entries', () => {
+    const game = loadGame();
+    const AudioSettings = game('AudioSettings');
+    const settings = new AudioSettings();
+    settings.setVolume('sfx', 0.3);
+    settings.setMuted('music', true);
+
+    const restored = AudioSettings.fromJSON(JSON.parse(JSON.stringify(settings)));
+    assert.equal(restored.volumes.sfx, 0.3);
+    assert.equal(restored.muted.music, true);
+
+    const fallback = AudioSettings.fromJSON({ volumes: { master: 'loud', music: 7 }, muted: { sfx: 'yes' } });
+    assert.equal(fallback.volumes.master, 1);
+    assert.equal(fallback.volumes.music, 1);
+    assert.equal(fallback.muted.sfx, false);
+    assert.throws(() => settings.setVolume('voice', 1), { name: 'RangeError' });
+});
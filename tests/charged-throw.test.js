@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Holds THROW for a number of ticks (aiming with the given flags), releases it
+ * and returns the thrown bottle.
+ *
+ * @param {World} world
+ * @param {Keyboard} keyboard
+ * @param {number} ticks - Ticks THROW is held, including the press.
+ * @param {{UP?: boolean, DOWN?: boolean}} [aim]
+ * @returns {ThrowableObject}
+ */
+function chargeAndThrow(world, keyboard, ticks, aim = {}) {
+    world.bottlesAmmo = 1;
+    keyboard.THROW = true;
+    keyboard.UP = aim.UP === true;
+    keyboard.DOWN = aim.DOWN === true;
+    world.tick(ticks);
+    keyboard.THROW = false;
+    keyboard.UP = false;
+    keyboard.DOWN = false;
+    world.tick();
+    return world.throwableObjects[world.throwableObjects.length - 1];
+}
+
+/**
+ * Lets a bottle fly until it shatters or leaves the screen and returns
+ * how far it got.
+ *
+ * @param {World} world
+ * @param {ThrowableObject} bottle
+ * @returns {number}
+ */
+function landingX(world, bottle) {
+    for (let step = 0; step < 300 && !bottle.shattered && world.throwableObjects.includes(bottle); step++) {
+        world.tick();
+    }
+    return bottle.x + bottle.width / 2;
+}
+
+test('a tap throws the classic arc and holding charges a faster, farther throw', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    world.level.enemies = [];
+    const ThrowAim = game('ThrowAim');
+
+    const tapped = chargeAndThrow(world, keyboard, 1);
+    assert.equal(world.throwableObjects.length, 1);
+    assert.ok(Math.abs(tapped.speedY - 30) < 0.1);
+    assert.ok(Math.abs(tapped.speedX - 16) < 0.1);
+    const tapDistance = landingX(world, tapped) - world.character.x;
+
+    world.tick(30);
+    const fullTicks = Math.ceil(ThrowAim.FULL_CHARGE_MS / (1000 / 60)) + 10;
+    world.bottlesAmmo = 1;
+    keyboard.THROW = true;
+    world.tick();
+    assert.equal(world.throwAim.charging, true);
+    assert.equal(world.throwableObjects.length, 0);
+    const charged = chargeAndThrow(world, keyboard, fullTicks);
+    assert.equal(world.throwAim.charging, false);
+    assert.ok(Math.abs(Math.hypot(charged.speedX, charged.speedY) - ThrowAim.MAX_SPEED) < 1e-9);
+    assert.ok(landingX(world, charged) - world.character.x > tapDistance * 1.2);
+});
+
+test('THROW held through the cooldown starts charging when the cooldown ends', () => {
+    const { world, keyboard } = createHeadlessWorld();
+    world.level.enemies = [];
+    const cooldownTicks = Math.ceil(world.throwCooldownMs / world.loop.stepMs);
+
+    chargeAndThrow(world, keyboard, 1);
+    world.bottlesAmmo = 2;
+    keyboard.THROW = true;
+    world.tick(2);
+    keyboard.THROW = false;
+    world.tick();
+    assert.equal(world.throwableObjects.length, 1, 'a tap during the cooldown is not queued');
+
+    keyboard.THROW = true;
+    world.tick();
+    assert.equal(world.throwAim.charging, false);
+    world.tick(cooldownTicks);
+    assert.equal(world.throwAim.charging, true);
+    keyboard.THROW = false;
+    world.tick();
+    assert.equal(world.throwableObjects.length, 2);
+    assert.equal(world.bottlesAmmo, 1);
+});
+
+test('UP and DOWN turn the launch angle while charging, within its limits', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    world.level.enemies = [];
+    const ThrowAim = game('ThrowAim');
+
+    const steep = chargeAndThrow(world, keyboard, 15, { UP: true });
+    const steepAngle = world.throwAim.angle;
+    assert.ok(steepAngle > ThrowAim.DEFAULT_ANGLE);
+    assert.ok(Math.abs(Math.atan2(steep.speedY, steep.speedX) * 180 / Math.PI - steepAngle) < 1e-9);
+
+    world.tick(30);
+    keyboard.UP = true;
+    world.tick(30);
+    assert.equal(world.throwAim.angle, steepAngle, 'aiming only works while charging');
+
+    world.tick(30);
+    chargeAndThrow(world, keyboard, 200, { DOWN: true });
+    assert.equal(world.throwAim.angle, ThrowAim.MIN_ANGLE);
+
+    world.resetCameraAndProjectiles();
+    assert.equal(world.throwAim.angle, ThrowAim.DEFAULT_ANGLE);
+});
+
+test('the trajectory preview lies on the flight of the thrown bottle', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    world.level.enemies = [];
+    const ThrowableObject = game('ThrowableObject');
+    const style = game('World').AIM_STYLE;
+
+    world.bottlesAmmo = 1;
+    keyboard.THROW = true;
+    world.tick(70);
+    const origin = world.getThrowOrigin();
+    const preview = ThrowableObject.predictPath(origin.x, origin.y, world.throwAim.speed, world.throwAim.angle,
+        origin.facingLeft, world.loop.stepMs, style.dots, style.dotEvery);
+    const full = ThrowableObject.predictPath(origin.x, origin.y, world.throwAim.speed, world.throwAim.angle,
+        origin.facingLeft, world.loop.stepMs, 500);
+    const dots = [];
+    const arc = world.ctx.arc;
+    world.ctx.arc = (x, y) => dots.push([x, y]);
+    world.draw();
+    world.ctx.arc = arc;
+    keyboard.THROW = false;
+    world.tick();
+
+    const bottle = world.throwableObjects[0];
+    const flight = [];
+    for (let step = 0; step < 500; step++) {
+        world.tick();
+        if (bottle.shattered || !world.throwableObjects.includes(bottle)) break;
+        flight.push([bottle.x + bottle.width / 2, bottle.y + bottle.height / 2]);
+    }
+    assert.equal(preview.length, style.dots);
+    assert.deepEqual(dots, [...preview].map(({ x, y }) => [x, y]));
+    assert.deepEqual([...preview].map(({ x, y }) => [x, y]),
+        flight.filter((point, i) => (i + 1) % style.dotEvery === 0).slice(0, style.dots));
+    assert.ok(flight.length > 30);
+    assert.deepEqual([...full].slice(0, flight.length).map(({ x, y }) => [x, y]), flight);
+});
+
+test('the aim flags are recorded and the charge meter is drawn while charging', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    const InputRecording = game('InputRecording');
+
+    keyboard.UP = true;
+    keyboard.DOWN = true;
+    const mask = InputRecording.encode(keyboard);
+    const decoded = new (game('Keyboard'))();
+    InputRecording.decode(mask, decoded);
+    assert.equal(decoded.UP, true);
+    assert.equal(decoded.DOWN, true);
+    assert.equal(decoded.THROW, false);
+
+    keyboard.UP = false;
+    keyboard.DOWN = false;
+    world.bottlesAmmo = 1;
+    keyboard.THROW = true;
+    const fills = [];
+    const fillRect = world.ctx.fillRect;
+    world.ctx.fillRect = (...args) => fills.push(args);
+    world.tick(30);
+    world.ctx.fillRect = fillRect;
+    const [background, meter] = fills.slice(-2);
+    assert.ok(meter[2] > 0 && meter[2] < background[2]);
+    assert.ok(meter[1] < world.character.getHitbox().top);
+});
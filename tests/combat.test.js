@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Replaces the level's enemies with the given ones.
+ *
+ * @param {World} world
+ * @param {MoveableObject[]} enemies
+ * @returns {void}
+ */
+function setEnemies(world, enemies) {
+    world.level.enemies = enemies;
+    world.setWorld();
+}
+
+test('stomping a Chicken while speedY < 0 kills it', () => {
+    const { game, world } = createHeadlessWorld();
+    const Chicken = game('Chicken');
+    const chicken = new Chicken(world.character.x + 20);
+    setEnemies(world, [chicken]);
+    world.character.y = 140;
+    world.character.speedY = -5;
+
+    world.tick();
+
+    assert.equal(chicken.chickenIsDead, true);
+    assert.equal(world.character.energy, 100);
+    assert.equal(world.character.speedY, 10);
+    assert.equal(world.sound.count('playChickenDead'), 1);
+
+    world.tick(30);
+    assert.ok(!world.level.enemies.includes(chicken));
+});
+
+test('walking into a Chicken hurts the character', () => {
+    const { game, world } = createHeadlessWorld();
+    const Chicken = game('Chicken');
+    const chicken = new Chicken(world.character.x + 20);
+    setEnemies(world, [chicken]);
+
+    world.tick();
+
+    assert.equal(chicken.chickenIsDead, undefined);
+    assert.equal(world.character.energy, 80);
+    assert.equal(world.statusBar.percentage, 80);
+});
+
+test('five bottle hits on the Endboss deplete statusBarBoss to 50%', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    const Endboss = game('Endboss');
+    const endboss = new Endboss(world.character.x + 400);
+    setEnemies(world, [endboss]);
+    world.bottlesAmmo = 5;
+
+    for (let i = 0; i < 5; i++) {
+        keyboard.THROW = true;
+        world.tick();
+        keyboard.THROW = false;
+        world.tick();
+        for (let step = 0; step < 120 && world.throwableObjects.length > 0; step++) {
+            world.tick();
+        }
+        world.character.energy = 100;
+    }
+
+    assert.equal(endboss.energyEndBoss, 50);
+    assert.equal(world.statusBarBoss.percentage, 50);
+    assert.equal(world.bottlesAmmo, 0);
+});
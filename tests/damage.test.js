@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Throws bottles until one has shattered or the step limit is reached.
+ *
+ * @param {World} world
+ * @param {Keyboard} keyboard
+ * @returns {ThrowableObject}
+ */
+function throwUntilShattered(world, keyboard) {
+    world.bottlesAmmo = 1;
+    keyboard.THROW = true;
+    world.tick();
+    keyboard.THROW = false;
+    world.tick();
+    const bottle = world.throwableObjects[0];
+    for (let step = 0; step < 120 && !bottle.shattered; step++) world.tick();
+    return bottle;
+}
+
+test('a bottle kills a chicken, plays its death sound and awards its score', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    const SmallChicken = game('SmallChicken');
+    const chicken = new SmallChicken(world.character.x + 480, 0);
+    world.level.enemies = [chicken];
+    world.setWorld();
+
+    const bottle = throwUntilShattered(world, keyboard);
+
+    assert.equal(bottle.shattered, true);
+    assert.equal(chicken.chickenIsDead, true);
+    assert.equal(chicken.health, 0);
+    assert.equal(world.sound.count('playSmallChickenDead'), 1);
+    assert.equal(world.character.score, SmallChicken.COMBAT.score);
+    assert.equal(world.getDebugInfo().Score, SmallChicken.COMBAT.score);
+});
+
+test('a chicken killed by a bottle stays where it fell and is removed from the level', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    const chicken = new (game('Chicken'))(world.character.x + 480, 0);
+    world.level.enemies = [chicken];
+    world.setWorld();
+
+    throwUntilShattered(world, keyboard);
+    assert.equal(chicken.chickenIsDead, true);
+    chicken.speed = 0.5;
+    const x = chicken.x;
+    world.tick(10);
+    assert.equal(chicken.x, x);
+    assert.ok(world.level.enemies.includes(chicken));
+
+    world.tick(20);
+    assert.ok(!world.level.enemies.includes(chicken));
+});
+
+test('a projectile is consumed by its first hit', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    const Chicken = game('Chicken');
+    const first = new Chicken(world.character.x + 480, 0);
+    const second = new Chicken(world.character.x + 480, 0);
+    world.level.enemies = [first, second];
+    world.setWorld();
+
+    throwUntilShattered(world, keyboard);
+    world.tick(30);
+
+    assert.equal(first.chickenIsDead, true);
+    assert.equal(second.chickenIsDead, undefined);
+    assert.equal(world.sound.count('playChickenDead'), 1);
+    assert.equal(world.character.score, Chicken.COMBAT.score);
+});
+
+test('stomp kills score too, and hit reactions follow the combat rules', () => {
+    const { game, world } = createHeadlessWorld();
+    const Chicken = game('Chicken');
+    const chicken = new Chicken(world.character.x + 20);
+    world.level.enemies = [chicken];
+    world.setWorld();
+    world.character.y = 140;
+    world.character.speedY = -5;
+    world.tick();
+    assert.equal(world.character.score, Chicken.COMBAT.score);
+
+    const endboss = new (game('Endboss'))(5000);
+    assert.equal(endboss.takeDamage(10), false);
+    assert.equal(endboss.energyEndBoss, 90);
+    assert.equal(endboss.isHurtEndBoss(), true);
+    assert.equal(endboss.takeDamage(100), true);
+    assert.equal(endboss.isDeadEndBoss(), true);
+    assert.equal(endboss.takeDamage(10), false);
+    assert.equal(new (game('Cloud'))().takeDamage(10), false);
+});
+
+test('friendly fire lets bottles hit the thrower once they have left his hand', () => {
+    const run = (friendlyFire) => {
+        const { world, keyboard } = createHeadlessWorld({ friendlyFire });
+        world.level.enemies = [];
+        world.bottlesAmmo = 1;
+        keyboard.THROW = true;
+        world.tick();
+        keyboard.THROW = false;
+        world.tick();
+        const bottle = world.throwableObjects[0];
+        world.tick(5);
+        const hitbox = world.character.getHitbox();
+        bottle.x = world.character.x;
+        bottle.y = hitbox.top;
+        world.tick();
+        return { world, bottle };
+    };
+
+    const off = run(false);
+    assert.equal(off.bottle.shattered, false);
+    assert.equal(off.world.character.energy, 100);
+
+    const on = run(true);
+    assert.equal(on.bottle.shattered, true);
+    assert.equal(on.world.character.energy, 80);
+    assert.deepEqual([...on.world.damageRules.player], ['enemy', 'player']);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Creates a fake standard-layout gamepad.
+ *
+ * @param {Object} [state]
+ * @param {number[]} [state.pressed] - Indices of held buttons.
+ * @param {number} [state.stickX] - Left stick X axis.
+ * @param {number} [state.index] - Gamepad slot.
+ * @returns {Object}
+ */
+function fakePad({ pressed = [], stickX = 0, index = 0 } = {}) {
+    const buttons = Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i) }));
+    return { id: `Test Pad ${index}`, index, connected: true, axes: [stickX, 0], buttons };
+}
+
+/**
+ * Creates a gamepad input reading from a mutable list of pads.
+ *
+ * @returns {{input: GamepadInput, keyboard: Keyboard, pads: Object[]}}
+ */
+function createGamepadInput() {
+    const game = loadGame();
+    const keyboard = new (game('Keyboard'))();
+    const pads = [];
+    const input = new (game('GamepadInput'))(keyboard, () => pads);
+    return { input, keyboard, pads };
+}
+
+test('the left stick moves only outside the dead-zone', () => {
+    const { input, keyboard, pads } = createGamepadInput();
+
+    pads[0] = fakePad({ stickX: 0.2 });
+    input.poll();
+    assert.equal(keyboard.RIGHT, false);
+
+    pads[0] = fakePad({ stickX: 0.8 });
+    input.poll();
+    assert.equal(keyboard.RIGHT, true);
+
+    pads[0] = fakePad({ stickX: -0.9 });
+    input.poll();
+    assert.equal(keyboard.RIGHT, false);
+    assert.equal(keyboard.LEFT, true);
+});
+
+test('buttons map to JUMP and THROW', () => {
+    const { input, keyboard, pads } = createGamepadInput();
+
+    pads[0] = fakePad({ pressed: [0, 1, 15] });
+    input.poll();
+    assert.equal(keyboard.JUMP, true);
+    assert.equal(keyboard.THROW, true);
+    assert.equal(keyboard.RIGHT, true);
+
+    pads[0] = fakePad({ pressed: [2] });
+    input.poll();
+    assert.equal(keyboard.JUMP, false);
+    assert.equal(keyboard.THROW, true);
+    assert.equal(keyboard.RIGHT, false);
+});
+
+test('an idle gamepad does not override held keys', () => {
+    const { input, keyboard, pads } = createGamepadInput();
+    pads[0] = fakePad();
+    keyboard.RIGHT = true;
+
+    input.poll();
+    input.poll();
+
+    assert.equal(keyboard.RIGHT, true);
+});
+
+test('Start pauses once per press', () => {
+    const { input, pads } = createGamepadInput();
+    let pauses = 0;
+    input.onPause = () => pauses++;
+
+    pads[0] = fakePad({ pressed: [9] });
+    input.poll();
+    input.poll();
+    pads[0] = fakePad();
+    input.poll();
+
+    assert.equal(pauses, 1);
+});
+
+test('hot-plugging reports connections and releases held flags', () => {
+    const { input, keyboard, pads } = createGamepadInput();
+    const events = [];
+    input.onConnect = (id) => events.push(`+${id}`);
+    input.onDisconnect = (id) => events.push(`-${id}`);
+
+    input.poll();
+    pads[1] = fakePad({ index: 1, pressed: [14] });
+    input.poll();
+    assert.equal(keyboard.LEFT, true);
+
+    pads.length = 0;
+    input.poll();
+
+    assert.deepEqual(events, ['+Test Pad 1', '-Test Pad 1']);
+    assert.equal(keyboard.LEFT, false);
+});
+
+test('the world polls the gamepad every frame', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    const pads = [fakePad({ pressed: [15] })];
+    world.addInputSource(new (game('GamepadInput'))(keyboard, () => pads));
+    const startX = world.character.x;
+
+    world.tick(30);
+
+    assert.ok(world.character.x > startX);
+});
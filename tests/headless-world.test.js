@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeadlessWorld } = require('./helpers/headless-game');
+
+test('a headless world runs without canvas, audio or game loop', () => {
+    const { game, world } = createHeadlessWorld();
+
+    world.tick(600);
+
+    assert.equal(game('GameLoop.activeCount'), 0);
+    assert.equal(Math.round(world.time), 10000);
+    assert.ok(world.sound instanceof game('NullSoundManager'));
+});
+
+test('scripted keyboard input moves the character', () => {
+    const { world, keyboard } = createHeadlessWorld();
+    const startX = world.character.x;
+
+    keyboard.RIGHT = true;
+    world.tick(60);
+
+    assert.ok(world.character.x > startX + 100);
+    assert.equal(world.camera_x, -world.character.x + 100);
+});
+
+test('the same seed spawns the same level', () => {
+    const speeds = (world) => Array.from(world.level.enemies, (enemy) => enemy.speed);
+    const first = createHeadlessWorld({ seed: 'replay' }).world;
+    const second = createHeadlessWorld({ seed: 'replay' }).world;
+    const other = createHeadlessWorld({ seed: 'other' }).world;
+
+    assert.deepEqual(speeds(first), speeds(second));
+    assert.notDeepEqual(speeds(first), speeds(other));
+});
+
+test('destroy drops pending timers and unlinks all entities', () => {
+    const { world } = createHeadlessWorld();
+    const enemies = world.level.enemies;
+    world.schedule(1000, () => assert.fail('timer ran after destroy'));
+
+    world.destroy();
+    world.tick(120);
+
+    assert.equal(world.timers.length, 0);
+    assert.ok(enemies.every((enemy) => enemy.world === null));
+    assert.equal(world.character.world, null);
+});
+
+test('the live timer count returns to 0 once a running world is destroyed', () => {
+    const { game, world } = createHeadlessWorld();
+    game('globalThis.requestAnimationFrame = () => 1; globalThis.cancelAnimationFrame = () => {};');
+    world.run();
+    world.schedule(1000, () => {});
+
+    assert.equal(world.getLiveTimerCount(), 2);
+    world.destroy();
+    assert.equal(world.getLiveTimerCount(), 0);
+    assert.equal(game('GameLoop.activeCount'), 0);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createHeadlessWorld } = require('./helpers/headless-game');
+
+test('hitboxes are offset into the sprite and mirrored with the object', () => {
+    const game = loadGame();
+    const bottle = new (game('Bottle'))(400);
+    assert.deepEqual({ ...bottle.getHitbox() }, { left: 415, right: 465, top: 360, bottom: 430 });
+
+    const character = new (game('Character'))();
+    character.x = 100;
+    const { left, right } = character.getHitbox();
+    character.otherDirection = true;
+    const mirrored = character.getHitbox();
+    assert.equal(mirrored.left, character.x + character.width - (right - character.x));
+    assert.equal(mirrored.right - mirrored.left, right - left);
+
+    const cloud = new (game('Cloud'))();
+    assert.deepEqual({ ...cloud.getHitbox() }, {
+        left: cloud.x, right: cloud.x + cloud.width, top: cloud.y, bottom: cloud.y + cloud.height
+    });
+});
+
+test('the animation clip can override the hitbox', () => {
+    const { game, world } = createHeadlessWorld();
+    const endboss = new (game('Endboss'))(world.character.x + 2000);
+    world.level.enemies = [endboss];
+    world.setWorld();
+    world.tick();
+    const walking = endboss.getHitbox();
+
+    endboss.animation.play('attack');
+    const attacking = endboss.getHitbox();
+
+    const { x, width } = game('Endboss').HITBOX.animations.attack;
+    assert.equal(attacking.left, endboss.x + x);
+    assert.equal(attacking.right, endboss.x + x + width);
+    assert.equal(attacking.top, walking.top);
+    assert.equal(attacking.bottom, walking.bottom);
+});
+
+test('objects only collide when their hitboxes overlap', () => {
+    const game = loadGame();
+    const character = new (game('Character'))();
+    const coin = new (game('Coin'))();
+    const hitbox = character.getHitbox();
+    coin.y = hitbox.top;
+
+    coin.x = hitbox.right - 20 - 1;
+    assert.equal(character.isColliding(coin), true);
+    coin.x = hitbox.right - 20;
+    assert.equal(character.isColliding(coin), false);
+    assert.equal(coin.isColliding(character), false);
+});
+
+test('the debug overlay outlines sprite bounds and hitboxes in their own colours', () => {
+    const { game, world } = createHeadlessWorld();
+    const strokes = [];
+    world.ctx.strokeStyle = null;
+    world.ctx.rect = (...box) => strokes.push({ color: world.ctx.strokeStyle, box });
+
+    world.draw();
+    assert.equal(strokes.length, 0);
+
+    game('DebugOverlay').visible = true;
+    world.draw();
+    const colors = game('DrawableObject').DEBUG_COLORS;
+    const collidables = world.getCollidables().length;
+    assert.equal(strokes.filter((s) => s.color === colors.sprite).length, collidables);
+    assert.equal(strokes.filter((s) => s.color === colors.hitbox).length, collidables);
+    const character = world.character.getHitbox();
+    assert.ok(strokes.some((s) => s.color === colors.hitbox && s.box[0] === character.left && s.box[1] === character.top));
+    assert.notEqual(colors.sprite, colors.hitbox);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/headless-game');
+
+const game = loadGame();
+const InputBindings = game('InputBindings');
+
+test('default bindings match the classic controls', () => {
+    const bindings = new InputBindings();
+
+    assert.equal(bindings.actionForKey('KeyD'), 'RIGHT');
+    assert.equal(bindings.actionForKey('ArrowUp'), 'JUMP');
+    assert.equal(bindings.actionForKey('KeyF'), 'THROW');
+    assert.equal(bindings.actionForKey('ArrowUp', true), 'UP');
+    assert.equal(bindings.actionForKey('ArrowDown', true), 'DOWN');
+    assert.equal(bindings.actionForKey('KeyW', true), 'JUMP');
+    assert.equal(bindings.actionForKey('Escape'), 'PAUSE');
+    assert.equal(bindings.actionForKey('KeyZ'), null);
+});
+
+test('rebinding replaces only the chosen slot', () => {
+    const bindings = new InputBindings();
+
+    bindings.bind('keys', 'THROW', 1, 'KeyG');
+    bindings.bind('keys', 'JUMP', 0, 'KeyJ');
+
+    assert.deepEqual([...bindings.keys.THROW], ['KeyF', 'KeyG']);
+    assert.deepEqual([...bindings.keys.JUMP], ['KeyJ', 'KeyW']);
+    assert.equal(bindings.actionForKey('ArrowUp'), 'UP');
+});
+
+test('conflicting bindings are rejected', () => {
+    const bindings = new InputBindings();
+
+    assert.throws(() => bindings.bind('keys', 'JUMP', 0, 'KeyD'), /D is already used for "Move right"/);
+    assert.throws(() => bindings.bind('buttons', 'JUMP', 1, 9), /Start is already used for "Pause"/);
+    assert.throws(() => bindings.bind('keys', 'UP', 0, 'ArrowDown'), /⬇️ is already used for "Aim down/);
+    assert.throws(() => bindings.bind('keys', 'UP', 0, 'KeyF'), /F is already used for "Throw bottle"/);
+    assert.throws(() => bindings.bind('buttons', 'UP', 0, 0), /A is already used for "Jump"/);
+    assert.deepEqual([...bindings.keys.JUMP], ['ArrowUp', 'KeyW']);
+
+    bindings.bind('keys', 'DOWN', 1, 'KeyS');
+    bindings.bind('keys', 'LEFT', 1, 'KeyS');
+    assert.equal(bindings.actionForKey('KeyS'), 'LEFT');
+    assert.equal(bindings.actionForKey('KeyS', true), 'DOWN');
+});
+
+test('reset restores the defaults', () => {
+    const bindings = new InputBindings();
+    bindings.bind('buttons', 'JUMP', 0, 3);
+
+    bindings.reset();
+
+    assert.deepEqual([...bindings.buttons.JUMP], [0]);
+});
+
+test('stored bindings round-trip and malformed entries fall back to defaults', () => {
+    const bindings = new InputBindings();
+    bindings.bind('keys', 'LEFT', 1, 'KeyQ');
+    const stored = JSON.parse(JSON.stringify(bindings));
+    stored.keys.RIGHT = 'KeyE';
+    stored.buttons.THROW = ['X'];
+
+    const restored = InputBindings.fromJSON(stored);
+
+    assert.deepEqual([...restored.keys.LEFT], ['ArrowLeft', 'KeyQ']);
+    assert.deepEqual([...restored.keys.RIGHT], ['ArrowRight', 'KeyD']);
+    assert.deepEqual([...restored.buttons.THROW], [2, 1]);
+});
+
+test('stored bindings that clash with a default binding are dropped', () => {
+    const restored = InputBindings.fromJSON({
+        keys: { JUMP: ['ArrowUp', 'KeyF'], LEFT: ['KeyJ', 'KeyK'], RIGHT: ['KeyK'] },
+        buttons: { JUMP: [12] }
+    });
+
+    assert.deepEqual([...restored.keys.JUMP], ['ArrowUp']);
+    assert.deepEqual([...restored.keys.THROW], ['KeyF']);
+    assert.deepEqual([...restored.keys.LEFT], ['KeyJ', 'KeyK'], 'clashes between stored bindings are kept');
+    assert.deepEqual([...restored.buttons.JUMP], [0], 'an action left without bindings gets its defaults');
+    assert.deepEqual([...restored.buttons.UP], [12]);
+    assert.equal(restored.actionForKey('ArrowUp', true), 'UP');
+});
+
+test('the gamepad follows rebound buttons and can capture a button', () => {
+    const keyboard = new (game('Keyboard'))();
+    const bindings = new InputBindings();
+    const buttons = Array.from({ length: 17 }, () => ({ pressed: false }));
+    const pads = [{ id: 'Test Pad', index: 0, axes: [0, 0], buttons }];
+    const gamepad = new (game('GamepadInput'))(keyboard, () => pads, bindings);
+    let captured = null;
+
+    gamepad.captureNextButton((index) => { captured = index; });
+    buttons[3].pressed = true;
+    gamepad.poll();
+    bindings.bind('buttons', 'JUMP', 0, captured);
+    buttons[3].pressed = false;
+    gamepad.poll();
+    buttons[3].pressed = true;
+    gamepad.poll();
+
+    assert.equal(captured, 3);
+    assert.equal(keyboard.JUMP, true);
+});
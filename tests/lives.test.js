@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeadlessWorld } = require('./helpers/headless-game');
+
+const RESPAWN_TICKS = Math.ceil(1500 / (1000 / 60)) + 1;
+
+test('checkpoints come from the level data and activate when the character walks past', () => {
+    const { game, world } = createHeadlessWorld();
+    world.level.enemies = [];
+    const World = game('World');
+    const data = {
+        name: 'Checkpoints',
+        level_end_x: 1000,
+        background: [{ x: 0, layers: ['img/5_background/layers/air.png'] }],
+        entities: [{ type: 'checkpoint', x: 400 }, { type: 'checkpoint', x: 700 }],
+        bosses: [{ type: 'endboss', x: 900 }]
+    };
+
+    const level = game('LevelLoader').load(data);
+    assert.deepEqual([...level.checkpoints].map((checkpoint) => checkpoint.x), [400, 700]);
+    assert.ok(world.levels.getData(1).entities.some((entity) => entity.type === 'checkpoint'));
+
+    const [first] = world.level.checkpoints;
+    assert.equal(world.respawnX, World.START_X);
+    world.tick();
+    assert.equal(first.activated, false);
+    world.character.x = first.x + 10;
+    world.tick(2);
+    assert.equal(first.activated, true);
+    assert.equal(world.respawnX, first.x);
+    assert.equal(world.sound.count('playCheckpoint'), 1);
+});
+
+test('losing a life respawns the character at the last checkpoint with the level left as it was', () => {
+    const { world, keyboard } = createHeadlessWorld();
+    const chicken = world.level.enemies.find((enemy) => enemy.constructor.name === 'Chicken');
+    world.level.enemies = [chicken];
+    chicken.x = 2000;
+    world.respawnX = 800;
+    world.character.coinsCollected = 2;
+    world.character.score = 150;
+    world.bottlesAmmo = 3;
+    const coins = world.level.coins.length;
+
+    world.character.x = 300;
+    world.character.energy = 0;
+    world.tick();
+    assert.equal(world.lives, 2);
+    assert.equal(world.gameOver, false);
+    assert.equal(world.respawning, true);
+
+    keyboard.RIGHT = true;
+    keyboard.THROW = true;
+    world.tick(RESPAWN_TICKS - 2);
+    assert.equal(world.character.x, 300, 'a dead character does not move');
+    assert.equal(world.throwAim.charging, false);
+    keyboard.RIGHT = false;
+    keyboard.THROW = false;
+
+    world.tick(2);
+    assert.equal(world.respawning, false);
+    assert.equal(world.character.x, 800);
+    assert.equal(world.character.energy, 100);
+    assert.equal(world.statusBar.percentage, 100);
+    assert.equal(world.character.coinsCollected, 2);
+    assert.equal(world.character.score, 150);
+    assert.equal(world.bottlesAmmo, 3);
+    assert.equal(world.level.coins.length, coins);
+    assert.equal(world.level.enemies[0], chicken);
+});
+
+test('a respawned character cannot be hurt for a moment', () => {
+    const { world } = createHeadlessWorld();
+    world.level.enemies = [];
+
+    world.character.energy = 0;
+    world.tick(RESPAWN_TICKS);
+    assert.equal(world.respawning, false);
+    world.hurtCharacter();
+    assert.equal(world.character.energy, 100);
+
+    world.tick(Math.ceil(1000 / world.loop.stepMs) + 1);
+    world.hurtCharacter();
+    assert.equal(world.character.energy, 80);
+});
+
+test('the game is over only when the last life is lost', () => {
+    const { game, world } = createHeadlessWorld();
+    world.level.enemies = [];
+
+    for (let life = game('World').LIVES; life > 1; life--) {
+        world.character.energy = 0;
+        world.tick(RESPAWN_TICKS + 1);
+        assert.equal(world.gameOver, false);
+    }
+    assert.equal(world.lives, 1);
+    world.character.energy = 0;
+    world.tick();
+    assert.equal(world.lives, 0);
+    assert.equal(world.gameOver, true);
+});
+
+test('the HUD shows the lives and a new level restarts at its start without refilling them', () => {
+    const { game, world } = createHeadlessWorld();
+    world.level.enemies = [];
+    const World = game('World');
+
+    world.lives = 2;
+    world.respawnX = 1250;
+    const texts = [];
+    const fillText = world.ctx.fillText;
+    world.ctx.fillText = (text) => texts.push(text);
+    world.tick();
+    world.ctx.fillText = fillText;
+    assert.ok(texts.includes(`${World.LIVES_HUD.icon} × 2`));
+
+    world.switchToLevel(2);
+    assert.equal(world.respawnX, World.START_X);
+    assert.equal(world.character.x, World.START_X);
+    assert.equal(world.lives, 2);
+});
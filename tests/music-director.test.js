@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame } = require('./helpers/headless-game');
+
+/**
+ * Fake audio element recording whether it plays.
+ */
+class FakeAudio {
+    paused = true;
+    volume = 1;
+    constructor(src) {
+        this.src = src;
+    }
+    play() {
+        this.paused = false;
+    }
+    pause() {
+        this.paused = true;
+    }
+    addEventListener() {}
+}
+
+/**
+ * Creates a headless world whose sound manager plays music on fake elements.
+ *
+ * @returns {{game: function(string): *, world: World, engine: AudioEngine, music: MusicDirector}}
+ */
+function createWorldWithMusic() {
+    const game = loadGame();
+    game('globalThis').isMuted = false;
+    game('globalThis').Audio = FakeAudio;
+    const engine = new (game('AudioEngine'))(null);
+    const music = new (game('MusicDirector'))(engine, (src) => new FakeAudio(src));
+    const sound = new (game('SoundManager'))(engine, music);
+    const world = new (game('World'))(null, new (game('Keyboard'))(), sound, { seed: 1, headless: true });
+    return { game, world, engine, music };
+}
+
+test('switching states cross-fades from the old track to the new one', () => {
+    const game = loadGame();
+    const MusicDirector = game('MusicDirector');
+    const music = new MusicDirector(new (game('AudioEngine'))(null), (src) => new FakeAudio(src));
+
+    music.setState('exploration');
+    const exploration = music.decks[0];
+    assert.equal(exploration.level, 1);
+    assert.equal(exploration.element.paused, false);
+
+    music.setState('boss');
+    const boss = music.decks[1];
+    assert.equal(boss.level, 0);
+    music.update(MusicDirector.FADE_MS / 2);
+    assert.equal(boss.level, 0.5);
+    assert.equal(exploration.level, 0.5);
+
+    music.update(MusicDirector.FADE_MS / 2);
+    assert.equal(boss.level, 1);
+    assert.deepEqual([...music.decks.map((deck) => deck.src)], ['audio/endboss_attack.mp3']);
+    assert.equal(exploration.element.paused, true);
+});
+
+test('the boss track starts when the Endboss switches to alert', () => {
+    const { game, world, music } = createWorldWithMusic();
+    assert.equal(music.state, 'exploration');
+    const endboss = new (game('Endboss'))(world.character.x + 400);
+    world.level.enemies = [endboss];
+    world.setWorld();
+
+    world.tick();
+
+    assert.equal(endboss.state, 'alert');
+    assert.equal(music.state, 'boss');
+});
+
+test('the lose screen switches to the defeat music and plays its sting', () => {
+    const { world, engine, music } = createWorldWithMusic();
+    world.level.enemies = [];
+    world.lives = 1;
+    world.character.energy = 0;
+
+    world.tick();
+
+    assert.equal(music.state, 'defeat');
+    assert.ok(engine.voices.some((voice) => voice.src === 'audio/gameover.mp3'));
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Places a power-up on the character and lets him pick it up.
+ *
+ * @param {function(string): *} game
+ * @param {World} world
+ * @param {string} kind
+ * @returns {void}
+ */
+function collect(game, world, kind) {
+    const powerUp = new (game('PowerUp'))(kind, world.character.x + 20, world.character.y + 150);
+    world.level.powerUps.push(powerUp);
+    world.setWorld();
+    world.tick();
+}
+
+test('power-ups come from the level data and unknown kinds are rejected', () => {
+    const { game, world } = createHeadlessWorld();
+    const data = {
+        name: 'Power-ups',
+        level_end_x: 1000,
+        background: [{ x: 0, layers: ['img/5_background/layers/air.png'] }],
+        entities: [{ type: 'chili', x: 300, y: 200 }, { type: 'taco', x: 500 }],
+        bosses: [{ type: 'endboss', x: 900 }]
+    };
+
+    const level = game('LevelLoader').load(data);
+    assert.deepEqual([...level.powerUps].map((powerUp) => `${powerUp.kind}@${powerUp.x}`), ['chili@300', 'taco@500']);
+    const types = game('LevelLoader').ENTITY_TYPES;
+    assert.ok(Object.keys(game('PowerUp').KINDS).every((kind) => types[kind].list === 'powerUps'));
+    assert.ok(world.levels.getData(1).entities.some((entity) => entity.type in game('PowerUp').KINDS));
+    assert.throws(() => new (game('PowerUp'))('pizza'), { name: 'RangeError' });
+});
+
+test('a chili speeds the character up until it runs out and shows a countdown in the HUD', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    world.level.enemies = [];
+    world.level.powerUps = [];
+    const Character = game('Character');
+
+    collect(game, world, 'chili');
+    assert.equal(world.level.powerUps.length, 0);
+    assert.equal(world.sound.count('playPowerUp'), 1);
+    const texts = [];
+    const fillText = world.ctx.fillText;
+    world.ctx.fillText = (text) => texts.push(text);
+    keyboard.RIGHT = true;
+    const x = world.character.x;
+    world.tick();
+    world.ctx.fillText = fillText;
+    assert.equal(world.character.speed, Character.WALK_SPEED * 1.5);
+    assert.equal(world.character.x - x, Character.WALK_SPEED * 1.5);
+    assert.deepEqual(texts, ['❤️ × 3', '🌶️', '8s']);
+
+    world.tick(Math.ceil(8000 / (1000 / 60)));
+    assert.equal(world.character.effects.has('speed'), false);
+    assert.equal(world.character.speed, Character.WALK_SPEED);
+});
+
+test('a sombrero absorbs exactly one hit, even a blow of the boss', () => {
+    const { game, world } = createHeadlessWorld();
+    world.level.enemies = [];
+    collect(game, world, 'sombrero');
+
+    world.character.hitByEndboss();
+    assert.equal(world.character.energy, 100);
+    assert.equal(world.character.effects.has('shield'), false);
+    assert.equal(world.sound.count('playShieldBlock'), 1);
+    assert.equal(world.character.isHurt(), true);
+
+    world.character.hit();
+    assert.equal(world.character.energy, 80);
+});
+
+test('tequila fans out free bottles, tacos heal and defeated enemies drop power-ups', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    world.level.enemies = [];
+    world.level.powerUps = [];
+    collect(game, world, 'tequila');
+
+    world.bottlesAmmo = 2;
+    keyboard.THROW = true;
+    world.tick();
+    keyboard.THROW = false;
+    world.tick();
+    assert.equal(world.throwableObjects.length, 3);
+    assert.equal(world.bottlesAmmo, 1);
+    const angles = [...world.throwableObjects].map((bottle) => Math.round(Math.atan2(bottle.speedY, bottle.speedX) * 180 / Math.PI));
+    assert.deepEqual(angles, [50, 62, 74]);
+
+    world.character.energy = 40;
+    collect(game, world, 'taco');
+    collect(game, world, 'taco');
+    assert.equal(world.character.energy, 100);
+    assert.equal(world.statusBar.percentage, 100);
+
+    const chicken = new (game('Chicken'))(world.character.x + 300, 0);
+    world.level.enemies = [chicken];
+    world.random = { chance: () => true, next: () => 0.99 };
+    world.damageEnemy(chicken, chicken.health);
+    const [drop] = world.level.powerUps;
+    assert.equal(drop.kind, 'chili');
+    assert.equal(drop.falling, true);
+    world.tick(60);
+    assert.equal(drop.falling, false);
+    assert.equal(drop.y, drop.groundY);
+});
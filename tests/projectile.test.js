@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Creates a world without enemies and throws one bottle.
+ *
+ * @returns {{game: function(string): *, world: World, keyboard: Keyboard, bottle: ThrowableObject}}
+ */
+function throwBottle() {
+    const { game, world, keyboard } = createHeadlessWorld();
+    world.level.enemies = [];
+    world.bottlesAmmo = 1;
+    keyboard.THROW = true;
+    world.tick();
+    keyboard.THROW = false;
+    world.tick();
+    return { game, world, keyboard, bottle: world.throwableObjects[0] };
+}
+
+test('a thrown bottle spins, shatters on the ground and is removed after the splash', () => {
+    const { world, bottle } = throwBottle();
+    assert.equal(bottle.animation.current, 'fly');
+    assert.ok(bottle.img.src.includes('bottle_rotation'));
+
+    let steps = 0;
+    while (!bottle.shattered && steps++ < 120) world.tick();
+    assert.equal(bottle.y, bottle.groundY);
+    assert.equal(world.sound.count('playBottleSplash'), 1);
+    const x = bottle.x;
+    world.tick();
+    assert.equal(bottle.animation.current, 'splash');
+    assert.equal(bottle.x, x);
+
+    world.tick(60);
+    assert.equal(bottle.spent, true);
+    assert.deepEqual([...world.throwableObjects], []);
+    assert.equal(world.sound.count('playBottleSplash'), 1);
+});
+
+test('a bottle shatters on the first living enemy in its way', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    const dead = new (game('Chicken'))(world.character.x + 480, 0);
+    const alive = new (game('Chicken'))(world.character.x + 480, 0);
+    dead.chickenIsDead = true;
+    world.level.enemies = [dead, alive];
+    world.setWorld();
+    world.bottlesAmmo = 1;
+    keyboard.THROW = true;
+    world.tick();
+    keyboard.THROW = false;
+
+    let steps = 0;
+    while (!world.throwableObjects[0]?.shattered && steps++ < 120) world.tick();
+
+    const bottle = world.throwableObjects[0];
+    assert.equal(alive.chickenIsDead, true);
+    assert.equal(dead.health, 10);
+    assert.ok(bottle.y < bottle.groundY);
+    assert.equal(world.sound.count('playBottleSplash'), 1);
+});
+
+test('bottles that leave the screen are removed', () => {
+    const { world, bottle } = throwBottle();
+    bottle.x = -world.camera_x + world.canvas.width + 10;
+
+    world.tick();
+
+    assert.deepEqual([...world.throwableObjects], []);
+    assert.equal(bottle.world, null);
+});
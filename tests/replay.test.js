@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createHeadlessWorld, createReplayWorld } = require('./helpers/headless-game');
+
+/**
+ * Plays a scripted session: run right, jump onto / into chickens,
+ * pick up bottles and throw them, so collisions and bottle hits are exercised.
+ *
+ * @param {World} world
+ * @param {Keyboard} keyboard
+ * @param {number} steps
+ * @returns {void}
+ */
+function playScriptedSession(world, keyboard, steps) {
+    keyboard.RIGHT = true;
+    for (let tick = 0; tick < steps; tick++) {
+        keyboard.JUMP = tick % 90 < 10;
+        keyboard.THROW = tick % 45 < 2;
+        world.tick();
+    }
+}
+
+/**
+ * Captures the parts of the game state a replay has to reproduce.
+ *
+ * @param {World} world
+ * @returns {Object}
+ */
+function snapshot(world) {
+    return JSON.parse(JSON.stringify({
+        ticks: world.ticks,
+        time: world.time,
+        level: world.currentLevel,
+        character: [world.character.x, world.character.y, world.character.energy],
+        enemies: Array.from(world.level.enemies, (enemy) => [enemy.x, enemy.chickenIsDead, enemy.energyEndBoss]),
+        bars: [world.statusBar.percentage, world.statusBarBoss.percentage, world.statusBarBottle.percentage],
+        throwables: world.throwableObjects.length
+    }));
+}
+
+test('a replay reproduces the recorded game tick by tick', () => {
+    const { world, keyboard } = createHeadlessWorld({ seed: 'bug-report' });
+    playScriptedSession(world, keyboard, 900);
+    assert.ok(world.character.energy < 100, 'the session should include enemy collisions');
+
+    const { world: replayed } = createReplayWorld(JSON.stringify(world.recording));
+    replayed.tick(world.ticks);
+
+    assert.equal(replayed.seed, 'bug-report');
+    assert.deepEqual(snapshot(replayed), snapshot(world));
+    assert.equal(replayed.replayEnded, false);
+    replayed.tick();
+    assert.equal(replayed.replayEnded, true);
+});
+
+test('level switches are replayed at the recorded tick', () => {
+    const { world, keyboard } = createHeadlessWorld();
+    playScriptedSession(world, keyboard, 30);
+    world.continueToNextLevel();
+    playScriptedSession(world, keyboard, 60);
+
+    const { world: replayed } = createReplayWorld(JSON.stringify(world.recording));
+    replayed.tick(world.ticks);
+
+    assert.equal(replayed.currentLevel, 2);
+    assert.deepEqual(snapshot(replayed), snapshot(world));
+});
+
+test('inputs are exported run-length encoded', () => {
+    const { world, keyboard } = createHeadlessWorld();
+    world.tick(10);
+    keyboard.RIGHT = true;
+    keyboard.JUMP = true;
+    world.tick(5);
+
+    const data = JSON.parse(JSON.stringify(world.recording));
+
+    assert.deepEqual(data.inputs, [[0, 10], [6, 5]]);
+    assert.equal(data.version, 2);
+    assert.equal(data.seed, 1);
+});
+
+test('invalid replay files report every violation', () => {
+    const game = loadGame();
+    const InputRecording = game('InputRecording');
+    const json = JSON.stringify({ version: 3, seed: 1, sessionSeed: 'x', level: 0, inputs: [[99, 1]], events: [{ tick: 3, type: 'jump' }] });
+
+    assert.throws(() => InputRecording.fromJSON(json), (error) => {
+        assert.equal(error.name, 'ReplayFormatError');
+        assert.equal(error.errors.length, 5);
+        return true;
+    });
+    assert.throws(() => InputRecording.fromJSON('{oops'), /not valid JSON/);
+});
+
+test('recordings made before charged throws are rejected', () => {
+    const InputRecording = loadGame()('InputRecording');
+    const v1 = { version: 1, seed: 1, sessionSeed: 7, level: 1, inputs: [[8, 1], [0, 30]], events: [] };
+
+    assert.throws(() => InputRecording.fromJSON(v1), (error) => {
+        assert.equal(error.name, 'ReplayFormatError');
+        assert.deepEqual([...error.errors], [
+            `version: recordings of version 1 were made with an older game and can't be replayed (need version ${InputRecording.VERSION})`
+        ]);
+        return true;
+    });
+    assert.equal(InputRecording.fromJSON({ ...v1, version: InputRecording.VERSION }).length, 31);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Creates a sound manager on a fake engine that records every voice.
+ *
+ * @returns {{sound: SoundManager, voices: Object[]}}
+ */
+function createSoundManager() {
+    const game = loadGame();
+    game('globalThis').isMuted = false;
+    game('globalThis').Audio = class {
+        pause() {}
+        play() {
+            return Promise.resolve();
+        }
+    };
+    const engine = new (game('AudioEngine'))(null);
+    const voices = [];
+    engine.play = (src, options) => {
+        const voice = {
+            src,
+            ...options,
+            playing: true,
+            stop() { this.playing = false; },
+            setVolume(volume) { this.volume = volume; },
+            setPan(pan) { this.pan = pan; }
+        };
+        voices.push(voice);
+        return voice;
+    };
+    const sound = new (game('SoundManager'))(engine);
+    return { sound, voices };
+}
+
+test('emitters are attenuated by distance and panned by screen position', () => {
+    const game = loadGame();
+    const spatial = new (game('SpatialAudio'))();
+    spatial.setListener(1000, -900);
+
+    const near = spatial.locate({ x: 1050 });
+    assert.equal(near.gain, 1);
+    assert.ok(near.pan < 0);
+
+    const right = spatial.locate({ x: 1700 });
+    assert.ok(right.gain > 0 && right.gain < 1);
+    assert.equal(right.pan, 1);
+
+    assert.equal(spatial.locate({ x: 2500 }).gain, 0);
+});
+
+test('a chicken dying off-screen is quieter than one next to the character', () => {
+    const { sound, voices } = createSoundManager();
+    sound.setListener(100, 0);
+
+    sound.playChickenDead({ x: 120, width: 60 });
+    sound.playChickenDead({ x: 800, width: 60 });
+    sound.playChickenDead({ x: 3000, width: 60 });
+
+    assert.equal(voices.length, 2);
+    assert.ok(voices[1].volume < voices[0].volume);
+    assert.ok(voices[1].pan > voices[0].pan);
+});
+
+test('ambient clucking fades in as a chicken approaches and stops when it dies', () => {
+    const { sound, voices } = createSoundManager();
+    const chicken = { x: 1300, width: 60 };
+    sound.setListener(100, 0);
+
+    sound.updateAmbience([chicken]);
+    assert.equal(voices.length, 0);
+
+    chicken.x = 800;
+    sound.updateAmbience([chicken]);
+    const quiet = voices[0].volume;
+    chicken.x = 300;
+    sound.updateAmbience([chicken]);
+    assert.equal(voices.length, 1);
+    assert.ok(voices[0].volume > quiet);
+
+    sound.updateAmbience([]);
+    assert.equal(voices[0].playing, false);
+});
+
+test('the world keeps the listener on the character', () => {
+    const { world } = createHeadlessWorld();
+    world.character.x = 500;
+
+    world.tick();
+
+    assert.ok(world.sound.count('setListener') > 0);
+    assert.ok(world.sound.count('updateAmbience') > 0);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createHeadlessWorld } = require('./helpers/headless-game');
+
+/**
+ * Creates a drawable object with a hitbox spanning the given x range.
+ *
+ * @param {function(string): *} game
+ * @param {number} x
+ * @param {number} width
+ * @returns {DrawableObject}
+ */
+function createBox(game, x, width) {
+    const box = new (game('DrawableObject'))();
+    box.x = x;
+    box.width = width;
+    return box;
+}
+
+test('queries return the nearby objects in insertion order', () => {
+    const game = loadGame();
+    const grid = new (game('SpatialGrid'))(100);
+    const far = createBox(game, 900, 50);
+    const straddling = createBox(game, 180, 50);
+    const near = createBox(game, 210, 20);
+    const negative = createBox(game, -120, 40);
+    grid.rebuild([far, straddling, near, negative]);
+
+    assert.deepEqual([...grid.query({ left: 205, right: 215 })], [straddling, near]);
+    assert.deepEqual([...grid.query({ left: -90, right: -85 })], [negative]);
+    assert.deepEqual([...grid.query({ left: 500, right: 600 })], []);
+    assert.equal(grid.size, 4);
+});
+
+test('an infinite cell size returns every object, like a full scan', () => {
+    const game = loadGame();
+    const SpatialGrid = game('SpatialGrid');
+    const objects = [createBox(game, 5000, 10), createBox(game, -300, 10), createBox(game, 0, 10)];
+
+    const grid = new SpatialGrid(Infinity).rebuild(objects);
+
+    assert.deepEqual([...grid.query({ left: 0, right: 1 })], objects);
+    assert.throws(() => new SpatialGrid(0), { name: 'RangeError' });
+});
+
+test('the world only checks the enemies near the character', () => {
+    const { game, world } = createHeadlessWorld();
+    const Chicken = game('Chicken');
+    const near = new Chicken(world.character.x + 20);
+    const far = Array.from({ length: 50 }, (_, i) => new Chicken(world.character.x + 2000 + i * 100));
+    world.level.enemies = [...far, near];
+    world.setWorld();
+    let checks = 0;
+    const isColliding = world.character.isColliding.bind(world.character);
+    world.character.isColliding = (other) => {
+        checks++;
+        return isColliding(other);
+    };
+
+    world.tick();
+
+    assert.equal(world.grids.enemies.size, 51);
+    assert.equal(world.character.energy, 80);
+    assert.ok(checks < 10, `${checks} narrow-phase checks`);
+});
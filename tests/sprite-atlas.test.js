@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadGame } = require('./helpers/headless-game');
+const { readPng, encodePng, scaleImage, packFrames, groupAnimations } = require('../scripts/pack-atlases');
+
+const WALK = ['img/2_character_pepe/2_walk/W-21.png', 'img/2_character_pepe/2_walk/W-22.png'];
+
+/**
+ * Loads the game with a registered two-frame walking atlas.
+ *
+ * @returns {function(string): *}
+ */
+function loadGameWithAtlas() {
+    const game = loadGame();
+    game('SpriteAtlas').register(game('SpriteAtlas').fromJSON({
+        image: 'pepe.png',
+        frames: {
+            [WALK[0]]: { x: 0, y: 0, w: 100, h: 200 },
+            [WALK[1]]: { x: 102, y: 0, w: 100, h: 200 }
+        },
+        animations: { 'pepe/2_walk': WALK }
+    }, 'img/atlas/pepe.json'));
+    return game;
+}
+
+test('sprites held by an atlas are drawn as a cut-out of the atlas image', () => {
+    const game = loadGameWithAtlas();
+    const character = new (game('Character'))();
+    character.playAnimation(character.IMAGES_WALKING);
+    character.playAnimation(character.IMAGES_WALKING);
+    const calls = [];
+
+    character.draw({ drawImage: (...args) => calls.push(args) });
+
+    const [image, ...rest] = calls[0];
+    assert.equal(image.src, 'img/atlas/pepe.png');
+    assert.deepEqual(rest, [102, 0, 100, 200, character.x, character.y, character.width, character.height]);
+    assert.equal(character.imageCache[character.IMAGES_JUMPING[0]].src, character.IMAGES_JUMPING[0]);
+    assert.equal(game('SpriteAtlas').resolveSource(WALK[0]), 'img/atlas/pepe.png');
+});
+
+test('named animations cycle through the atlas frames', () => {
+    const game = loadGameWithAtlas();
+    const chicken = new (game('Chicken'))();
+
+    chicken.playAnimation('pepe/2_walk');
+    assert.equal(chicken.img.name, WALK[0]);
+    chicken.playAnimation('pepe/2_walk');
+    assert.equal(chicken.img.name, WALK[1]);
+    assert.throws(() => chicken.playAnimation('pepe/9_fly'), { name: 'RangeError' });
+});
+
+test('atlases are only requested when an index is shipped', async () => {
+    const game = loadGame();
+    const requests = [];
+    game('globalThis').fetch = (src) => {
+        requests.push(src);
+        return Promise.resolve({ ok: false, status: 404 });
+    };
+
+    assert.equal(game('AssetManifest').ATLAS_INDEX, null);
+    assert.deepEqual([...await game('SpriteAtlas').loadAll(game('AssetManifest').ATLAS_INDEX)], []);
+    assert.deepEqual(requests, []);
+
+    assert.deepEqual([...await game('SpriteAtlas').loadAll('img/atlas/atlases.json')], []);
+    assert.deepEqual(requests, ['img/atlas/atlases.json']);
+});
+
+test('an invalid frame map reports every violation', () => {
+    const game = loadGame();
+    const data = {
+        frames: { 'a.png': { x: 0, y: 0, w: -1, h: 10 } },
+        animations: { run: ['a.png', 'b.png'], idle: [] }
+    };
+
+    assert.throws(() => game('SpriteAtlas').fromJSON(data, 'img/atlas/broken.json'), (error) => {
+        assert.equal(error.name, 'AtlasFormatError');
+        assert.equal(error.errors.length, 4);
+        return true;
+    });
+});
+
+test('the pack script scales, packs and round-trips frames without overlap', () => {
+    const image = { width: 4, height: 2, data: new Uint8Array(4 * 2 * 4).fill(255) };
+    const scaled = scaleImage(image, 0.5);
+    assert.equal(scaled.width, 2);
+    assert.equal(scaled.height, 1);
+    assert.deepEqual([...scaled.data.subarray(0, 4)], [255, 255, 255, 255]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlas-'));
+    const file = path.join(dir, 'frame.png');
+    image.data.set([10, 20, 30, 40], 4);
+    fs.writeFileSync(file, encodePng(image));
+    assert.deepEqual([...readPng(file).data], [...image.data]);
+    fs.rmSync(dir, { recursive: true });
+
+    const frames = [30, 50, 20, 40].map((size, i) => ({ name: `f${i}`, image: { width: size, height: size } }));
+    const { width, height, placements } = packFrames(frames);
+    const boxes = Object.values(placements);
+    boxes.forEach((a) => {
+        assert.ok(a.x + a.w <= width && a.y + a.h <= height);
+        boxes.filter((b) => b !== a).forEach((b) => {
+            const overlap = a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+            assert.equal(overlap, false);
+        });
+    });
+
+    assert.deepEqual(groupAnimations('pepe', 'img/2_character_pepe', ['img/2_character_pepe/2_walk/W-21.png']), {
+        'pepe/2_walk': ['img/2_character_pepe/2_walk/W-21.png']
+    });
+});
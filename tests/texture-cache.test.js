@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGame, createHeadlessWorld } = require('./helpers/headless-game');
+
+test('entities of one kind share their images', () => {
+    const game = loadGame();
+    const Chicken = game('Chicken');
+    const cache = game('TextureCache').getShared();
+
+    const first = new Chicken();
+    const misses = cache.misses;
+    const refs = cache.getRefs(first.IMAGES_WALKING[0]);
+    const second = new Chicken();
+
+    assert.equal(cache.misses, misses);
+    assert.equal(second.imageCache[second.IMAGES_WALKING[0]], first.imageCache[first.IMAGES_WALKING[0]]);
+    assert.equal(cache.getRefs(first.IMAGES_WALKING[0]), refs * 2);
+});
+
+test('released images survive a reset and unused ones are pruned on the next level', () => {
+    const { game, world, keyboard } = createHeadlessWorld();
+    const cache = game('TextureCache').getShared();
+    const walking = world.character.IMAGES_WALKING[0];
+    const refs = cache.getRefs(walking);
+
+    world.destroy();
+    assert.equal(cache.getRefs(walking), 0);
+    const misses = cache.misses;
+    const next = new (game('World'))(null, keyboard, undefined, { seed: 1, headless: true });
+    assert.equal(cache.misses, misses);
+    assert.equal(cache.getRefs(walking), refs);
+
+    const unused = 'img/unused.png';
+    cache.acquire(unused);
+    cache.release(unused);
+    next.switchToLevel(2);
+    assert.equal(cache.entries.has(unused), false);
+    assert.equal(cache.getRefs(walking), refs);
+});
+
+test('collected coins and removed enemies give their images back', () => {
+    const { game, world } = createHeadlessWorld();
+    const cache = game('TextureCache').getShared();
+    world.level.enemies = [];
+    const coin = world.level.coins[0];
+    const coinImage = coin.IMAGES_COIN[0];
+    const coinRefs = cache.getRefs(coinImage);
+    coin.x = world.character.x;
+    coin.y = world.character.y + 100;
+    world.setWorld();
+
+    world.tick();
+    assert.ok(!world.level.coins.includes(coin));
+    assert.ok(cache.getRefs(coinImage) < coinRefs);
+
+    const chicken = new (game('Chicken'))(world.character.x + 400, 0);
+    world.level.enemies = [chicken];
+    const chickenImage = chicken.IMAGES_WALKING[0];
+    const chickenRefs = cache.getRefs(chickenImage);
+    world.damageEnemy(chicken, chicken.health);
+    world.tick(30);
+    assert.ok(!world.level.enemies.includes(chicken));
+    assert.ok(cache.getRefs(chickenImage) < chickenRefs);
+});
+
+test('the debug overlay shows the texture cache statistics', () => {
+    const { world } = createHeadlessWorld();
+
+    const info = world.getDebugInfo();
+
+    assert.match(info.Textures, /^\d+ \(\d+ refs\)$/);
+    assert.match(info['Texture cache'], /hits \/ \d+ misses/);
+    assert.equal(info['Texture memory'], '0.0 MB');
+});
+
+test('the debug info is only collected while the overlay is shown', () => {
+    const { game, world } = createHeadlessWorld();
+    const DebugOverlay = game('DebugOverlay');
+    world.debugOverlay.element = { textContent: '', classList: { toggle: () => {} } };
+    let collected = 0;
+    const getDebugInfo = world.getDebugInfo.bind(world);
+    world.getDebugInfo = () => {
+        collected++;
+        return getDebugInfo();
+    };
+
+    world.tick(3);
+    assert.equal(collected, 0);
+
+    world.debugOverlay.toggle();
+    world.tick();
+    assert.equal(DebugOverlay.visible, true);
+    assert.equal(collected, 1);
+    assert.match(world.debugOverlay.element.textContent, /Texture cache: /);
+});